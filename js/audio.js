@@ -0,0 +1,412 @@
+// Procedural sound: the motor, water and wind are synthesised with Web Audio
+// rather than played from samples. Other boats and buoy bells are placed in
+// 3D around the camera. Browsers only start audio from a user gesture, so
+// the engine stays silent until the first touch, click or key press.
+//
+//   master ─┬─ sfx: motor, boost, hull slaps, water rush, other boats, bells
+//           └─ ambient: sea and wind
+
+const AUDIO_SETTINGS_KEY = 'boater3d.audio';
+const AUDIO_RANGE = 200; // Metres beyond which other boats and buoys are silent
+const AUDIO_SMOOTHING = 0.1; // Seconds for parameters to glide to new values
+const BELL_INTERVAL = 4; // Seconds between a buoy's bells, give or take
+
+function createNoiseBuffer(context, seconds) {
+    const buffer = context.createBuffer(1, Math.floor(context.sampleRate * seconds), context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+
+class AudioEngine {
+    constructor() {
+        this.context = null;
+        this.settings = { master: 0.8, sfx: 0.8, ambient: 0.6, muted: false };
+        this.load();
+        this.voices = new Map(); // Sound source id -> looping voice for another boat
+        this.bells = new Map(); // Buoy id -> time of its next bell
+        this.wasBoosting = false;
+        this.paused = false;
+
+        this.unlock = this.unlock.bind(this);
+        this.unlockEvents = ['pointerdown', 'touchend', 'keydown'];
+        for (const type of this.unlockEvents) {
+            window.addEventListener(type, this.unlock, true);
+        }
+        // No point playing to a hidden tab or a paused game
+        this.onVisibilityChange = () => this.updateSuspended();
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    dispose() {
+        this.removeUnlockListeners();
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.context) this.context.close();
+        this.context = null;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.updateSuspended();
+    }
+
+    updateSuspended() {
+        if (!this.context) return;
+        if (document.hidden || this.paused) {
+            this.context.suspend();
+        } else {
+            this.context.resume();
+        }
+    }
+
+    load() {
+        try {
+            Object.assign(this.settings, JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY)));
+        } catch (err) {
+            console.log('Could not load audio settings:', err);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (err) {
+            console.log('Could not save audio settings:', err);
+        }
+    }
+
+    // Runs inside the first gesture, which is what lets the context start
+    unlock() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) {
+                this.removeUnlockListeners();
+                return;
+            }
+            this.context = new AudioContext();
+            this.build();
+        }
+        this.context.resume().then(() => this.removeUnlockListeners()).catch((err) => {
+            console.log('Could not start audio:', err);
+        });
+    }
+
+    removeUnlockListeners() {
+        for (const type of this.unlockEvents) {
+            window.removeEventListener(type, this.unlock, true);
+        }
+    }
+
+    // Volume is 0..1 for 'master', 'sfx' or 'ambient'
+    setVolume(bus, volume) {
+        this.settings[bus] = volume;
+        this.applyVolumes();
+        this.save();
+    }
+
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.applyVolumes();
+        this.save();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        const s = this.settings;
+        this.master.gain.setTargetAtTime(s.muted ? 0 : s.master, now, 0.05);
+        this.sfx.gain.setTargetAtTime(s.sfx, now, 0.05);
+        this.ambient.gain.setTargetAtTime(s.ambient, now, 0.05);
+    }
+
+    build() {
+        const context = this.context;
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+        this.sfx = context.createGain();
+        this.sfx.connect(this.master);
+        this.ambient = context.createGain();
+        this.ambient.connect(this.master);
+        this.applyVolumes();
+        this.noise = createNoiseBuffer(context, 2);
+
+        // Motor: a sawtooth and a square an octave down through a low-pass,
+        // with filtered noise for the rumble
+        this.engineGain = this.createGain(0, this.sfx);
+        this.engineFilter = context.createBiquadFilter();
+        this.engineFilter.type = 'lowpass';
+        this.engineFilter.frequency.value = 400;
+        this.engineFilter.connect(this.engineGain);
+        this.engineOscillators = ['sawtooth', 'square'].map((type, i) => {
+            const oscillator = context.createOscillator();
+            oscillator.type = type;
+            oscillator.frequency.value = 40 / (i + 1);
+            const gain = this.createGain(i === 0 ? 0.5 : 0.3, this.engineFilter);
+            oscillator.connect(gain);
+            oscillator.start();
+            return oscillator;
+        });
+        this.createNoise('bandpass', 120, this.createGain(0.6, this.engineFilter));
+
+        // Water rushing past the hull, louder with speed
+        this.rushGain = this.createGain(0, this.sfx);
+        this.createNoise('highpass', 1200, this.rushGain);
+
+        // Ambient sea and wind
+        this.seaGain = this.createGain(0, this.ambient);
+        this.seaFilter = this.createNoise('lowpass', 400, this.seaGain);
+        this.windGain = this.createGain(0, this.ambient);
+        this.windFilter = this.createNoise('bandpass', 600, this.windGain);
+        this.windFilter.Q.value = 0.8;
+    }
+
+    createGain(value, destination) {
+        const gain = this.context.createGain();
+        gain.gain.value = value;
+        gain.connect(destination);
+        return gain;
+    }
+
+    // Looping noise through a filter; returns the filter to steer
+    createNoise(type, frequency, destination) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noise;
+        source.loop = true;
+        const filter = this.context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        source.connect(filter);
+        filter.connect(destination);
+        source.start(0, Math.random() * 2);
+        return filter;
+    }
+
+    createPanner(position) {
+        const panner = this.context.createPanner();
+        panner.panningModel = 'equalpower';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 10;
+        panner.maxDistance = AUDIO_RANGE;
+        this.setPosition(panner, position);
+        panner.connect(this.sfx);
+        return panner;
+    }
+
+    // Newer browsers have AudioParams for positions, older ones setters
+    setPosition(node, position) {
+        if (node.positionX) {
+            const now = this.context.currentTime;
+            node.positionX.setTargetAtTime(position.x, now, 0.02);
+            node.positionY.setTargetAtTime(position.y, now, 0.02);
+            node.positionZ.setTargetAtTime(position.z, now, 0.02);
+        } else {
+            node.setPosition(position.x, position.y, position.z);
+        }
+    }
+
+    updateListener(camera) {
+        const listener = this.context.listener;
+        const forward = camera.getWorldDirection(new THREE.Vector3());
+        this.setPosition(listener, camera.position);
+        if (listener.forwardX) {
+            const now = this.context.currentTime;
+            listener.forwardX.setTargetAtTime(forward.x, now, 0.02);
+            listener.forwardY.setTargetAtTime(forward.y, now, 0.02);
+            listener.forwardZ.setTargetAtTime(forward.z, now, 0.02);
+            listener.upX.value = 0;
+            listener.upY.value = 1;
+            listener.upZ.value = 0;
+        } else {
+            listener.setOrientation(forward.x, forward.y, forward.z, 0, 1, 0);
+        }
+    }
+
+    // A short burst of shaped noise, optionally placed in 3D
+    playNoiseBurst(options) {
+        const context = this.context;
+        const now = context.currentTime;
+        const source = context.createBufferSource();
+        source.buffer = this.noise;
+        const filter = context.createBiquadFilter();
+        filter.type = options.type;
+        filter.frequency.setValueAtTime(options.from, now);
+        filter.frequency.exponentialRampToValueAtTime(options.to, now + options.duration);
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(options.volume, now + options.attack);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + options.duration);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.sfx);
+        source.start(now, Math.random() * 1.5);
+        source.stop(now + options.duration + 0.05);
+    }
+
+    // A hull slap; strength is how fast the bow met the water in m/s
+    slap(strength) {
+        if (!this.context) return;
+        this.playNoiseBurst({
+            type: 'lowpass',
+            from: 300 + strength * 150,
+            to: 120,
+            volume: Math.min(1, strength / 4),
+            attack: 0.005,
+            duration: 0.12 + Math.min(0.2, strength * 0.03)
+        });
+    }
+
+    // Bell: a few inharmonic partials dying away
+    ringBell(position) {
+        const context = this.context;
+        const now = context.currentTime;
+        const panner = this.createPanner(position);
+        for (const [ratio, level] of [[1, 0.4], [2.76, 0.2], [5.4, 0.1]]) {
+            const oscillator = context.createOscillator();
+            oscillator.frequency.value = 520 * ratio;
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(level, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + 2.5 / ratio);
+            oscillator.connect(gain);
+            gain.connect(panner);
+            oscillator.start(now);
+            oscillator.stop(now + 2.5);
+        }
+        setTimeout(() => panner.disconnect(), 3000);
+    }
+
+    // Another boat's motor: one detuned oscillator in 3D
+    createVoice(position) {
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sawtooth';
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 300;
+        const gain = context.createGain();
+        gain.gain.value = 0.25;
+        const panner = this.createPanner(position);
+        oscillator.connect(filter);
+        filter.connect(gain);
+        gain.connect(panner);
+        oscillator.start();
+        return { oscillator, panner };
+    }
+
+    stopVoice(voice) {
+        voice.oscillator.stop();
+        voice.panner.disconnect();
+    }
+
+    // boat: the player's { speed, maxSpeed, throttle, rpm (of maxRpm), motor,
+    // boosting };
+    // sea: { waveHeight, windSpeed }; sources: other boats ({ id, position,
+    // speed }) and buoys ({ id, position, bell: true }) around the camera
+    update(camera, boat, sea, sources) {
+        if (!this.context || this.context.state !== 'running') return;
+        const now = this.context.currentTime;
+        const glide = (param, value) => param.setTargetAtTime(value, now, AUDIO_SMOOTHING);
+        this.updateListener(camera);
+
+        // Motor pitch follows the revs, its load the throttle; a stalled
+        // engine falls silent
+        const throttle = Math.abs(boat.throttle);
+        const pitch = 20 + boat.rpm * 130;
+        glide(this.engineOscillators[0].frequency, pitch);
+        glide(this.engineOscillators[1].frequency, pitch / 2);
+        glide(this.engineFilter.frequency, 250 + throttle * 900 + (boat.boosting ? 600 : 0));
+        glide(this.engineGain.gain, boat.motor ? Math.min(1, boat.rpm * 4) * (0.12 + throttle * 0.35) : 0);
+
+        // Boost surge on the press, not every frame it is held
+        if (boat.boosting && !this.wasBoosting) {
+            this.playNoiseBurst({ type: 'bandpass', from: 400, to: 2500, volume: 0.5, attack: 0.08, duration: 0.7 });
+        }
+        this.wasBoosting = boat.boosting;
+
+        glide(this.rushGain.gain, Math.min(1, boat.speed / 12) * 0.3);
+        glide(this.seaGain.gain, 0.08 + Math.min(1, sea.waveHeight / 4) * 0.5);
+        glide(this.seaFilter.frequency, 300 + sea.waveHeight * 120);
+        glide(this.windGain.gain, Math.min(1, sea.windSpeed / 20) * 0.45);
+        glide(this.windFilter.frequency, 350 + sea.windSpeed * 35);
+
+        this.updateSources(camera.position, sources, now);
+    }
+
+    updateSources(listener, sources, now) {
+        const heard = new Set();
+        for (const source of sources) {
+            const dx = source.position.x - listener.x;
+            const dz = source.position.z - listener.z;
+            if (dx * dx + dz * dz > AUDIO_RANGE * AUDIO_RANGE) continue;
+            heard.add(source.id);
+
+            if (source.bell) {
+                // Each buoy rings on its own loose beat
+                const next = this.bells.get(source.id);
+                if (next === undefined) {
+                    this.bells.set(source.id, now + Math.random() * BELL_INTERVAL);
+                } else if (now >= next) {
+                    this.ringBell(source.position);
+                    this.bells.set(source.id, now + BELL_INTERVAL * (0.7 + Math.random() * 0.6));
+                }
+                continue;
+            }
+
+            let voice = this.voices.get(source.id);
+            if (!voice) {
+                voice = this.createVoice(source.position);
+                this.voices.set(source.id, voice);
+            }
+            this.setPosition(voice.panner, source.position);
+            voice.oscillator.frequency.setTargetAtTime(35 + source.speed * 6, now, AUDIO_SMOOTHING);
+        }
+
+        for (const [id, voice] of this.voices) {
+            if (heard.has(id)) continue;
+            this.stopVoice(voice);
+            this.voices.delete(id);
+        }
+        for (const id of this.bells.keys()) {
+            if (!heard.has(id)) this.bells.delete(id);
+        }
+    }
+}
+
+// Mixer panel: mute and the three volume sliders
+class AudioControls {
+    constructor(audio) {
+        this.audio = audio;
+        this.panel = document.getElementById('audioPanel');
+        this.muteButton = document.getElementById('muteButton');
+
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.events.signal;
+        document.getElementById('audioToggle').addEventListener('click', (event) => {
+            this.panel.classList.toggle('collapsed');
+            event.currentTarget.blur();
+        }, { signal });
+        this.muteButton.addEventListener('click', () => {
+            audio.setMuted(!audio.settings.muted);
+            this.muteButton.blur();
+            this.updateMuteButton();
+        }, { signal });
+        for (const bus of ['master', 'sfx', 'ambient']) {
+            const input = document.getElementById(`${bus}Volume`);
+            input.value = audio.settings[bus];
+            input.addEventListener('input', () => audio.setVolume(bus, Number(input.value)), { signal });
+            input.addEventListener('change', () => input.blur(), { signal });
+        }
+        this.updateMuteButton();
+    }
+
+    updateMuteButton() {
+        const muted = this.audio.settings.muted;
+        this.muteButton.textContent = muted ? '🔇 Unmute' : '🔊 Mute';
+        document.getElementById('audioToggle').textContent = muted ? '🔇' : '🔊';
+    }
+
+    dispose() {
+        this.events.abort();
+    }
+}
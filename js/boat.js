@@ -0,0 +1,230 @@
+// Boat view: meshes for one boat definition, posed from a BoatPhysics state
+// each frame. Primitives sized to the hull stand in until the definition's
+// glTF model has loaded, and stay if it has none or it fails to load.
+// options.opacity below 1 draws a translucent ghost (replays, remote boats).
+
+const boatModels = new Map(); // Model url -> promise of the loaded scene
+
+// Navigation lights share their materials within a scene, so
+// setNavigationLights switches every boat's in that scene at once
+const NAVIGATION_LIGHT_GEOMETRY = new THREE.SphereGeometry(0.12, 8, 6);
+const navigationLights = new WeakMap(); // Scene -> its port, starboard and white materials
+
+function navigationLightMaterials(scene) {
+    if (!navigationLights.has(scene)) {
+        navigationLights.set(scene, {
+            port: new THREE.MeshBasicMaterial({ color: 0xff2222, visible: false }),
+            starboard: new THREE.MeshBasicMaterial({ color: 0x22ff44, visible: false }),
+            white: new THREE.MeshBasicMaterial({ color: 0xffffee, visible: false })
+        });
+    }
+    return navigationLights.get(scene);
+}
+
+function setNavigationLights(scene, on) {
+    const materials = navigationLightMaterials(scene);
+    materials.port.visible = on;
+    materials.starboard.visible = on;
+    materials.white.visible = on;
+}
+
+function loadBoatModel(url) {
+    if (!boatModels.has(url)) {
+        boatModels.set(url, new Promise((resolve, reject) => {
+            if (!THREE.GLTFLoader) {
+                reject(new Error('GLTFLoader is not available'));
+                return;
+            }
+            new THREE.GLTFLoader().load(url, gltf => resolve(gltf.scene), undefined, reject);
+        }));
+    }
+    return boatModels.get(url);
+}
+
+class Boat {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        const definition = options.definition || new BoatDefinition();
+        const hull = Object.assign({}, DEFAULT_HULL, definition.hull);
+        const look = definition.look;
+        this.centerOfMassHeight = hull.centerOfMassHeight;
+        this.hasSail = hull.sail !== null;
+        this.opacity = options.opacity !== undefined ? options.opacity : 1;
+        this.group = new THREE.Group();
+
+        // Hull and cabin, swapped for the model once it loads
+        this.body = new THREE.Group();
+        this.group.add(this.body);
+
+        // Simplified boat geometry for mobile
+        const hullGeometry = new THREE.BoxGeometry(hull.beam, hull.depth, hull.length);
+        const hullMaterial = new THREE.MeshPhongMaterial({
+            color: look.hullColor,
+            shininess: 30,
+            flatShading: isMobile
+        });
+        this.hull = new THREE.Mesh(hullGeometry, hullMaterial);
+        this.hull.castShadow = true;
+        this.hull.receiveShadow = true;
+        this.body.add(this.hull);
+
+        let deckTop = hull.depth / 2;
+        if (look.cabin) {
+            const [width, height, length] = look.cabin;
+            const cabinGeometry = new THREE.BoxGeometry(width, height, length);
+            const cabinMaterial = new THREE.MeshPhongMaterial({
+                color: look.cabinColor,
+                shininess: 50,
+                flatShading: isMobile
+            });
+            this.cabin = new THREE.Mesh(cabinGeometry, cabinMaterial);
+            this.cabin.position.y = hull.depth / 2 + height / 2;
+            this.cabin.position.z = -hull.length / 8;
+            this.cabin.castShadow = true;
+            this.body.add(this.cabin);
+            deckTop += height;
+        } else {
+            deckTop += 0.6; // Room to duck under the boom
+        }
+
+        // Boom pivots on the mast above the cabin; the sail hangs from the masthead
+        this.boom = new THREE.Group();
+        this.boom.position.y = deckTop + 0.2;
+        this.boom.visible = false;
+        this.group.add(this.boom);
+
+        if (this.hasSail) {
+            // Rig proportions follow the sail area; the default 35 m^2 gives an 8 m mast
+            const rig = Math.sqrt((hull.sail.area || 35) / 35);
+            const mastGeometry = new THREE.CylinderGeometry(0.2 * rig, 0.2 * rig, 8 * rig, 8);
+            const mastMaterial = new THREE.MeshPhongMaterial({
+                color: 0x444444,
+                flatShading: isMobile
+            });
+            this.mast = new THREE.Mesh(mastGeometry, mastMaterial);
+            this.mast.position.y = 4 * rig;
+            this.mast.castShadow = true;
+            this.group.add(this.mast);
+
+            const boomGeometry = new THREE.CylinderGeometry(0.1 * rig, 0.1 * rig, 4.5 * rig, 6);
+            boomGeometry.rotateX(Math.PI / 2);
+            boomGeometry.translate(0, 0, -2.25 * rig);
+            const boomMesh = new THREE.Mesh(boomGeometry, mastMaterial);
+            this.boom.add(boomMesh);
+
+            const sailGeometry = new THREE.BufferGeometry();
+            sailGeometry.setAttribute('position', new THREE.Float32BufferAttribute([
+                0, 0.1, 0,
+                0, 4.6 * rig, 0,
+                0, 0.1, -4.5 * rig
+            ], 3));
+            sailGeometry.computeVertexNormals();
+            this.sail = new THREE.Mesh(sailGeometry, new THREE.MeshPhongMaterial({
+                color: 0xFAFAFA,
+                side: THREE.DoubleSide,
+                flatShading: isMobile
+            }));
+            this.sail.castShadow = true;
+            this.boom.add(this.sail);
+        }
+
+        // Sidelights at the bow (red to port, +x), a stern light and a
+        // masthead light on the mast or a short staff
+        const lightHeight = hull.depth / 2 + 0.15;
+        this.addNavigationLight('port', hull.beam / 2, lightHeight, hull.length * 0.3);
+        this.addNavigationLight('starboard', -hull.beam / 2, lightHeight, hull.length * 0.3);
+        this.addNavigationLight('white', 0, lightHeight, -hull.length / 2);
+        this.addNavigationLight('white', 0, this.mast ? this.mast.position.y * 2 + 0.1 : deckTop + 0.8, 0);
+
+        if (this.opacity < 1) {
+            this.makeTranslucent(this.group, this.opacity);
+        }
+
+        // Physics drives the group through a quaternion, so keep Euler y as heading
+        this.group.rotation.order = 'YXZ';
+        this.disposed = false;
+        scene.add(this.group);
+
+        if (definition.model) {
+            this.loadModel(definition.model);
+        }
+    }
+
+    loadModel(model) {
+        loadBoatModel(model.url).then((source) => {
+            if (this.disposed) return;
+            const object = source.clone();
+            object.scale.setScalar(model.scale);
+            object.position.set(model.offset.x, model.offset.y, model.offset.z);
+            object.rotation.y = model.rotation;
+            object.traverse((child) => {
+                if (!child.isMesh) return;
+                child.userData.shared = true; // Geometry belongs to the cached model
+                child.castShadow = true;
+                child.receiveShadow = true;
+            });
+            if (this.opacity < 1) {
+                this.makeTranslucent(object, this.opacity);
+            }
+            this.disposeObject(this.body);
+            this.group.remove(this.body);
+            this.body = object;
+            this.group.add(object);
+        }).catch((err) => {
+            console.log('Could not load boat model:', err);
+        });
+    }
+
+    addNavigationLight(material, x, y, z) {
+        const light = new THREE.Mesh(NAVIGATION_LIGHT_GEOMETRY, navigationLightMaterials(this.scene)[material]);
+        light.position.set(x, y, z);
+        light.userData.shared = true;
+        light.userData.navigationLight = true;
+        this.group.add(light);
+    }
+
+    makeTranslucent(root, opacity) {
+        root.traverse((object) => {
+            if (!object.isMesh || object.userData.navigationLight) return;
+            object.material = object.material.clone();
+            object.material.transparent = true;
+            object.material.opacity *= opacity;
+            object.material.depthWrite = false;
+            object.castShadow = false;
+            object.receiveShadow = false;
+        });
+    }
+
+    disposeObject(root) {
+        root.traverse((object) => {
+            if (!object.isMesh || object.userData.shared) return;
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.scene.remove(this.group);
+        this.disposeObject(this.group);
+    }
+
+    // Compass bearing of the bow, for charts and instruments
+    getHeading() {
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.group.quaternion);
+        return bearingOf(forward.x, forward.z);
+    }
+
+    // The mesh is built around the hull's geometric centre, which sits above
+    // the centre of mass the physics integrates
+    update(state) {
+        const q = state.orientation;
+        const offset = rotateVector(q, vec3(0, -this.centerOfMassHeight, 0));
+        this.group.position.set(state.position.x + offset.x, state.position.y + offset.y, state.position.z + offset.z);
+        this.group.quaternion.set(q.x, q.y, q.z, q.w);
+
+        // Boom angle is positive to port (+x); the boom points aft along -z
+        this.boom.visible = this.hasSail && state.propulsion === 'sail';
+        this.boom.rotation.y = -state.boomAngle;
+    }
+}
@@ -0,0 +1,114 @@
+// Boat catalogue and the boat-selection screen. Boats are loaded from
+// boats/index.json; the choice is remembered on this device, and ?boat=<id>
+// in the URL picks one directly.
+
+const BOATS_URL = 'boats/';
+const BOAT_CHOICE_KEY = 'boater3d.boat';
+
+// Fetch every boat listed in boats/index.json. A broken definition is
+// logged and left out rather than taking the whole catalogue down.
+function loadBoatCatalogue() {
+    return fetch(`${BOATS_URL}index.json`)
+        .then(response => response.json())
+        .then(index => Promise.all(index.boats.map(id =>
+            fetch(`${BOATS_URL}${id}.json`)
+                .then(response => response.json())
+                .then(data => new BoatDefinition(data))
+                .catch((err) => {
+                    console.log(`Could not load boat ${id}:`, err);
+                    return null;
+                })
+        )))
+        .then(boats => boats.filter(boat => boat !== null));
+}
+
+class BoatSelector {
+    constructor(simulation, units) {
+        this.simulation = simulation;
+        this.units = units;
+        this.boats = [];
+        this.onSelect = null;
+
+        this.panel = document.getElementById('boatSelect');
+        this.cards = document.getElementById('boatCards');
+        this.button = document.getElementById('boatButton');
+        this.nameElement = document.getElementById('boatName');
+
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.events.signal;
+        this.button.addEventListener('click', () => {
+            this.show();
+            this.button.blur();
+        }, { signal });
+        document.getElementById('boatSelectClose').addEventListener('click', () => this.hide(), { signal });
+        simulation.on('boat', () => this.updateButton());
+        this.updateButton();
+    }
+
+    // Resolves with the boat to start in: the URL's, the remembered one, or
+    // none if this device has not picked one yet
+    load() {
+        return loadBoatCatalogue().then((boats) => {
+            this.boats = boats;
+            let id = new URLSearchParams(location.search).get('boat');
+            if (!id) {
+                try {
+                    id = localStorage.getItem(BOAT_CHOICE_KEY);
+                } catch (err) {
+                    console.log('Could not load boat choice:', err);
+                }
+            }
+            return boats.find(boat => boat.id === id) || null;
+        });
+    }
+
+    show() {
+        const current = this.simulation.boatDefinition.id;
+        this.cards.innerHTML = '';
+        for (const boat of this.boats) {
+            const hull = Object.assign({}, DEFAULT_HULL, boat.hull);
+            const card = document.createElement('button');
+            card.className = 'boat-card';
+            card.classList.toggle('selected', boat.id === current);
+
+            const title = document.createElement('h3');
+            title.textContent = boat.name;
+            const description = document.createElement('div');
+            description.textContent = boat.description;
+            const stats = document.createElement('div');
+            stats.className = 'boat-stats';
+            stats.textContent = [
+                this.units.length(hull.length),
+                hull.mass < 1000 ? `${hull.mass} kg` : `${(hull.mass / 1000).toFixed(1)} t`,
+                hull.sail === null ? 'motor' : 'sail & motor'
+            ].join(' · ');
+            card.append(title, description, stats);
+
+            card.addEventListener('click', () => this.select(boat));
+            this.cards.appendChild(card);
+        }
+        this.panel.classList.add('visible');
+    }
+
+    hide() {
+        this.panel.classList.remove('visible');
+    }
+
+    select(boat) {
+        try {
+            localStorage.setItem(BOAT_CHOICE_KEY, boat.id);
+        } catch (err) {
+            console.log('Could not save boat choice:', err);
+        }
+        this.hide();
+        if (this.onSelect) this.onSelect(boat);
+    }
+
+    updateButton() {
+        this.nameElement.textContent = this.simulation.boatDefinition.name;
+    }
+
+    dispose() {
+        this.events.abort();
+    }
+}
@@ -0,0 +1,244 @@
+// Camera modes. Each mode works out where the camera wants to be and what
+// it looks at from the drawn boat every frame; switching modes eases from
+// the old view to the new one, and the camera is kept above the water and
+// the islands whatever the mode asks for. The stick or mouse turns the
+// current view and it stays where it was left. The mode is remembered under
+// storageKey; a null one keeps it in memory only.
+
+const CAMERA_STORAGE_KEY = 'boater3d.camera';
+const CAMERA_CLEARANCE = 0.8; // Metres the camera keeps above the water or land
+const CAMERA_TRANSITION = 1.2; // Seconds to ease into a new mode
+const CAMERA_TURN_RATE = 0.05; // Radians per frame at full stick
+const CAMERA_ZOOM_RATE = 0.05; // Log distance per unit of cameraZoom
+
+const CAMERA_MODES = {
+    chase: { label: 'Chase', icon: '🎥' },
+    helm: { label: 'Helm', icon: '👁' },
+    orbit: { label: 'Orbit', icon: '🔄' },
+    chart: { label: 'Chart', icon: '🗺' },
+    cinematic: { label: 'Cinematic', icon: '🎬' }
+};
+
+// Shots the cinematic director cuts between, each held for a few seconds
+const CINEMATIC_SHOTS = ['flyby', 'aerial', 'quarter', 'bow'];
+
+class CameraRig {
+    constructor(camera, simulation, storageKey = CAMERA_STORAGE_KEY) {
+        this.camera = camera;
+        this.simulation = simulation;
+        this.storageKey = storageKey;
+        this.mode = 'chase';
+        // Per-mode view angles and distances, kept while switching around
+        this.views = {
+            chase: { yaw: 0, pitch: 0.45, distance: 13, minDistance: 6, maxDistance: 40 },
+            helm: { yaw: 0, pitch: 0 },
+            orbit: { yaw: 0, pitch: 0.5, distance: 30, minDistance: 5, maxDistance: 150 },
+            chart: { distance: 120, minDistance: 30, maxDistance: 400 },
+            cinematic: {}
+        };
+        this.load();
+
+        this.position = camera.position.clone();
+        this.target = new THREE.Vector3();
+        this.lookTarget = new THREE.Vector3(); // Where the camera actually looks, mid-transition too
+        this.up = new THREE.Vector3(0, 1, 0);
+        this.from = null; // Pose being eased away from
+        this.transition = 1;
+        this.wasSwitching = false;
+        this.shot = null;
+        this.onChange = null;
+    }
+
+    load() {
+        if (!this.storageKey) return;
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved in CAMERA_MODES) this.mode = saved;
+        } catch (err) {
+            console.log('Could not load camera mode:', err);
+        }
+    }
+
+    save() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, this.mode);
+        } catch (err) {
+            console.log('Could not save camera mode:', err);
+        }
+    }
+
+    setMode(mode) {
+        if (!(mode in CAMERA_MODES)) {
+            throw new Error(`Unknown camera mode: ${mode}`);
+        }
+        if (mode === this.mode) return;
+        this.from = { position: this.position.clone(), target: this.target.clone(), up: this.up.clone() };
+        this.transition = 0;
+        this.mode = mode;
+        this.shot = null;
+        this.save();
+        if (this.onChange) this.onChange(mode);
+    }
+
+    nextMode() {
+        const modes = Object.keys(CAMERA_MODES);
+        this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+    }
+
+    // Highest of the water and the land at a point
+    groundAt(x, z) {
+        const water = this.simulation.ocean.getWaveHeightAt(x, z);
+        const terrain = this.simulation.terrain;
+        return terrain ? Math.max(water, terrain.heightAt(x, z)) : water;
+    }
+
+    update(deltaTime, boat, hull, controls) {
+        if (controls.cameraMode && !this.wasSwitching) {
+            this.nextMode();
+        }
+        this.wasSwitching = controls.cameraMode;
+
+        // Steer the current view; nothing springs back on release
+        const view = this.views[this.mode];
+        if ('yaw' in view) {
+            view.yaw -= controls.cameraX * CAMERA_TURN_RATE;
+            view.pitch = Math.max(-0.6, Math.min(1.4, view.pitch + controls.cameraY * CAMERA_TURN_RATE * 0.6));
+        }
+        if ('distance' in view) {
+            view.distance = Math.max(view.minDistance, Math.min(view.maxDistance,
+                view.distance * Math.exp(controls.cameraZoom * CAMERA_ZOOM_RATE)));
+        }
+
+        boat.group.updateMatrixWorld();
+        const pose = this.poseFor(this.mode, deltaTime, boat, hull);
+
+        // Follow modes glide after the boat; helm and cinematic are rigid
+        if (pose.smooth) {
+            const follow = 1 - Math.exp(-deltaTime * 9);
+            this.position.lerp(pose.position, follow);
+        } else {
+            this.position.copy(pose.position);
+        }
+        this.target.copy(pose.target);
+        this.up.copy(pose.up);
+
+        const lookTarget = this.lookTarget.copy(this.target);
+        if (this.transition < 1) {
+            this.transition = Math.min(1, this.transition + deltaTime / CAMERA_TRANSITION);
+            const t = this.transition * this.transition * (3 - 2 * this.transition);
+            const from = this.from;
+            this.camera.position.copy(from.position).lerp(this.position, t);
+            this.camera.up.copy(from.up).lerp(this.up, t).normalize();
+            lookTarget.copy(from.target).lerp(this.target, t);
+        } else {
+            this.camera.position.copy(this.position);
+            this.camera.up.copy(this.up);
+        }
+
+        // Never under the waves or inside an island
+        const p = this.camera.position;
+        p.y = Math.max(p.y, this.groundAt(p.x, p.z) + CAMERA_CLEARANCE);
+        this.camera.lookAt(lookTarget);
+    }
+
+    poseFor(mode, deltaTime, boat, hull) {
+        const center = boat.group.position;
+        const heading = boat.group.rotation.y;
+        const view = this.views[mode];
+        const up = new THREE.Vector3(0, 1, 0);
+
+        switch (mode) {
+            case 'helm': {
+                // Standing at the wheel, aft of amidships, looking over the bow
+                const eye = boat.group.localToWorld(new THREE.Vector3(0, hull.depth / 2 + 1.5, -hull.length * 0.2));
+                const look = heading + view.yaw;
+                const target = new THREE.Vector3(
+                    Math.sin(look) * Math.cos(view.pitch),
+                    Math.sin(view.pitch),
+                    Math.cos(look) * Math.cos(view.pitch)
+                ).multiplyScalar(20).add(eye);
+                return { position: eye, target, up, smooth: false };
+            }
+            case 'orbit': {
+                const d = view.distance;
+                const position = new THREE.Vector3(
+                    Math.sin(view.yaw) * Math.cos(view.pitch) * d,
+                    Math.sin(view.pitch) * d,
+                    Math.cos(view.yaw) * Math.cos(view.pitch) * d
+                ).add(center);
+                return { position, target: center.clone(), up, smooth: true };
+            }
+            case 'chart': {
+                // Straight down with north (-z) at the top, like the plotter
+                const position = new THREE.Vector3(center.x, center.y + view.distance, center.z);
+                return { position, target: center.clone(), up: new THREE.Vector3(0, 0, -1), smooth: true };
+            }
+            case 'cinematic':
+                return this.directShot(deltaTime, boat, hull);
+            default: {
+                // Chase: behind the boat, turned by the view's yaw
+                const d = view.distance;
+                const angle = heading + Math.PI + view.yaw;
+                const position = new THREE.Vector3(
+                    Math.sin(angle) * Math.cos(view.pitch) * d,
+                    Math.sin(view.pitch) * d + 1.5,
+                    Math.cos(angle) * Math.cos(view.pitch) * d
+                ).add(center);
+                return { position, target: center.clone().add(new THREE.Vector3(0, 1.5, 0)), up, smooth: true };
+            }
+        }
+    }
+
+    // The auto-director: holds a shot for a few seconds, then cuts to another
+    directShot(deltaTime, boat, hull) {
+        const center = boat.group.position;
+        const heading = boat.group.rotation.y;
+        const forward = new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+        const port = new THREE.Vector3(forward.z, 0, -forward.x);
+        const up = new THREE.Vector3(0, 1, 0);
+
+        if (!this.shot || this.shot.time <= 0) {
+            const previous = this.shot ? this.shot.type : null;
+            const choices = CINEMATIC_SHOTS.filter(type => type !== previous);
+            const type = choices[Math.floor(Math.random() * choices.length)];
+            const side = Math.random() < 0.5 ? 1 : -1;
+            this.shot = { type, side, time: 6 + Math.random() * 4, angle: Math.random() * Math.PI * 2 };
+            // A fly-by camera waits ahead of the boat for it to pass
+            if (type === 'flyby') {
+                const speed = Math.max(3, this.simulation.boat.forwardSpeed);
+                this.shot.anchor = center.clone()
+                    .addScaledVector(forward, speed * this.shot.time * 0.5)
+                    .addScaledVector(port, side * (hull.length + 8));
+                this.shot.anchor.y = this.groundAt(this.shot.anchor.x, this.shot.anchor.z) + 1.5;
+            }
+        }
+        const shot = this.shot;
+        shot.time -= deltaTime;
+
+        switch (shot.type) {
+            case 'flyby':
+                return { position: shot.anchor.clone(), target: center.clone(), up, smooth: false };
+            case 'aerial': {
+                // High and slowly circling
+                shot.angle += deltaTime * 0.15;
+                const position = new THREE.Vector3(Math.sin(shot.angle) * 45, 35, Math.cos(shot.angle) * 45).add(center);
+                return { position, target: center.clone(), up, smooth: false };
+            }
+            case 'quarter': {
+                // Low off the stern quarter, close to the water
+                const position = center.clone()
+                    .addScaledVector(forward, -hull.length * 1.5)
+                    .addScaledVector(port, shot.side * hull.length);
+                position.y = center.y + 1;
+                return { position, target: center.clone().addScaledVector(forward, hull.length), up, smooth: false };
+            }
+            default: {
+                // From the bow looking back along the deck
+                const position = boat.group.localToWorld(new THREE.Vector3(shot.side * hull.beam * 0.3, hull.depth / 2 + 1, hull.length * 0.6));
+                const target = boat.group.localToWorld(new THREE.Vector3(0, hull.depth / 2 + 1, -hull.length));
+                return { position, target, up, smooth: false };
+            }
+        }
+    }
+}
@@ -0,0 +1,223 @@
+// Debug overlay: a frame-time graph and the renderer's counters in a panel,
+// helpers in the scene for what the physics is doing, and the telemetry
+// recorder's controls. Frame times are kept while it is hidden too, so the
+// telemetry always has an FPS to log.
+//
+// Scene helpers: yellow arrow, the boat's velocity (1 m per m/s); cyan
+// arrow, the wave normal under the boat; magenta ball, the centre of
+// buoyancy the submerged columns push up through, with each column's keel
+// point blue when wet and red when dry; green diamond, the camera target.
+
+const DEBUG_FRAMES = 120; // Frame times kept for the graph and the averages
+const DEBUG_GRAPH_MAX = 1 / 20; // Seconds at the top of the graph
+
+class DebugOverlay {
+    constructor(container, scene, telemetry) {
+        this.scene = scene;
+        this.telemetry = telemetry;
+        this.visible = false;
+        this.frameTimes = [];
+        this.fps = 0;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'debug-overlay';
+        this.graph = document.createElement('canvas');
+        this.graph.width = DEBUG_FRAMES * 2;
+        this.graph.height = 60;
+        this.stats = document.createElement('pre');
+        const buttons = document.createElement('div');
+        this.recordButton = this.addButton(buttons, '⏺ Telemetry', () => this.toggleRecording());
+        this.csvButton = this.addButton(buttons, 'CSV', () => this.exportTelemetry('csv'));
+        this.jsonButton = this.addButton(buttons, 'JSON', () => this.exportTelemetry('json'));
+        this.panel.append(this.graph, this.stats, buttons);
+        container.appendChild(this.panel);
+        this.updateButtons();
+
+        this.helpers = new THREE.Group();
+        this.helpers.visible = false;
+        this.velocityArrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 1, 0xffff00);
+        this.normalArrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 4, 0x00ffff);
+        this.buoyancyMarker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.3, 10, 8),
+            new THREE.MeshBasicMaterial({ color: 0xff00ff, depthTest: false })
+        );
+        this.cameraMarker = new THREE.Mesh(
+            new THREE.OctahedronGeometry(0.4),
+            new THREE.MeshBasicMaterial({ color: 0x00ff44, wireframe: true, depthTest: false })
+        );
+        this.columns = null; // Points, rebuilt when the boat's column count changes
+        this.helpers.add(this.velocityArrow, this.normalArrow, this.buoyancyMarker, this.cameraMarker);
+        for (const helper of this.helpers.children) {
+            helper.renderOrder = 10;
+        }
+        scene.add(this.helpers);
+        this.setVisible(false);
+    }
+
+    addButton(parent, text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', () => {
+            onClick();
+            button.blur();
+        });
+        parent.appendChild(button);
+        return button;
+    }
+
+    // Shown and hidden inline, so it stays hidden on pages without the
+    // game's stylesheet too
+    setVisible(visible) {
+        this.visible = visible;
+        this.panel.style.display = visible ? 'block' : 'none';
+        this.helpers.visible = visible;
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    toggleRecording() {
+        if (this.telemetry.recording) {
+            this.telemetry.stop();
+        } else {
+            this.telemetry.start();
+        }
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        const recording = this.telemetry.recording;
+        this.recordButton.textContent = recording ? '⏹ Telemetry' : '⏺ Telemetry';
+        this.csvButton.disabled = recording || this.telemetry.samples.length === 0;
+        this.jsonButton.disabled = this.csvButton.disabled;
+    }
+
+    exportTelemetry(format) {
+        const text = format === 'csv' ? this.telemetry.toCSV() : JSON.stringify(this.telemetry.toJSON());
+        const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `boater3d-telemetry-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Every frame, shown or not
+    recordFrame(frameTime) {
+        this.frameTimes.push(frameTime);
+        if (this.frameTimes.length > DEBUG_FRAMES) this.frameTimes.shift();
+        const total = this.frameTimes.reduce((sum, time) => sum + time, 0);
+        this.fps = total > 0 ? this.frameTimes.length / total : 0;
+    }
+
+    // After the frame is drawn, so the renderer's counters are this frame's
+    update(simulation, boat, cameraRig, renderer, ticks) {
+        if (!this.visible) return;
+        const physics = simulation.boat;
+        this.updateHelpers(simulation, physics, boat, cameraRig);
+        this.drawGraph();
+
+        const times = this.frameTimes;
+        const average = times.reduce((sum, time) => sum + time, 0) / Math.max(1, times.length);
+        const info = renderer.info;
+        const v = physics.velocity;
+        this.stats.textContent = [
+            `${this.fps.toFixed(0)} fps  ${(average * 1000).toFixed(1)} ms avg  ${(Math.max(...times) * 1000).toFixed(1)} ms max`,
+            `${info.render.calls} draw calls  ${info.render.triangles} triangles`,
+            `${info.memory.geometries} geometries  ${info.memory.textures} textures`,
+            `tick ${simulation.tick}  ${ticks} ticks/frame  ${simulation.traffic.boats.length} traffic`,
+            `velocity ${v.x.toFixed(2)} ${v.y.toFixed(2)} ${v.z.toFixed(2)} m/s`,
+            `submerged ${(physics.submergedFraction * 100).toFixed(0)}%  propeller ${(physics.propellerImmersion() * 100).toFixed(0)}%${physics.aground ? '  aground' : ''}`,
+            `engine ${physics.engine.rpm.toFixed(0)} rpm  lever ${physics.engine.lever.toFixed(2)}  thrust ${physics.throttle.toFixed(2)}`,
+            this.telemetry.recording ? `telemetry ${this.telemetry.samples.length} samples` : ''
+        ].join('\n');
+        this.updateButtons();
+    }
+
+    updateHelpers(simulation, physics, boat, cameraRig) {
+        const position = boat.group.position;
+        const v = physics.velocity;
+        const speed = Math.hypot(v.x, v.y, v.z);
+        this.velocityArrow.visible = speed > 0.05;
+        if (speed > 0.05) {
+            this.velocityArrow.position.copy(position);
+            this.velocityArrow.setDirection(new THREE.Vector3(v.x / speed, v.y / speed, v.z / speed));
+            this.velocityArrow.setLength(Math.max(speed, 0.5), Math.min(1, speed * 0.3), Math.min(0.5, speed * 0.15));
+        }
+
+        const normal = simulation.ocean.getNormalAt(position.x, position.z);
+        this.normalArrow.position.set(position.x, simulation.ocean.getWaveHeightAt(position.x, position.z), position.z);
+        this.normalArrow.setDirection(new THREE.Vector3(normal.x, normal.y, normal.z));
+
+        // Columns and the centre of buoyancy, as of the last physics step
+        const points = physics.samplePoints;
+        if (!this.columns || this.columns.count !== points.length) {
+            if (this.columns) {
+                this.helpers.remove(this.columns.points);
+                this.columns.points.geometry.dispose();
+                this.columns.points.material.dispose();
+            }
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(points.length * 3), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(points.length * 3), 3));
+            const material = new THREE.PointsMaterial({ size: 6, sizeAttenuation: false, vertexColors: true, depthTest: false });
+            this.columns = { count: points.length, points: new THREE.Points(geometry, material) };
+            this.columns.points.renderOrder = 10;
+            this.helpers.add(this.columns.points);
+        }
+        const positions = this.columns.points.geometry.attributes.position;
+        const colors = this.columns.points.geometry.attributes.color;
+        const up = rotateVector(physics.orientation, vec3(0, 1, 0));
+        const centre = vec3();
+        let weight = 0;
+        points.forEach((point, i) => {
+            positions.setXYZ(i, point.world.x, point.world.y, point.world.z);
+            if (point.depth > 0) {
+                colors.setXYZ(i, 0.2, 0.5, 1);
+            } else {
+                colors.setXYZ(i, 1, 0.2, 0.2);
+            }
+            const w = point.depth * point.area;
+            centre.x += (point.world.x + up.x * point.depth / 2) * w;
+            centre.y += (point.world.y + up.y * point.depth / 2) * w;
+            centre.z += (point.world.z + up.z * point.depth / 2) * w;
+            weight += w;
+        });
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        this.buoyancyMarker.visible = weight > 0;
+        if (weight > 0) {
+            this.buoyancyMarker.position.set(centre.x / weight, centre.y / weight, centre.z / weight);
+        }
+
+        this.cameraMarker.position.copy(cameraRig.lookTarget);
+    }
+
+    // Frame times left to right, with the quality manager's budget marked
+    drawGraph() {
+        const context = this.graph.getContext('2d');
+        const { width, height } = this.graph;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        context.fillRect(0, 0, width, height);
+
+        const budget = height - height / (QUALITY_TARGET_FPS * DEBUG_GRAPH_MAX);
+        context.strokeStyle = 'rgba(255, 80, 80, 0.8)';
+        context.beginPath();
+        context.moveTo(0, budget);
+        context.lineTo(width, budget);
+        context.stroke();
+
+        context.fillStyle = '#7fdfff';
+        this.frameTimes.forEach((time, i) => {
+            const bar = Math.min(height, time / DEBUG_GRAPH_MAX * height);
+            context.fillRect(i * 2, height - bar, 2, bar);
+        });
+    }
+
+    dispose() {
+        this.panel.remove();
+        this.scene.remove(this.helpers);
+    }
+}
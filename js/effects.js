@@ -0,0 +1,324 @@
+// Wake, bow spray, slam splashes and the boost rooster tail. Particles live
+// in fixed-size pools, each drawn as one Points object, so nothing is
+// allocated while sailing; the quality tier's effects level sizes the pools
+// and how much is emitted.
+
+const KELVIN_ANGLE = 19.47 * Math.PI / 180; // Half-angle of a deep-water wake
+const SPRAY_GRAVITY = 9.81;
+const SLAM_THRESHOLD = 1.2; // m/s of the bow into the water that counts as a slam
+
+// Per quality effects level: pool sizes, emission scale and how many foam
+// particles re-sample the wave height each frame
+const EFFECT_LEVELS = [
+    { foam: 200, spray: 80, emission: 0.3, surfaceChecks: 40 },
+    { foam: 400, spray: 160, emission: 0.5, surfaceChecks: 80 },
+    { foam: 900, spray: 400, emission: 0.8, surfaceChecks: 160 },
+    { foam: 1600, spray: 800, emission: 1, surfaceChecks: 300 }
+];
+
+const PARTICLE_VERTEX_SHADER = `
+    attribute float size;
+    attribute float alpha;
+    uniform float scale;
+    varying float vAlpha;
+    #include <fog_pars_vertex>
+    void main() {
+        vAlpha = alpha;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * scale * projectionMatrix[1][1] / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    uniform vec3 color;
+    varying float vAlpha;
+    #include <fog_pars_fragment>
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        if (d > 0.5) discard;
+        gl_FragColor = vec4(color, vAlpha * smoothstep(0.5, 0.15, d));
+        #include <fog_fragment>
+    }
+`;
+
+// A ring buffer of particles: spawning past the end recycles the oldest.
+// Floating particles ride the wave surface; the others fly ballistically
+// until they fall back into the sea.
+class ParticlePool {
+    constructor(scene, count, options) {
+        this.scene = scene;
+        this.count = count;
+        this.floating = options.floating;
+        this.next = 0;
+        this.checkIndex = 0;
+        this.onLand = null;
+
+        this.velocity = new Float32Array(count * 3);
+        this.life = new Float32Array(count);
+        this.maxLife = new Float32Array(count);
+        this.startSize = new Float32Array(count);
+        this.endSize = new Float32Array(count);
+        this.startAlpha = new Float32Array(count);
+        this.surface = new Float32Array(count); // Last sampled water height
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(new Float32Array(count), 1));
+        geometry.setAttribute('alpha', new THREE.BufferAttribute(new Float32Array(count), 1));
+        this.baseColor = new THREE.Color(options.color);
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                { color: { value: this.baseColor.clone() }, scale: { value: 400 } }
+            ]),
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false,
+            fog: true
+        });
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.frustumCulled = false;
+        scene.add(this.points);
+    }
+
+    spawn(x, y, z, vx, vy, vz, life, startSize, endSize, alpha) {
+        const i = this.next;
+        this.next = (i + 1) % this.count;
+        const position = this.points.geometry.attributes.position.array;
+        position[i * 3] = x;
+        position[i * 3 + 1] = y;
+        position[i * 3 + 2] = z;
+        this.velocity[i * 3] = vx;
+        this.velocity[i * 3 + 1] = vy;
+        this.velocity[i * 3 + 2] = vz;
+        this.life[i] = life;
+        this.maxLife[i] = life;
+        this.startSize[i] = startSize;
+        this.endSize[i] = endSize;
+        this.startAlpha[i] = alpha;
+        this.surface[i] = y;
+    }
+
+    update(deltaTime, model, surfaceChecks) {
+        const attributes = this.points.geometry.attributes;
+        const position = attributes.position.array;
+        const size = attributes.size.array;
+        const alpha = attributes.alpha.array;
+        const velocity = this.velocity;
+
+        // Wave heights are costly, so floating particles take turns
+        if (this.floating) {
+            for (let n = 0; n < surfaceChecks; n++) {
+                const i = this.checkIndex;
+                this.checkIndex = (i + 1) % this.count;
+                if (this.life[i] > 0) {
+                    this.surface[i] = model.getWaveHeightAt(position[i * 3], position[i * 3 + 2]);
+                }
+            }
+        }
+
+        for (let i = 0; i < this.count; i++) {
+            if (this.life[i] <= 0) {
+                alpha[i] = 0;
+                continue;
+            }
+            this.life[i] -= deltaTime;
+            const p = i * 3;
+            position[p] += velocity[p] * deltaTime;
+            position[p + 2] += velocity[p + 2] * deltaTime;
+            if (this.floating) {
+                // Foam drifts to a stop on the surface
+                const drag = Math.exp(-0.4 * deltaTime);
+                velocity[p] *= drag;
+                velocity[p + 2] *= drag;
+                position[p + 1] += (this.surface[i] + 0.05 - position[p + 1]) * Math.min(1, deltaTime * 8);
+            } else {
+                velocity[p + 1] -= SPRAY_GRAVITY * deltaTime;
+                position[p + 1] += velocity[p + 1] * deltaTime;
+                if (velocity[p + 1] < 0 && position[p + 1] < this.surface[i]) {
+                    this.life[i] = 0;
+                    if (this.onLand) this.onLand(position[p], this.surface[i], position[p + 2]);
+                }
+            }
+
+            const age = 1 - Math.max(0, this.life[i]) / this.maxLife[i];
+            size[i] = this.startSize[i] + (this.endSize[i] - this.startSize[i]) * age;
+            alpha[i] = this.life[i] > 0 ? this.startAlpha[i] * (1 - age) : 0;
+        }
+        attributes.position.needsUpdate = true;
+        attributes.size.needsUpdate = true;
+        attributes.alpha.needsUpdate = true;
+    }
+
+    // Unlit particles would glow at night, so follow the daylight
+    setBrightness(brightness) {
+        this.material.uniforms.color.value.copy(this.baseColor).multiplyScalar(brightness);
+    }
+
+    setScale(scale) {
+        this.material.uniforms.scale.value = scale;
+    }
+
+    dispose() {
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+// The player boat's effects, emitted from the drawn boat state
+class BoatEffects {
+    constructor(scene, model, quality) {
+        this.scene = scene;
+        this.model = model;
+        this.foam = null;
+        this.spray = null;
+        this.emitted = { wake: 0, wash: 0, bow: 0, boost: 0 }; // Fractional particles carried between frames
+        this.bowImmersion = null;
+        this.slamCooldown = 0;
+        this.onSlam = null; // Called with the bow's speed into the water, for sound
+        this.setQuality(quality);
+    }
+
+    setQuality(quality) {
+        const level = EFFECT_LEVELS[quality.effects];
+        if (level === this.level) return;
+        this.level = level;
+        if (this.foam) this.foam.dispose();
+        if (this.spray) this.spray.dispose();
+        this.foam = new ParticlePool(this.scene, level.foam, { floating: true, color: 0xffffff });
+        this.spray = new ParticlePool(this.scene, level.spray, { floating: false, color: 0xe8f4ff });
+        // Spray leaves a little foam where it lands
+        this.spray.onLand = (x, y, z) => {
+            if (Math.random() < 0.3) this.foam.spawn(x, y, z, 0, 0, 0, 1.5, 0.5, 1.4, 0.5);
+        };
+        this.setViewportHeight(this.viewportHeight);
+    }
+
+    // Point sizes are in metres, scaled to drawing-buffer pixels
+    setViewportHeight(height) {
+        if (!height) return;
+        this.viewportHeight = height;
+        this.foam.setScale(height / 2);
+        this.spray.setScale(height / 2);
+    }
+
+    // How many particles a rate (per second) yields this frame
+    take(key, rate, deltaTime) {
+        this.emitted[key] += rate * this.level.emission * deltaTime;
+        const count = Math.floor(this.emitted[key]);
+        this.emitted[key] -= count;
+        return count;
+    }
+
+    // state is the drawn (interpolated) boat state, hull its dimensions;
+    // daylight runs 0 at night to 1 in full sun
+    update(deltaTime, state, hull, boosting, daylight) {
+        if (deltaTime <= 0) return;
+        const q = state.orientation;
+        const forward = rotateVector(q, vec3(0, 0, 1));
+        const flat = Math.hypot(forward.x, forward.z) || 1;
+        const fx = forward.x / flat;
+        const fz = forward.z / flat;
+        const px = fz; // Port, +x in the body frame
+        const pz = -fx;
+        const v = state.velocity;
+        const speed = Math.hypot(v.x, v.z);
+        const keel = -hull.depth / 2 - hull.centerOfMassHeight;
+        const stern = rotateVector(q, vec3(0, keel, -hull.length / 2));
+        const bow = rotateVector(q, vec3(0, keel, hull.length / 2));
+        const sx = state.position.x + stern.x;
+        const sz = state.position.z + stern.z;
+        const bx = state.position.x + bow.x;
+        const bz = state.position.z + bow.z;
+        const water = this.model.getWaveHeightAt(sx, sz);
+        const bowWater = this.model.getWaveHeightAt(bx, bz);
+
+        // Kelvin wake: foam left at the stern quarters spreads sideways at
+        // tan(19.47°) of the boat speed, so the two arms open at that angle
+        const spread = Math.tan(KELVIN_ANGLE) * speed;
+        for (let n = this.take('wake', speed * 6, deltaTime); n > 0; n--) {
+            const side = n % 2 === 0 ? 1 : -1;
+            const x = sx + px * side * hull.beam / 2;
+            const z = sz + pz * side * hull.beam / 2;
+            this.foam.spawn(x, water, z, px * side * spread, 0, pz * side * spread, 6, 0.8, 3, 0.6);
+        }
+
+        // Turbulent wash straight behind the stern, heavier under boost
+        const wash = speed * 4 * (boosting ? 2 : 1);
+        for (let n = this.take('wash', wash, deltaTime); n > 0; n--) {
+            const jitter = (Math.random() - 0.5) * hull.beam * 0.6;
+            this.foam.spawn(sx + px * jitter, water, sz + pz * jitter,
+                (Math.random() - 0.5) * 0.6 - fx * speed * 0.1, 0, (Math.random() - 0.5) * 0.6 - fz * speed * 0.1,
+                3.5, 1, 2.5, 0.45);
+        }
+
+        // Bow spray thrown off both sides once the boat gets going
+        const bowRate = Math.pow(Math.max(0, speed - 2), 1.5) * 4;
+        for (let n = this.take('bow', bowRate, deltaTime); n > 0; n--) {
+            const side = n % 2 === 0 ? 1 : -1;
+            const out = (1 + speed * 0.2) * (0.6 + Math.random() * 0.6);
+            this.spray.spawn(
+                bx + px * side * hull.beam * 0.3, bowWater + 0.2, bz + pz * side * hull.beam * 0.3,
+                v.x * 0.6 + px * side * out, 1 + speed * 0.15 * Math.random(), v.z * 0.6 + pz * side * out,
+                1.2, 0.25, 0.5, 0.8
+            );
+        }
+
+        // Slamming: the bow driving into a wave faster than it rises out.
+        // One hit lasts a few frames, so each starts a short cooldown.
+        const bowHeight = state.position.y + bow.y;
+        const immersion = bowWater - bowHeight;
+        this.slamCooldown = Math.max(0, this.slamCooldown - deltaTime);
+        if (this.bowImmersion !== null && this.slamCooldown === 0) {
+            const slam = (immersion - this.bowImmersion) / deltaTime;
+            if (slam > SLAM_THRESHOLD) {
+                this.slamCooldown = 0.25;
+                if (this.onSlam) this.onSlam(slam);
+            }
+            if (slam > SLAM_THRESHOLD && speed > 2) {
+                const burst = Math.min(40, Math.floor(slam * speed * 0.6 * this.level.emission));
+                for (let n = 0; n < burst; n++) {
+                    const angle = Math.random() * Math.PI * 2;
+                    const out = 1 + Math.random() * slam;
+                    this.spray.spawn(bx, bowWater + 0.3, bz,
+                        v.x * 0.5 + Math.cos(angle) * out, 2 + Math.random() * slam * 1.5, v.z * 0.5 + Math.sin(angle) * out,
+                        1.5, 0.3, 0.7, 0.9);
+                }
+                for (let n = 0; n < burst / 3; n++) {
+                    this.foam.spawn(bx + (Math.random() - 0.5) * hull.beam, bowWater, bz + (Math.random() - 0.5) * hull.beam,
+                        (Math.random() - 0.5) * 2, 0, (Math.random() - 0.5) * 2, 2.5, 1, 3, 0.6);
+                }
+            }
+        }
+        this.bowImmersion = immersion;
+
+        // Boost throws a rooster tail of spray up behind the stern
+        if (boosting) {
+            for (let n = this.take('boost', 40 + speed * 4, deltaTime); n > 0; n--) {
+                const lift = 4 + speed * 0.25;
+                const back = 2 + speed * 0.2;
+                this.spray.spawn(sx, water + 0.2, sz,
+                    v.x * 0.4 - fx * back + (Math.random() - 0.5), lift * (0.7 + Math.random() * 0.3), v.z * 0.4 - fz * back + (Math.random() - 0.5),
+                    1.5, 0.35, 0.9, 0.7);
+            }
+        }
+
+        this.foam.update(deltaTime, this.model, this.level.surfaceChecks);
+        this.spray.update(deltaTime, this.model, 0);
+        const brightness = 0.25 + 0.75 * daylight;
+        this.foam.setBrightness(brightness);
+        this.spray.setBrightness(brightness);
+    }
+
+    // Leave no wake across a teleport (reset, replay seek, new boat)
+    clear() {
+        for (const pool of [this.foam, this.spray]) {
+            pool.life.fill(0);
+        }
+        this.bowImmersion = null;
+    }
+}
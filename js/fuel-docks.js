@@ -0,0 +1,80 @@
+// Fuel docks: a pontoon with a pump and a lit sign at each of the
+// simulation's docks, riding the waves like the race buoys. The pump glows
+// while the player's boat is filling up alongside it.
+
+class FuelDockView {
+    constructor(scene, model, docks) {
+        this.scene = scene;
+        this.model = model;
+        this.group = new THREE.Group();
+        this.docks = [];
+
+        this.deckGeometry = new THREE.BoxGeometry(8, 0.5, 3);
+        this.pumpGeometry = new THREE.BoxGeometry(0.6, 1.4, 0.5);
+        this.pumpGeometry.translate(0, 0.95, 0);
+        this.signGeometry = new THREE.BoxGeometry(1.6, 0.8, 0.1);
+        this.signGeometry.translate(0, 2.8, 0);
+        this.postGeometry = new THREE.CylinderGeometry(0.06, 0.06, 2.4, 6);
+        this.postGeometry.translate(0, 1.4, 0);
+        this.deckMaterial = new THREE.MeshPhongMaterial({ color: 0x8a6a44, flatShading: isMobile });
+        this.postMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
+        this.signMaterial = new THREE.MeshPhongMaterial({ color: 0xffcc00, emissive: 0xffcc00, emissiveIntensity: 0.4 });
+        scene.add(this.group);
+        this.setDocks(docks);
+    }
+
+    setDocks(docks) {
+        for (const dock of this.docks) {
+            this.group.remove(dock.mesh);
+            dock.pumpMaterial.dispose();
+        }
+        this.docks = docks.map((position) => {
+            const mesh = new THREE.Group();
+            const deck = new THREE.Mesh(this.deckGeometry, this.deckMaterial);
+            deck.castShadow = true;
+            deck.receiveShadow = true;
+            const pumpMaterial = new THREE.MeshPhongMaterial({ color: 0xcc2222, emissive: 0x33ff66, emissiveIntensity: 0 });
+            const pump = new THREE.Mesh(this.pumpGeometry, pumpMaterial);
+            pump.position.x = 2.5;
+            pump.castShadow = true;
+            const post = new THREE.Mesh(this.postGeometry, this.postMaterial);
+            post.position.x = -2.5;
+            const sign = new THREE.Mesh(this.signGeometry, this.signMaterial);
+            sign.position.x = -2.5;
+            mesh.add(deck, pump, post, sign);
+            this.group.add(mesh);
+            return { mesh, position, pumpMaterial };
+        });
+    }
+
+    // refuelling: the dock the player is filling up at, if any
+    update(time, refuelling) {
+        const waveField = this.model.waveField;
+        const up = new THREE.Vector3(0, 1, 0);
+        const normal = new THREE.Vector3();
+        const tilt = new THREE.Quaternion();
+        const pulse = 0.5 + 0.5 * Math.sin(time * 5);
+        for (const dock of this.docks) {
+            const { x, z, facing } = dock.position;
+            const n = waveField.normalAt(x, z, time);
+            dock.mesh.position.set(x, waveField.heightAt(x, z, time) + 0.1, z);
+            // Long side along the shore, gently following the swell
+            tilt.setFromUnitVectors(up, normal.set(n.x, n.y, n.z).lerp(up, 0.5).normalize());
+            dock.mesh.quaternion.setFromAxisAngle(up, facing).premultiply(tilt);
+            dock.pumpMaterial.emissiveIntensity = dock.position === refuelling ? pulse : 0;
+        }
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        for (const geometry of [this.deckGeometry, this.pumpGeometry, this.signGeometry, this.postGeometry]) {
+            geometry.dispose();
+        }
+        for (const material of [this.deckMaterial, this.postMaterial, this.signMaterial]) {
+            material.dispose();
+        }
+        for (const dock of this.docks) {
+            dock.pumpMaterial.dispose();
+        }
+    }
+}
@@ -0,0 +1,660 @@
+// Shared input layer. Every backend exposes the same control fields that
+// Boat.update and CameraRig.update read, and InputManager merges them each frame.
+
+const DEFAULT_BINDINGS = {
+    keyboard: {
+        moveUp: ['KeyW', 'ArrowUp'],
+        moveDown: ['KeyS', 'ArrowDown'],
+        moveLeft: ['KeyA', 'ArrowLeft'],
+        moveRight: ['KeyD', 'ArrowRight'],
+        cameraLeft: ['KeyJ'],
+        cameraRight: ['KeyL'],
+        cameraUp: ['KeyI'],
+        cameraDown: ['KeyK'],
+        cameraMode: ['KeyC'],
+        zoomIn: ['Equal', 'NumpadAdd'],
+        zoomOut: ['Minus', 'NumpadSubtract'],
+        boost: ['ShiftLeft', 'ShiftRight', 'Space'],
+        reset: ['KeyR'],
+        sheetIn: ['KeyQ'],
+        sheetOut: ['KeyE'],
+        toggleMode: ['KeyM'],
+        pause: ['Escape', 'KeyP'],
+        debug: ['F3', 'Backquote']
+    },
+    // Indices follow the "standard" Gamepad API mapping
+    gamepad: {
+        boost: [0],
+        reset: [3],
+        throttle: [7],
+        reverse: [6],
+        sheetIn: [4],
+        sheetOut: [5],
+        toggleMode: [8],
+        cameraMode: [1],
+        zoomIn: [12],
+        zoomOut: [13],
+        pause: [9]
+    }
+};
+
+const BINDINGS_STORAGE_KEY = 'boater3d.bindings';
+
+// Remappable key/button bindings persisted in localStorage; a null
+// storageKey keeps them in memory only
+class InputBindings {
+    constructor(storageKey = BINDINGS_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.bindings = this.load();
+    }
+
+    load() {
+        const bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        if (!this.storageKey) return bindings;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                for (const device of Object.keys(bindings)) {
+                    Object.assign(bindings[device], saved[device]);
+                }
+            }
+        } catch (err) {
+            console.log('Could not load input bindings:', err);
+        }
+        return bindings;
+    }
+
+    save() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.log('Could not save input bindings:', err);
+        }
+    }
+
+    get(device, action) {
+        return this.bindings[device][action] || [];
+    }
+
+    rebind(device, action, codes) {
+        if (!(action in DEFAULT_BINDINGS[device])) {
+            throw new Error(`Unknown ${device} action: ${action}`);
+        }
+        this.bindings[device][action] = Array.isArray(codes) ? codes.slice() : [codes];
+        this.save();
+    }
+
+    reset() {
+        this.bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        this.save();
+    }
+
+    // Find the action bound to a key or button, if any
+    actionFor(device, code) {
+        const map = this.bindings[device];
+        return Object.keys(map).find(action => map[action].includes(code));
+    }
+}
+
+// WASD / arrow keys, heard on target: the whole window, or one focusable
+// element so several simulators on a page each only hear their own keys
+class KeyboardInput {
+    constructor(bindings, target = window) {
+        Object.assign(this, createControlState());
+        this.bindings = bindings;
+        this.target = target;
+        this.pressed = new Set();
+
+        this.onKeyDown = (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            // Bubbling up from another simulator's canvas, which already has it
+            if (e.defaultPrevented) return;
+            if (this.bindings.actionFor('keyboard', e.code)) {
+                e.preventDefault();
+                this.pressed.add(e.code);
+            }
+        };
+        this.onKeyUp = (e) => {
+            this.pressed.delete(e.code);
+        };
+        // Keys released while the target is unfocused never fire keyup
+        this.onBlur = () => {
+            this.pressed.clear();
+        };
+        target.addEventListener('keydown', this.onKeyDown);
+        target.addEventListener('keyup', this.onKeyUp);
+        target.addEventListener('blur', this.onBlur);
+    }
+
+    dispose() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+        this.target.removeEventListener('keyup', this.onKeyUp);
+        this.target.removeEventListener('blur', this.onBlur);
+    }
+
+    isDown(action) {
+        return this.bindings.get('keyboard', action).some(code => this.pressed.has(code));
+    }
+
+    update() {
+        this.moveX = (this.isDown('moveRight') ? 1 : 0) - (this.isDown('moveLeft') ? 1 : 0);
+        this.moveY = (this.isDown('moveUp') ? 1 : 0) - (this.isDown('moveDown') ? 1 : 0);
+        this.cameraX = (this.isDown('cameraRight') ? 1 : 0) - (this.isDown('cameraLeft') ? 1 : 0);
+        this.cameraY = (this.isDown('cameraDown') ? 1 : 0) - (this.isDown('cameraUp') ? 1 : 0);
+        this.cameraZoom = (this.isDown('zoomOut') ? 1 : 0) - (this.isDown('zoomIn') ? 1 : 0);
+        this.cameraMode = this.isDown('cameraMode');
+        this.boost = this.isDown('boost');
+        this.reset = this.isDown('reset');
+        this.sheet = (this.isDown('sheetOut') ? 1 : 0) - (this.isDown('sheetIn') ? 1 : 0);
+        this.toggleMode = this.isDown('toggleMode');
+        this.pause = this.isDown('pause');
+        this.debug = this.isDown('debug');
+    }
+}
+
+// Mouse-drag camera orbit and wheel zoom on the canvas
+class MouseInput {
+    constructor(element) {
+        Object.assign(this, createControlState());
+        this.dragging = false;
+        this.pendingX = 0;
+        this.pendingY = 0;
+        this.pendingZoom = 0;
+
+        element.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            this.dragging = true;
+        });
+
+        // Drags carry on outside the element
+        this.onMouseMove = (e) => {
+            if (!this.dragging) return;
+            this.pendingX += e.movementX;
+            this.pendingY += e.movementY;
+        };
+        this.onMouseUp = () => {
+            this.dragging = false;
+        };
+        window.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('mouseup', this.onMouseUp);
+
+        element.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.pendingZoom += e.deltaY * 0.03;
+        }, { passive: false });
+    }
+
+    dispose() {
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('mouseup', this.onMouseUp);
+    }
+
+    update() {
+        // Drag turns and tilts the view, the wheel zooms; both stay where they are left
+        this.cameraX = this.pendingX * 0.1;
+        this.cameraY = this.pendingY * 0.1;
+        this.cameraZoom = this.pendingZoom;
+        this.pendingX = 0;
+        this.pendingY = 0;
+        this.pendingZoom = 0;
+    }
+}
+
+// Every live GamepadInput on the page, so they can keep off each other's pads
+const gamepadInputs = new Set();
+
+// Gamepad API: analog sticks, triggers and buttons. options.index reads that
+// pad only; otherwise it is the first connected pad no other input has
+// pinned. options.focus reads nothing unless that element has focus, like a
+// canvas's own keyboard, and while it does the inputs without one step aside.
+class GamepadInput {
+    constructor(bindings, options = {}) {
+        Object.assign(this, createControlState());
+        this.bindings = bindings;
+        this.index = options.index !== undefined ? options.index : null;
+        this.focus = options.focus || null;
+        this.deadZone = 0.15;
+        this.connected = false; // Pads are polled, so this is whether one answered the last poll
+        gamepadInputs.add(this);
+    }
+
+    dispose() {
+        gamepadInputs.delete(this);
+    }
+
+    getGamepad() {
+        if (!navigator.getGamepads) return null;
+        const pads = navigator.getGamepads();
+        if (this.index !== null) {
+            const pad = pads[this.index];
+            return pad && pad.connected ? pad : null;
+        }
+        const others = [...gamepadInputs].filter(input => input !== this);
+        if (this.focus) {
+            if (document.activeElement !== this.focus) return null;
+        } else if (others.some(input => input.focus && input.focus === document.activeElement)) {
+            return null;
+        }
+        const pinned = others.map(input => input.index);
+        for (const pad of pads) {
+            if (pad && pad.connected && !pinned.includes(pad.index)) return pad;
+        }
+        return null;
+    }
+
+    applyDeadZone(value) {
+        return Math.abs(value) < this.deadZone ? 0 : value;
+    }
+
+    buttonValue(pad, action) {
+        let value = 0;
+        for (const index of this.bindings.get('gamepad', action)) {
+            const button = pad.buttons[index];
+            if (button) value = Math.max(value, button.value);
+        }
+        return value;
+    }
+
+    update() {
+        const pad = this.getGamepad();
+        this.connected = !!pad;
+        if (!pad) {
+            Object.assign(this, createControlState());
+            return;
+        }
+
+        this.moveX = this.applyDeadZone(pad.axes[0] || 0);
+        this.moveY = -this.applyDeadZone(pad.axes[1] || 0);
+        this.cameraX = this.applyDeadZone(pad.axes[2] || 0);
+        this.cameraY = this.applyDeadZone(pad.axes[3] || 0);
+        this.cameraZoom = this.buttonValue(pad, 'zoomOut') - this.buttonValue(pad, 'zoomIn');
+        this.cameraMode = this.buttonValue(pad, 'cameraMode') > 0.5;
+
+        // Analog triggers override the stick for moving the throttle lever
+        const throttle = this.buttonValue(pad, 'throttle') - this.buttonValue(pad, 'reverse');
+        if (Math.abs(throttle) > 0.05) {
+            this.moveY = throttle;
+        }
+
+        this.boost = this.buttonValue(pad, 'boost') > 0.5;
+        this.reset = this.buttonValue(pad, 'reset') > 0.5;
+        this.sheet = this.buttonValue(pad, 'sheetOut') - this.buttonValue(pad, 'sheetIn');
+        this.toggleMode = this.buttonValue(pad, 'toggleMode') > 0.5;
+        this.pause = this.buttonValue(pad, 'pause') > 0.5;
+    }
+}
+
+// Mobile Touch Controls
+class MobileControls {
+    constructor(canvas) {
+        Object.assign(this, createControlState());
+        this.pendingZoom = 0;
+        this.stickTravel = 40; // Pixels from centre to full deflection, grows with the control size
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+
+        this.setupJoysticks();
+        this.setupPinch(canvas);
+        this.setupButtons();
+        this.preventDefaultTouches();
+    }
+
+    setupJoysticks() {
+        const signal = this.events.signal;
+        // Movement Joystick
+        const moveJoystick = document.getElementById('movementJoystick');
+        const moveThumb = document.getElementById('moveThumb');
+        let moveActive = false;
+        let moveStartX = 0;
+        let moveStartY = 0;
+
+        const handleMoveStart = (e) => {
+            moveActive = true;
+            const touch = e.touches ? e.touches[0] : e;
+            const rect = moveJoystick.getBoundingClientRect();
+            moveStartX = rect.left + rect.width / 2;
+            moveStartY = rect.top + rect.height / 2;
+            this.createTouchFeedback(touch.clientX, touch.clientY);
+        };
+
+        const handleMoveMove = (e) => {
+            if (!moveActive) return;
+            e.preventDefault();
+
+            const touch = e.touches ? e.touches[0] : e;
+            const deltaX = touch.clientX - moveStartX;
+            const deltaY = touch.clientY - moveStartY;
+
+            const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+            const maxDistance = this.stickTravel;
+            const half = moveThumb.offsetWidth / 2;
+
+            if (distance > maxDistance) {
+                const angle = Math.atan2(deltaY, deltaX);
+                this.moveX = Math.cos(angle);
+                this.moveY = -Math.sin(angle);
+                moveThumb.style.transform = `translate(${Math.cos(angle) * maxDistance - half}px, ${Math.sin(angle) * maxDistance - half}px)`;
+            } else {
+                this.moveX = deltaX / maxDistance;
+                this.moveY = -deltaY / maxDistance;
+                moveThumb.style.transform = `translate(${deltaX - half}px, ${deltaY - half}px)`;
+            }
+        };
+
+        const handleMoveEnd = () => {
+            moveActive = false;
+            this.moveX = 0;
+            this.moveY = 0;
+            moveThumb.style.transform = '';
+        };
+
+        moveJoystick.addEventListener('touchstart', handleMoveStart, { passive: false, signal });
+        moveJoystick.addEventListener('touchmove', handleMoveMove, { passive: false, signal });
+        moveJoystick.addEventListener('touchend', handleMoveEnd, { signal });
+        moveJoystick.addEventListener('touchcancel', handleMoveEnd, { signal });
+
+        // Camera Control
+        const cameraControl = document.getElementById('cameraControl');
+        const cameraThumb = document.getElementById('cameraThumb');
+        let cameraActive = false;
+        let cameraStartX = 0;
+        let cameraStartY = 0;
+
+        const handleCameraStart = (e) => {
+            cameraActive = true;
+            const touch = e.touches ? e.touches[0] : e;
+            const rect = cameraControl.getBoundingClientRect();
+            cameraStartX = rect.left + rect.width / 2;
+            cameraStartY = rect.top + rect.height / 2;
+            this.createTouchFeedback(touch.clientX, touch.clientY);
+        };
+
+        const handleCameraMove = (e) => {
+            if (!cameraActive) return;
+            e.preventDefault();
+
+            const touch = e.touches ? e.touches[0] : e;
+            const deltaX = touch.clientX - cameraStartX;
+            const deltaY = touch.clientY - cameraStartY;
+
+            const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+            const maxDistance = this.stickTravel;
+            const half = cameraThumb.offsetWidth / 2;
+
+            if (distance > maxDistance) {
+                const angle = Math.atan2(deltaY, deltaX);
+                this.cameraX = Math.cos(angle);
+                this.cameraY = Math.sin(angle);
+                cameraThumb.style.transform = `translate(${Math.cos(angle) * maxDistance - half}px, ${Math.sin(angle) * maxDistance - half}px)`;
+            } else {
+                this.cameraX = deltaX / maxDistance;
+                this.cameraY = deltaY / maxDistance;
+                cameraThumb.style.transform = `translate(${deltaX - half}px, ${deltaY - half}px)`;
+            }
+        };
+
+        const handleCameraEnd = () => {
+            cameraActive = false;
+            this.cameraX = 0;
+            this.cameraY = 0;
+            cameraThumb.style.transform = '';
+        };
+
+        cameraControl.addEventListener('touchstart', handleCameraStart, { passive: false, signal });
+        cameraControl.addEventListener('touchmove', handleCameraMove, { passive: false, signal });
+        cameraControl.addEventListener('touchend', handleCameraEnd, { signal });
+        cameraControl.addEventListener('touchcancel', handleCameraEnd, { signal });
+    }
+
+    // Two fingers on the water pinch the camera in and out
+    setupPinch(canvas) {
+        const signal = this.events.signal;
+        let lastSpread = 0;
+        const spread = (touches) => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+
+        canvas.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2) lastSpread = spread(e.touches);
+        }, { passive: false, signal });
+
+        canvas.addEventListener('touchmove', (e) => {
+            if (e.touches.length !== 2 || !lastSpread) return;
+            e.preventDefault();
+            const current = spread(e.touches);
+            if (current > 0) {
+                this.pendingZoom += Math.log(lastSpread / current) / CAMERA_ZOOM_RATE;
+                lastSpread = current;
+            }
+        }, { passive: false, signal });
+
+        canvas.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) lastSpread = 0;
+        }, { signal });
+    }
+
+    update() {
+        this.cameraZoom = this.pendingZoom;
+        this.pendingZoom = 0;
+    }
+
+    dispose() {
+        this.events.abort();
+    }
+
+    setupButtons() {
+        const signal = this.events.signal;
+        // Boost button
+        const boostButton = document.getElementById('boostButton');
+        boostButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.boost = true;
+            boostButton.style.transform = 'scale(0.95)';
+        }, { signal });
+
+        boostButton.addEventListener('touchend', () => {
+            this.boost = false;
+            boostButton.style.transform = 'scale(1)';
+        }, { signal });
+
+        boostButton.addEventListener('touchcancel', () => {
+            this.boost = false;
+            boostButton.style.transform = 'scale(1)';
+        }, { signal });
+
+        // Reset button
+        const resetButton = document.getElementById('resetButton');
+        resetButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.reset = true;
+            resetButton.style.transform = 'scale(0.9)';
+        }, { signal });
+
+        resetButton.addEventListener('touchend', () => {
+            this.reset = false;
+            resetButton.style.transform = 'scale(1)';
+        }, { signal });
+        
+        // Sail mode toggle
+        const modeButton = document.getElementById('modeButton');
+        modeButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.toggleMode = true;
+        }, { signal });
+        
+        modeButton.addEventListener('touchend', () => {
+            this.toggleMode = false;
+        }, { signal });
+
+        // Camera mode button
+        const cameraButton = document.getElementById('cameraButton');
+        cameraButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.cameraMode = true;
+        }, { signal });
+
+        cameraButton.addEventListener('touchend', () => {
+            this.cameraMode = false;
+        }, { signal });
+        
+        // Sheet in/out buttons, held to keep trimming
+        const sheetButtons = [
+            [document.getElementById('sheetInButton'), -1],
+            [document.getElementById('sheetOutButton'), 1]
+        ];
+        for (const [button, direction] of sheetButtons) {
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.sheet = direction;
+            }, { signal });
+            const release = () => {
+                this.sheet = 0;
+            };
+            button.addEventListener('touchend', release, { signal });
+            button.addEventListener('touchcancel', release, { signal });
+        }
+    }
+
+    createTouchFeedback(x, y) {
+        const feedback = document.createElement('div');
+        feedback.className = 'touch-feedback';
+        feedback.style.left = x + 'px';
+        feedback.style.top = y + 'px';
+        document.body.appendChild(feedback);
+
+        setTimeout(() => {
+            feedback.remove();
+        }, 600);
+    }
+
+    preventDefaultTouches() {
+        const signal = this.events.signal;
+        document.addEventListener('touchstart', (e) => {
+            if (e.target.tagName !== 'CANVAS') {
+                e.stopPropagation();
+            }
+        }, { passive: false, signal });
+
+        document.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+        }, { passive: false, signal });
+
+        // Prevent double-tap zoom
+        let lastTouchEnd = 0;
+        document.addEventListener('touchend', (e) => {
+            const now = Date.now();
+            if (now - lastTouchEnd <= 300) {
+                e.preventDefault();
+            }
+            lastTouchEnd = now;
+        }, { signal });
+    }
+}
+
+// Picks backends at runtime and merges them into one control state.
+// options.onScreen: false leaves out the page's touch sticks and buttons,
+// for a canvas embedded without the game's HUD; the keyboard and gamepad are
+// then only heard while the canvas has focus (click it, or tab to it)
+// instead of on the whole window. options.gamepad pins the pad at that index
+// to this manager, focused or not. options.storageKey is where the bindings
+// are kept, as for InputBindings.
+class InputManager {
+    constructor(canvas, options = {}) {
+        Object.assign(this, createControlState());
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        this.bindings = new InputBindings(options.storageKey !== undefined ? options.storageKey : BINDINGS_STORAGE_KEY);
+        this.backends = [];
+        this.pointer = createControlState();
+
+        const onScreen = options.onScreen !== false;
+        if (onScreen) {
+            const hasTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+            document.body.classList.toggle('touch-device', hasTouch);
+            if (hasTouch) {
+                this.touch = new MobileControls(canvas);
+                this.backends.push(this.touch);
+            }
+            this.setupPointerButtons();
+        }
+
+        if (!onScreen && canvas.tabIndex < 0) {
+            canvas.tabIndex = 0;
+            canvas.style.outline = 'none';
+        }
+        this.keyboard = new KeyboardInput(this.bindings, onScreen ? window : canvas);
+        this.mouse = new MouseInput(canvas);
+        this.gamepad = new GamepadInput(this.bindings, {
+            index: options.gamepad,
+            focus: onScreen || options.gamepad !== undefined ? null : canvas
+        });
+        this.backends.push(this.keyboard, this.mouse, this.gamepad);
+
+        this.settings = Object.assign({}, DEFAULT_SETTINGS);
+    }
+
+    // Player preferences from Settings: camera feel, dead zone and stick size
+    applySettings(values) {
+        this.settings = Object.assign({}, values);
+        if (this.touch) {
+            this.touch.stickTravel = 40 * values.controlSize;
+        }
+    }
+
+    // Let the on-screen reset, mode and camera buttons work with a mouse as well as touch
+    setupPointerButtons() {
+        const signal = this.events.signal;
+        const buttons = [
+            ['resetButton', 'reset'],
+            ['modeButton', 'toggleMode'],
+            ['cameraButton', 'cameraMode']
+        ];
+        for (const [id, action] of buttons) {
+            document.getElementById(id).addEventListener('mousedown', () => {
+                this.pointer[action] = true;
+            }, { signal });
+        }
+        this.onMouseUp = () => {
+            this.pointer = createControlState();
+        };
+        window.addEventListener('mouseup', this.onMouseUp, { signal });
+    }
+
+    // Window and page listeners stay until this is called
+    dispose() {
+        this.keyboard.dispose();
+        this.mouse.dispose();
+        this.gamepad.dispose();
+        if (this.touch) this.touch.dispose();
+        this.events.abort();
+    }
+
+    // Strongest axis deflection wins, buttons combine
+    mergeInto(merged, source) {
+        for (const key of Object.keys(merged)) {
+            if (typeof merged[key] === 'boolean') {
+                merged[key] = merged[key] || !!source[key];
+            } else if (Math.abs(source[key] || 0) > Math.abs(merged[key])) {
+                merged[key] = source[key];
+            }
+        }
+    }
+
+    update() {
+        const merged = createControlState();
+
+        for (const backend of this.backends) {
+            if (backend.update) backend.update();
+
+            this.mergeInto(merged, backend);
+        }
+        this.mergeInto(merged, this.pointer);
+
+        const s = this.settings;
+        merged.cameraX *= s.cameraSensitivity * (s.invertCameraX ? -1 : 1);
+        merged.cameraY *= s.cameraSensitivity * (s.invertCameraY ? -1 : 1);
+        merged.deadZone = s.deadZone;
+
+        Object.assign(this, merged);
+    }
+}
@@ -0,0 +1,391 @@
+// Instrument cluster and chart plotter: compass rose, heading, course and
+// speed over ground, trip log, lat/lon, and a north-up minimap with land,
+// shallows, the boat's track, race marks and other boats. Units are
+// user-selectable.
+
+const INSTRUMENT_SETTINGS_KEY = 'boater3d.instruments';
+const CHART_SCALES = [0.5, 1, 2, 5, 10, 20, 50]; // Metres per chart pixel
+
+// Unit choices and the chart origin, persisted in localStorage. A
+// ?origin=lat,lon URL parameter moves the origin.
+class InstrumentSettings {
+    constructor() {
+        const settings = { speedUnit: 'kn', lengthUnit: 'm', origin: DEFAULT_CHART_ORIGIN };
+        try {
+            Object.assign(settings, JSON.parse(localStorage.getItem(INSTRUMENT_SETTINGS_KEY)));
+        } catch (err) {
+            console.log('Could not load instrument settings:', err);
+        }
+        const originParam = new URLSearchParams(location.search).get('origin');
+        if (originParam) {
+            const [lat, lon] = originParam.split(',').map(Number);
+            if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+                settings.origin = { lat, lon };
+            }
+        }
+        if (!(settings.speedUnit in SPEED_UNITS)) settings.speedUnit = 'kn';
+        if (!(settings.lengthUnit in LENGTH_UNITS)) settings.lengthUnit = 'm';
+        Object.assign(this, settings);
+        this.save();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(INSTRUMENT_SETTINGS_KEY, JSON.stringify({
+                speedUnit: this.speedUnit,
+                lengthUnit: this.lengthUnit,
+                origin: this.origin
+            }));
+        } catch (err) {
+            console.log('Could not save instrument settings:', err);
+        }
+    }
+
+    // Format a speed in m/s
+    speed(value, digits = 1) {
+        const unit = SPEED_UNITS[this.speedUnit];
+        return `${(value * unit.factor).toFixed(digits)} ${unit.label}`;
+    }
+
+    // Format a trip distance in metres, in the unit that goes with the speed unit
+    distance(value) {
+        const unit = DISTANCE_UNITS[SPEED_UNITS[this.speedUnit].distance];
+        return `${(value / unit.metres).toFixed(2)} ${unit.label}`;
+    }
+
+    // Format a short length in metres (wave height, chart scale)
+    length(value, digits = 1) {
+        const unit = LENGTH_UNITS[this.lengthUnit];
+        return `${(value * unit.factor).toFixed(digits)} ${unit.label}`;
+    }
+}
+
+// Heading-up compass card with a lubber line at the top and a course over
+// ground marker
+class CompassRose {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+    }
+
+    draw(heading, course) {
+        const ctx = this.context;
+        const size = this.canvas.width;
+        const c = size / 2;
+        const r = c - 4;
+        const toRadians = Math.PI / 180;
+        ctx.clearRect(0, 0, size, size);
+
+        ctx.save();
+        ctx.translate(c, c);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.rotate(-heading * toRadians);
+        ctx.strokeStyle = 'white';
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let bearing = 0; bearing < 360; bearing += 10) {
+            const major = bearing % 30 === 0;
+            ctx.save();
+            ctx.rotate(bearing * toRadians);
+            ctx.lineWidth = major ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(0, -r);
+            ctx.lineTo(0, -r + (major ? 8 : 4));
+            ctx.stroke();
+            if (bearing % 90 === 0) {
+                ctx.font = 'bold 13px Arial, sans-serif';
+                ctx.fillStyle = bearing === 0 ? '#ff5544' : 'white';
+                ctx.fillText('NESW'[bearing / 90], 0, -r + 18);
+            }
+            ctx.restore();
+        }
+
+        // Course over ground
+        ctx.rotate(course * toRadians);
+        ctx.fillStyle = '#4fc3f7';
+        ctx.beginPath();
+        ctx.moveTo(0, -r + 22);
+        ctx.lineTo(-5, -r + 32);
+        ctx.lineTo(5, -r + 32);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+
+        // Lubber line: the bow
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(c, 2);
+        ctx.lineTo(c, 14);
+        ctx.stroke();
+    }
+}
+
+// North-up minimap centred on the boat
+class ChartPlotter {
+    constructor(canvas, settings) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.settings = settings;
+        this.scaleIndex = 2;
+        this.land = null;
+    }
+
+    get metresPerPixel() {
+        return CHART_SCALES[this.scaleIndex];
+    }
+
+    // Land and shallows pre-drawn at one pixel per terrain grid point
+    setTerrain(terrain) {
+        if (!terrain) {
+            this.land = null;
+            return;
+        }
+        const n = terrain.size;
+        const image = document.createElement('canvas');
+        image.width = image.height = n;
+        const ctx = image.getContext('2d');
+        const pixels = ctx.createImageData(n, n);
+        for (let i = 0; i < n * n; i++) {
+            const height = terrain.heights[i];
+            let color = null;
+            if (height > 0) {
+                color = [214, 196, 140, 255]; // Land
+            } else if (height > -5) {
+                color = [120, 180, 200, 200]; // Shallows
+            } else if (height > -15) {
+                color = [60, 120, 160, 120];
+            }
+            if (color) pixels.data.set(color, i * 4);
+        }
+        ctx.putImageData(pixels, 0, 0);
+        // Each pixel is centred on its grid point
+        this.land = {
+            image,
+            x: terrain.originX - terrain.cellSize / 2,
+            z: terrain.originZ - terrain.cellSize / 2,
+            extent: n * terrain.cellSize
+        };
+    }
+
+    // Positive steps zoom out
+    zoom(steps) {
+        this.scaleIndex = Math.max(0, Math.min(CHART_SCALES.length - 1, this.scaleIndex + steps));
+    }
+
+    // view: { position, heading, track, marks: [{ x, z, color, active }],
+    // lines: [{ a, b }], boats: [{ x, z, heading, label }], fuelDocks: [{ x, z }] }
+    draw(view) {
+        const ctx = this.context;
+        const size = this.canvas.width;
+        const c = size / 2;
+        const scale = 1 / this.metresPerPixel;
+        const toChart = (x, z) => [c + (x - view.position.x) * scale, c + (z - view.position.z) * scale];
+
+        ctx.clearRect(0, 0, size, size);
+        ctx.fillStyle = 'rgba(10, 40, 70, 0.75)';
+        ctx.fillRect(0, 0, size, size);
+
+        if (this.land) {
+            const [x, y] = toChart(this.land.x, this.land.z);
+            const extent = this.land.extent * scale;
+            ctx.drawImage(this.land.image, x, y, extent, extent);
+        }
+
+        // Track
+        ctx.strokeStyle = 'rgba(79, 195, 247, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        view.track.forEach((point, i) => {
+            const [x, y] = toChart(point.x, point.z);
+            if (i === 0 || point.gap) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        const [bx, by] = toChart(view.position.x, view.position.z);
+        if (view.track.length) ctx.lineTo(bx, by);
+        ctx.stroke();
+
+        // Gate lines and marks
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.setLineDash([4, 3]);
+        for (const line of view.lines) {
+            ctx.beginPath();
+            ctx.moveTo(...toChart(line.a.x, line.a.z));
+            ctx.lineTo(...toChart(line.b.x, line.b.z));
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+        for (const mark of view.marks) {
+            const [x, y] = toChart(mark.x, mark.z);
+            ctx.fillStyle = mark.color;
+            ctx.beginPath();
+            ctx.arc(x, y, 3.5, 0, Math.PI * 2);
+            ctx.fill();
+            if (mark.active) {
+                ctx.strokeStyle = '#ffcc00';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(x, y, 8, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+
+        // Fuel docks; the nearest stays pinned to the edge when it is off the chart
+        const nearest = nearestFuelDock(view.fuelDocks, view.position.x, view.position.z).dock;
+        ctx.font = 'bold 8px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const dock of view.fuelDocks) {
+            const [x, y] = toChart(dock.x, dock.z);
+            const onChart = x >= 0 && x <= size && y >= 0 && y <= size;
+            if (!onChart && dock !== nearest) continue;
+            const cx = Math.max(6, Math.min(size - 6, x));
+            const cy = Math.max(6, Math.min(size - 6, y));
+            ctx.fillStyle = onChart ? '#33cc66' : 'rgba(51, 204, 102, 0.6)';
+            ctx.fillRect(cx - 5, cy - 5, 10, 10);
+            ctx.fillStyle = 'white';
+            ctx.fillText('F', cx, cy + 0.5);
+        }
+        ctx.textBaseline = 'alphabetic';
+
+        // Other boats, then our own on top
+        ctx.font = '10px Arial, sans-serif';
+        ctx.textAlign = 'left';
+        for (const boat of view.boats) {
+            const [x, y] = toChart(boat.x, boat.z);
+            this.drawBoat(x, y, boat.heading, boat.color || 'white', 4);
+            if (boat.label) {
+                ctx.fillStyle = 'white';
+                ctx.fillText(boat.label, x + 7, y - 5);
+            }
+        }
+        this.drawBoat(bx, by, view.heading, '#ffcc00', 6);
+
+        // Scale bar a round number of metres long, about a quarter of the chart
+        const target = size / 4 * this.metresPerPixel;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+        const metres = [1, 2, 5, 10].map(m => m * magnitude).filter(m => m <= target).pop();
+        const width = metres * scale;
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(8, size - 10);
+        ctx.lineTo(8 + width, size - 10);
+        ctx.stroke();
+        ctx.fillStyle = 'white';
+        ctx.fillText(this.settings.length(metres, 0), 8, size - 16);
+        ctx.textAlign = 'right';
+        ctx.fillText('N↑', size - 6, 14);
+    }
+
+    drawBoat(x, y, heading, color, size) {
+        const ctx = this.context;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(heading * Math.PI / 180);
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(0, -size * 1.5);
+        ctx.lineTo(size, size);
+        ctx.lineTo(-size, size);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+class InstrumentPanel {
+    constructor(simulation) {
+        this.settings = new InstrumentSettings();
+        this.log = new NavigationLog(simulation);
+        this.panel = document.getElementById('instruments');
+        this.compass = new CompassRose(document.getElementById('compassRose'));
+        this.chart = new ChartPlotter(document.getElementById('chartPlotter'), this.settings);
+        this.chart.setTerrain(simulation.terrain);
+        simulation.on('terrain', (terrain) => this.chart.setTerrain(terrain));
+        this.readouts = {
+            heading: document.getElementById('navHeading'),
+            course: document.getElementById('navCourse'),
+            speed: document.getElementById('navSpeed'),
+            trip: document.getElementById('navTrip'),
+            position: document.getElementById('navPosition')
+        };
+
+        this.speedSelect = document.getElementById('speedUnitSelect');
+        this.lengthSelect = document.getElementById('lengthUnitSelect');
+        const speedSelect = this.speedSelect;
+        const lengthSelect = this.lengthSelect;
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.events.signal;
+        for (const [key, unit] of Object.entries(SPEED_UNITS)) {
+            speedSelect.add(new Option(unit.label, key, false, key === this.settings.speedUnit));
+        }
+        for (const [key, unit] of Object.entries(LENGTH_UNITS)) {
+            lengthSelect.add(new Option(unit.label, key, false, key === this.settings.lengthUnit));
+        }
+        speedSelect.addEventListener('change', () => {
+            this.setUnits(speedSelect.value, this.settings.lengthUnit);
+            speedSelect.blur();
+        }, { signal });
+        lengthSelect.addEventListener('change', () => {
+            this.setUnits(this.settings.speedUnit, lengthSelect.value);
+            lengthSelect.blur();
+        }, { signal });
+
+        document.getElementById('tripResetButton').addEventListener('click', () => this.log.resetTrip(), { signal });
+        document.getElementById('chartZoomIn').addEventListener('click', () => this.chart.zoom(-1), { signal });
+        document.getElementById('chartZoomOut').addEventListener('click', () => this.chart.zoom(1), { signal });
+        this.chart.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.chart.zoom(e.deltaY > 0 ? 1 : -1);
+        }, { passive: false, signal });
+        document.getElementById('instrumentsToggle').addEventListener('click', (e) => {
+            this.panel.classList.toggle('collapsed');
+            e.currentTarget.blur();
+        }, { signal });
+        // Small screens start with the panel folded away
+        if (document.body.classList.contains('touch-device')) {
+            this.panel.classList.add('collapsed');
+        }
+    }
+
+    // chart: { marks, lines, boats, fuelDocks } from the race, replay and multiplayer layers
+    // Change the display units from either this panel or the settings page
+    setUnits(speedUnit, lengthUnit) {
+        if (!(speedUnit in SPEED_UNITS) || !(lengthUnit in LENGTH_UNITS)) {
+            throw new Error(`Unknown units: ${speedUnit}, ${lengthUnit}`);
+        }
+        this.settings.speedUnit = speedUnit;
+        this.settings.lengthUnit = lengthUnit;
+        this.settings.save();
+        this.speedSelect.value = speedUnit;
+        this.lengthSelect.value = lengthUnit;
+    }
+
+    update(position, chart) {
+        const log = this.log;
+        const settings = this.settings;
+        const r = this.readouts;
+        r.heading.textContent = `${log.heading.toFixed(0).padStart(3, '0')}°`;
+        r.course.textContent = `${log.courseOverGround.toFixed(0).padStart(3, '0')}°`;
+        r.speed.textContent = settings.speed(log.speedOverGround);
+        r.trip.textContent = settings.distance(log.tripDistance);
+        r.position.textContent = formatLatLon(toLatLon(position.x, position.z, settings.origin));
+
+        if (this.panel.classList.contains('collapsed')) return;
+        this.compass.draw(log.heading, log.courseOverGround);
+        this.chart.draw(Object.assign({ position, heading: log.heading, track: log.track }, chart));
+    }
+
+    dispose() {
+        this.events.abort();
+    }
+}
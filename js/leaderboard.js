@@ -0,0 +1,57 @@
+// Local best times per course, persisted in localStorage
+
+const LEADERBOARD_STORAGE_KEY = 'boater3d.leaderboard';
+const LEADERBOARD_SIZE = 10;
+
+class Leaderboard {
+    constructor() {
+        this.records = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.log('Could not load leaderboard:', err);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(this.records));
+        } catch (err) {
+            console.log('Could not save leaderboard:', err);
+        }
+    }
+
+    // times: fastest finishes; bestSplits: fastest time to each checkpoint
+    // within a lap, over every lap ever sailed; bestLap: fastest single lap
+    get(courseId) {
+        return this.records[courseId] || { times: [], bestSplits: [], bestLap: null };
+    }
+
+    // Returns the 1-based rank of the result, or 0 if it missed the table
+    submit(result) {
+        const record = this.get(result.course);
+        const entry = { time: result.time, boat: result.boat, laps: result.laps, date: new Date().toISOString() };
+        record.times.push(entry);
+        record.times.sort((a, b) => a.time - b.time);
+        record.times = record.times.slice(0, LEADERBOARD_SIZE);
+
+        for (const lap of result.laps) {
+            lap.splits.forEach((split, index) => {
+                if (record.bestSplits[index] === undefined || split < record.bestSplits[index]) {
+                    record.bestSplits[index] = split;
+                }
+            });
+            if (record.bestLap === null || lap.time < record.bestLap) {
+                record.bestLap = lap.time;
+            }
+        }
+
+        this.records[result.course] = record;
+        this.save();
+        return record.times.indexOf(entry) + 1;
+    }
+}
@@ -0,0 +1,339 @@
+// Multiplayer client. Connects to the relay (server/relay.js), takes the
+// room's sea and clock, sends the local boat's state a few times a second
+// and draws everyone else's boat with a name tag, interpolated between the
+// states it receives. Drops and reconnects with backoff.
+
+const PLAYER_NAME_KEY = 'boater3d.name';
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000]; // ms, the last one repeats
+const CLOCK_SYNC_INTERVAL = 2000; // ms between clock pings once synced
+const CLOCK_SAMPLES = 8;
+const CLOCK_SNAP = 1; // Seconds of clock error that are fixed with a jump instead of a slew
+
+// ?relay alone means the relay that served this page
+function relayUrl(param) {
+    if (param) return param;
+    return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/relay`;
+}
+
+// Room messages are only trusted to name a sea state we know
+function isSeaState(name) {
+    return typeof name === 'string' && Object.hasOwn(SEA_STATES, name);
+}
+
+function playerName() {
+    const param = new URLSearchParams(location.search).get('name');
+    let name = param || localStorage.getItem(PLAYER_NAME_KEY);
+    if (!name) {
+        name = `Sailor ${Math.floor(Math.random() * 900 + 100)}`;
+    }
+    localStorage.setItem(PLAYER_NAME_KEY, name);
+    return name;
+}
+
+function createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(0, 8, 256, 48);
+    context.font = 'bold 28px Arial, sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = 'white';
+    context.fillText(name, 128, 32, 240);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthWrite: false
+    }));
+    sprite.scale.set(8, 2, 1);
+    return sprite;
+}
+
+// Another player's boat: a Boat view fed from a snapshot buffer
+class RemoteBoat {
+    constructor(scene, id, name, boat) {
+        this.id = id;
+        this.name = name;
+        this.scene = scene;
+        this.view = null;
+        this.setBoat(boat);
+        this.buffer = new SnapshotBuffer();
+        this.speed = 0;
+        this.tag = createNameTag(name);
+        scene.add(this.tag);
+    }
+
+    // Boat definition data as the other player loaded it; anything
+    // unreadable is drawn as the default boat
+    setBoat(boat) {
+        let definition = null;
+        try {
+            definition = boat ? new BoatDefinition(boat) : null;
+        } catch (err) {
+            console.log('Could not read remote boat:', err);
+        }
+        if (this.view) this.view.dispose();
+        this.view = new Boat(this.scene, { definition });
+        this.view.group.visible = false;
+    }
+
+    receive(message) {
+        this.buffer.push(decodeBoatState(message));
+    }
+
+    update(time) {
+        const state = this.buffer.sample(time - NET_INTERPOLATION_DELAY);
+        this.view.group.visible = state !== null;
+        this.tag.visible = state !== null;
+        if (!state) return;
+        this.view.update(state);
+        this.speed = Math.hypot(state.velocity.x, state.velocity.z);
+        this.tag.position.set(state.position.x, state.position.y + 10, state.position.z);
+    }
+
+    dispose() {
+        this.view.dispose();
+        this.scene.remove(this.tag);
+        this.tag.material.map.dispose();
+        this.tag.material.dispose();
+    }
+}
+
+class NetworkClient {
+    constructor(scene, simulation, options = {}) {
+        this.scene = scene;
+        this.simulation = simulation;
+        this.url = options.url;
+        this.name = options.name || playerName();
+        this.socket = null;
+        this.id = null;
+        this.remotes = new Map();
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.clockTimer = null;
+        this.clockSamples = [];
+        this.clockOffset = null;
+        this.sendTimer = 0;
+        this.applyingRemote = false;
+        this.closed = false;
+        this.statusElement = document.getElementById('netStatus');
+
+        // Share local sea-state changes with the room
+        simulation.on('seaState', (change) => {
+            if (!this.applyingRemote) this.send({ type: 'seaState', name: change.name });
+        });
+        simulation.on('boat', (definition) => this.send({ type: 'boat', boat: definition.data }));
+
+        this.connect();
+    }
+
+    get connected() {
+        return this.id !== null;
+    }
+
+    // Room clock estimate, in seconds
+    get roomTime() {
+        return performance.now() / 1000 + this.clockOffset;
+    }
+
+    connect() {
+        this.setStatus('Connecting…');
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.send({ type: 'hello', version: NET_PROTOCOL_VERSION, name: this.name, boat: this.simulation.boatDefinition.data });
+        });
+        socket.addEventListener('message', (event) => {
+            this.handleMessage(JSON.parse(event.data));
+        });
+        socket.addEventListener('close', () => this.disconnected());
+    }
+
+    // Leave the room for good
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.clockTimer);
+        for (const remote of this.remotes.values()) {
+            remote.dispose();
+        }
+        this.remotes.clear();
+        if (this.socket) this.socket.close();
+    }
+
+    disconnected() {
+        if (this.closed) return;
+        this.id = null;
+        this.socket = null;
+        clearInterval(this.clockTimer);
+        for (const remote of this.remotes.values()) {
+            remote.dispose();
+        }
+        this.remotes.clear();
+
+        const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+        this.reconnectAttempt++;
+        this.setStatus(`Offline, retrying in ${delay / 1000}s`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.welcome(message);
+                break;
+            case 'join':
+                this.addRemote(message.id, message.name, message.boat);
+                this.updateStatus();
+                break;
+            case 'boat': {
+                const remote = this.remotes.get(message.id);
+                if (remote) remote.setBoat(message.boat);
+                break;
+            }
+            case 'leave': {
+                const remote = this.remotes.get(message.id);
+                if (remote) {
+                    remote.dispose();
+                    this.remotes.delete(message.id);
+                }
+                this.updateStatus();
+                break;
+            }
+            case 'state': {
+                const remote = this.remotes.get(message.id);
+                if (remote) remote.receive(message);
+                break;
+            }
+            case 'seaState':
+                if (!isSeaState(message.name)) break;
+                this.applyingRemote = true;
+                this.simulation.setSeaState(message.name, 8);
+                this.applyingRemote = false;
+                break;
+            case 'pong':
+                this.addClockSample(message);
+                break;
+            default:
+                break;
+        }
+    }
+
+    welcome(message) {
+        this.id = message.id;
+        this.reconnectAttempt = 0;
+
+        // Sail on the room's sea, at the room's time
+        const sim = this.simulation;
+        this.applyingRemote = true;
+        const seaState = isSeaState(message.seaState) ? message.seaState : sim.ocean.waveField.seaState;
+        if (sim.seed !== message.seed) {
+            sim.setSeed(message.seed, seaState);
+        }
+        sim.setSeaState(seaState, 0);
+        this.applyingRemote = false;
+        this.clockSamples = [];
+        this.clockOffset = message.time - performance.now() / 1000;
+        sim.setClock(message.time);
+
+        for (const player of message.players) {
+            const remote = this.addRemote(player.id, player.name, player.boat);
+            if (player.state) remote.receive(player.state);
+        }
+        this.updateStatus();
+
+        // A burst of pings for a quick first estimate, then a steady trickle
+        for (let i = 0; i < 4; i++) {
+            setTimeout(() => this.ping(), i * 150);
+        }
+        this.clockTimer = setInterval(() => this.ping(), CLOCK_SYNC_INTERVAL);
+    }
+
+    addRemote(id, name, boat) {
+        let remote = this.remotes.get(id);
+        if (!remote) {
+            remote = new RemoteBoat(this.scene, id, name, boat);
+            this.remotes.set(id, remote);
+        }
+        return remote;
+    }
+
+    ping() {
+        this.send({ type: 'ping', sent: performance.now() });
+    }
+
+    // Keep the offsets of the last few pings and trust the one with the
+    // shortest round trip, which had the least queueing delay
+    addClockSample(message) {
+        const now = performance.now();
+        const roundTrip = (now - message.sent) / 1000;
+        this.clockSamples.push({ roundTrip, offset: message.time + roundTrip / 2 - now / 1000 });
+        if (this.clockSamples.length > CLOCK_SAMPLES) this.clockSamples.shift();
+        const best = this.clockSamples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+        this.clockOffset = best.offset;
+    }
+
+    // Pull the simulation clock towards the room clock: jump when far off,
+    // otherwise slew a little each frame so the waves never visibly skip
+    syncClock() {
+        const sim = this.simulation;
+        const error = this.roomTime - sim.ocean.time;
+        if (Math.abs(error) > CLOCK_SNAP) {
+            sim.setClock(this.roomTime);
+        } else {
+            sim.setClock(sim.ocean.time + error * 0.05);
+        }
+    }
+
+    setStatus(text) {
+        this.statusElement.textContent = text;
+        this.statusElement.classList.add('visible');
+    }
+
+    updateStatus() {
+        this.setStatus(`● ${this.remotes.size + 1} online`);
+    }
+
+    getChartBoats() {
+        const boats = [];
+        for (const remote of this.remotes.values()) {
+            if (!remote.view.group.visible) continue;
+            const position = remote.view.group.position;
+            boats.push({ x: position.x, z: position.z, heading: remote.view.getHeading(), label: remote.name });
+        }
+        return boats;
+    }
+
+    // Other boats' motors for the audio engine
+    getSoundSources() {
+        const sources = [];
+        for (const remote of this.remotes.values()) {
+            if (!remote.view.group.visible) continue;
+            sources.push({ id: `boat-${remote.id}`, position: remote.view.group.position, speed: remote.speed });
+        }
+        return sources;
+    }
+
+    update(deltaTime, renderTime) {
+        if (!this.connected) return;
+        this.syncClock();
+
+        this.sendTimer += deltaTime;
+        if (this.sendTimer >= 1 / NET_SEND_RATE) {
+            this.sendTimer %= 1 / NET_SEND_RATE;
+            this.send(encodeBoatState(this.simulation.boat.getState(), this.simulation.ocean.time));
+        }
+
+        for (const remote of this.remotes.values()) {
+            remote.update(renderTime);
+        }
+    }
+}
@@ -0,0 +1,181 @@
+// Endless ocean view, drawing an OceanModel's wave field with nested
+// level-of-detail patches. Level 0 is a dense
+// grid around the boat; every further level is a square ring with twice the
+// cell size. All levels recenter together on a grid snapped to the coarsest
+// cell size, so vertices never swim and the wave pattern stays in world space.
+// Grid density and the detail ripples drawn on top follow the quality tier;
+// every tier draws every wave component the physics floats the boats on.
+class Ocean {
+    constructor(scene, model, quality) {
+        this.model = model;
+        this.levelCount = 5;
+
+        this.material = new THREE.MeshPhongMaterial({
+            color: 0x006994,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
+
+        this.group = new THREE.Group();
+        this.levels = [];
+        this.setQuality(quality);
+
+        this.sample = { x: 0, y: 0, z: 0, nx: 0, ny: 1, nz: 0 };
+
+        scene.add(this.group);
+    }
+
+    // Rebuild the levels when the grid changes
+    setQuality(quality) {
+        this.waveOctaves = quality.waveOctaves;
+        this.material.shininess = quality.effects >= 2 ? 100 : 50;
+        this.material.flatShading = quality.effects === 0; // Flat shading is cheapest
+        this.material.needsUpdate = true;
+        if (quality.oceanSegments === this.segments && quality.oceanCellSize === this.baseCellSize) return;
+        this.segments = quality.oceanSegments; // Cells along one edge of every level
+        this.baseCellSize = quality.oceanCellSize;
+        this.snapSize = this.baseCellSize * Math.pow(2, this.levelCount - 1);
+
+        for (const patch of this.levels) {
+            this.group.remove(patch.mesh);
+            patch.geometry.dispose();
+        }
+        this.levels = [];
+        for (let level = 0; level < this.levelCount; level++) {
+            const patch = this.createLevel(level);
+            this.levels.push(patch);
+            this.group.add(patch.mesh);
+        }
+    }
+
+    createLevel(level) {
+        const n = this.segments;
+        const cellSize = this.baseCellSize * Math.pow(2, level);
+        const half = n * cellSize / 2;
+        const holeStart = n / 4;
+        const holeEnd = n * 3 / 4;
+        const isHole = (i, j) => level > 0 && i >= holeStart && i < holeEnd && j >= holeStart && j < holeEnd;
+
+        const positions = new Float32Array((n + 1) * (n + 1) * 3);
+        for (let j = 0; j <= n; j++) {
+            for (let i = 0; i <= n; i++) {
+                const v = (j * (n + 1) + i) * 3;
+                positions[v] = i * cellSize - half;
+                positions[v + 2] = j * cellSize - half;
+            }
+        }
+
+        const indices = [];
+        const used = new Uint8Array((n + 1) * (n + 1));
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                if (isHole(i, j)) continue;
+                const a = j * (n + 1) + i;
+                const b = a + 1;
+                const c = a + n + 1;
+                const d = c + 1;
+                indices.push(a, c, b, b, c, d);
+                used[a] = used[b] = used[c] = used[d] = 1;
+            }
+        }
+
+        const activeVertices = [];
+        for (let v = 0; v < used.length; v++) {
+            if (used[v]) activeVertices.push(v);
+        }
+
+        // Odd vertices on the outer edge are pulled onto the straight edge of
+        // the next, coarser level so the two meshes meet without cracks
+        const seams = [];
+        if (level < this.levelCount - 1) {
+            for (let k = 1; k < n; k += 2) {
+                const edges = [
+                    [k, 0, 1, 0],
+                    [k, n, 1, 0],
+                    [0, k, 0, 1],
+                    [n, k, 0, 1]
+                ];
+                for (const [i, j, di, dj] of edges) {
+                    const v = j * (n + 1) + i;
+                    const prev = (j - dj) * (n + 1) + (i - di);
+                    const next = (j + dj) * (n + 1) + (i + di);
+                    seams.push(v, prev, next);
+                }
+            }
+        }
+
+        const normals = new Float32Array(positions.length);
+        for (let v = 1; v < normals.length; v += 3) {
+            normals[v] = 1;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setIndex(indices);
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.receiveShadow = true;
+        // The patch moves with the boat, so its bounding sphere is never accurate
+        mesh.frustumCulled = false;
+
+        return {
+            mesh,
+            geometry,
+            cellSize,
+            basePositions: positions.slice(),
+            activeVertices,
+            seams
+        };
+    }
+
+    // Recenter every level around a world position, snapped to the coarsest cell
+    follow(position) {
+        this.group.position.x = Math.round(position.x / this.snapSize) * this.snapSize;
+        this.group.position.z = Math.round(position.z / this.snapSize) * this.snapSize;
+    }
+
+    // Draw the surface at the given wave time, recentred on a world position
+    update(time, center) {
+        if (center) {
+            this.follow(center);
+        }
+
+        const waveField = this.model.waveField;
+        const originX = this.group.position.x;
+        const originZ = this.group.position.z;
+        const sample = this.sample;
+
+        for (const patch of this.levels) {
+            const vertices = patch.geometry.attributes.position.array;
+            const normals = patch.geometry.attributes.normal.array;
+            const base = patch.basePositions;
+
+            for (const v of patch.activeVertices) {
+                const i = v * 3;
+                waveField.sample(base[i] + originX, base[i + 2] + originZ, time, sample, this.waveOctaves);
+                vertices[i] = sample.x - originX;
+                vertices[i + 1] = sample.y;
+                vertices[i + 2] = sample.z - originZ;
+                normals[i] = sample.nx;
+                normals[i + 1] = sample.ny;
+                normals[i + 2] = sample.nz;
+            }
+
+            const seams = patch.seams;
+            for (let s = 0; s < seams.length; s += 3) {
+                const i = seams[s] * 3;
+                const a = seams[s + 1] * 3;
+                const b = seams[s + 2] * 3;
+                for (let c = 0; c < 3; c++) {
+                    vertices[i + c] = (vertices[a + c] + vertices[b + c]) / 2;
+                    normals[i + c] = (normals[a + c] + normals[b + c]) / 2;
+                }
+            }
+
+            patch.geometry.attributes.position.needsUpdate = true;
+            patch.geometry.attributes.normal.needsUpdate = true;
+        }
+    }
+}
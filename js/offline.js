@@ -0,0 +1,53 @@
+// Offline support: registers the service worker and, when a new version of
+// the game has been downloaded in the background, offers to reload into it.
+// Service workers need a secure context, which includes http://localhost.
+
+class UpdatePrompt {
+    constructor() {
+        this.banner = document.getElementById('updateBanner');
+        this.waiting = null;
+        this.reloading = false;
+
+        document.getElementById('updateReload').addEventListener('click', () => {
+            if (this.waiting) this.waiting.postMessage({ type: 'skipWaiting' });
+        });
+        document.getElementById('updateDismiss').addEventListener('click', () => {
+            this.banner.classList.remove('visible');
+        });
+    }
+
+    register(url) {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        const serviceWorker = navigator.serviceWorker;
+
+        // The new worker has taken over; reload once so every file comes from it
+        serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) return;
+            this.reloading = true;
+            location.reload();
+        });
+
+        serviceWorker.register(url).then((registration) => {
+            // A worker already waiting from an earlier visit
+            if (registration.waiting && serviceWorker.controller) {
+                this.show(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // The very first install is not an update
+                    if (worker.state === 'installed' && serviceWorker.controller) {
+                        this.show(worker);
+                    }
+                });
+            });
+        }).catch((err) => {
+            console.log('Could not register service worker:', err);
+        });
+    }
+
+    show(worker) {
+        this.waiting = worker;
+        this.banner.classList.add('visible');
+    }
+}
@@ -0,0 +1,187 @@
+// Graphics quality tiers and the manager that picks one. In auto mode the
+// tier steps down when the rolling average frame time overruns the budget
+// and back up when there is plenty of headroom; a manual choice pins it.
+// Either way the tier is remembered per device in localStorage.
+//
+// Tiers only change what is drawn, and how many AI boats are out at most
+// (trafficBoats). Every tier draws every wave component the simulation runs,
+// so all devices sail on the same sea and the boats sit on the surface shown;
+// lower tiers draw it with a coarser ocean grid (oceanSegments,
+// oceanCellSize), higher ones add detail ripples that only the view has
+// (waveOctaves, up to WAVE_DETAIL_OCTAVES).
+
+const QUALITY_STORAGE_KEY = 'boater3d.quality';
+const QUALITY_TARGET_FPS = 45;
+const QUALITY_WINDOW = 90; // Frames in the rolling average
+const QUALITY_DOWN_AFTER = 2; // Seconds over budget before stepping down
+const QUALITY_UP_AFTER = 6; // Seconds with headroom before stepping up
+const QUALITY_RETRY_DELAY = 60; // Seconds before retrying a tier that was too slow, doubling each time
+
+const QUALITY_TIERS = {
+    low: {
+        label: 'Low',
+        oceanSegments: 24,
+        oceanCellSize: 2,
+        waveOctaves: 0,
+        terrainStep: 4,
+        shadows: false,
+        shadowMapSize: 512,
+        antialias: false,
+        fogFar: 250,
+        pixelRatio: 1,
+        effects: 0,
+        trafficBoats: 2
+    },
+    medium: {
+        label: 'Medium',
+        oceanSegments: 32,
+        oceanCellSize: 2,
+        waveOctaves: 1,
+        terrainStep: 2,
+        shadows: false,
+        shadowMapSize: 1024,
+        antialias: false,
+        fogFar: 350,
+        pixelRatio: 1.5,
+        effects: 1,
+        trafficBoats: 3
+    },
+    high: {
+        label: 'High',
+        oceanSegments: 64,
+        oceanCellSize: 1,
+        waveOctaves: 2,
+        terrainStep: 1,
+        shadows: true,
+        shadowMapSize: 1024,
+        antialias: true,
+        fogFar: 500,
+        pixelRatio: 2,
+        effects: 2,
+        trafficBoats: 5
+    },
+    ultra: {
+        label: 'Ultra',
+        oceanSegments: 96,
+        oceanCellSize: 1,
+        waveOctaves: WAVE_DETAIL_OCTAVES,
+        terrainStep: 1,
+        shadows: true,
+        shadowMapSize: 2048,
+        antialias: true,
+        fogFar: 800,
+        pixelRatio: 3,
+        effects: 3,
+        trafficBoats: 8
+    }
+};
+const QUALITY_ORDER = Object.keys(QUALITY_TIERS);
+
+// Emits 'change' with the tier's settings whenever the tier changes. A null
+// options.storageKey keeps the choice in memory only.
+class QualityManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.storageKey = options.storageKey !== undefined ? options.storageKey : QUALITY_STORAGE_KEY;
+        this.defaultTier = options.defaultTier || 'high';
+        this.budget = 1 / (options.targetFps || QUALITY_TARGET_FPS);
+        this.auto = true;
+        this.tier = this.defaultTier;
+        this.load();
+
+        this.frameTimes = [];
+        this.overBudget = 0;
+        this.headroom = 0;
+        this.sinceCheck = 0;
+        this.tooSlow = {}; // Tier -> seconds until auto mode may try it again
+        this.failures = {}; // Tier -> times it has been too slow
+    }
+
+    get settings() {
+        return QUALITY_TIERS[this.tier];
+    }
+
+    load() {
+        if (!this.storageKey) return;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.tier in QUALITY_TIERS) {
+                this.tier = saved.tier;
+                this.auto = saved.auto !== false;
+            }
+        } catch (err) {
+            console.log('Could not load quality settings:', err);
+        }
+    }
+
+    save() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ tier: this.tier, auto: this.auto }));
+        } catch (err) {
+            console.log('Could not save quality settings:', err);
+        }
+    }
+
+    // 'auto' or a tier name
+    setMode(mode) {
+        this.auto = mode === 'auto';
+        this.tooSlow = {};
+        this.failures = {};
+        this.resetWindow();
+        if (!this.auto) {
+            this.setTier(mode);
+        }
+        this.save();
+    }
+
+    setTier(tier) {
+        if (!(tier in QUALITY_TIERS)) {
+            throw new Error(`Unknown quality tier: ${tier}`);
+        }
+        if (tier === this.tier) return;
+        this.tier = tier;
+        this.resetWindow();
+        this.save();
+        this.emit('change', this.settings);
+    }
+
+    resetWindow() {
+        this.frameTimes = [];
+        this.overBudget = 0;
+        this.headroom = 0;
+    }
+
+    // Feed the real (uncapped) time of every frame
+    update(frameTime) {
+        for (const tier of Object.keys(this.tooSlow)) {
+            this.tooSlow[tier] -= frameTime;
+            if (this.tooSlow[tier] <= 0) delete this.tooSlow[tier];
+        }
+        if (!this.auto) return;
+
+        // A hidden tab or a debugger pause is not a slow GPU
+        this.frameTimes.push(Math.min(frameTime, 0.25));
+        if (this.frameTimes.length > QUALITY_WINDOW) this.frameTimes.shift();
+
+        this.sinceCheck += frameTime;
+        if (this.sinceCheck < 1 || this.frameTimes.length < QUALITY_WINDOW) return;
+        this.sinceCheck = 0;
+
+        const average = this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+        this.overBudget = average > this.budget * 1.25 ? this.overBudget + 1 : 0;
+        this.headroom = average < this.budget * 0.8 ? this.headroom + 1 : 0;
+
+        const index = QUALITY_ORDER.indexOf(this.tier);
+        if (this.overBudget >= QUALITY_DOWN_AFTER && index > 0) {
+            const failures = this.failures[this.tier] = (this.failures[this.tier] || 0) + 1;
+            this.tooSlow[this.tier] = QUALITY_RETRY_DELAY * Math.pow(2, failures - 1);
+            this.setTier(QUALITY_ORDER[index - 1]);
+        } else if (this.headroom >= QUALITY_UP_AFTER && index < QUALITY_ORDER.length - 1) {
+            const next = QUALITY_ORDER[index + 1];
+            if (!(next in this.tooSlow)) {
+                this.setTier(next);
+            }
+        }
+    }
+}
@@ -0,0 +1,283 @@
+// Race mode in the browser: course picker, buoys riding the waves, the race
+// HUD (countdown, lap, next mark, splits) and the results screen.
+
+const COURSES_URL = 'courses/';
+const RACE_MESSAGE_TIME = 2500; // ms a race message stays up
+
+function formatRaceTime(seconds) {
+    const sign = seconds < 0 ? '-' : '';
+    const total = Math.abs(seconds);
+    const minutes = Math.floor(total / 60);
+    const rest = (total - minutes * 60).toFixed(2).padStart(5, '0');
+    return `${sign}${minutes}:${rest}`;
+}
+
+function formatSplitDelta(delta) {
+    return `${delta < 0 ? '−' : '+'}${Math.abs(delta).toFixed(2)}`;
+}
+
+// Fetch every course listed in courses/index.json
+function loadCourses() {
+    return fetch(`${COURSES_URL}index.json`)
+        .then(response => response.json())
+        .then(index => Promise.all(index.courses.map(id =>
+            fetch(`${COURSES_URL}${id}.json`)
+                .then(response => response.json())
+                .then(data => new Course(data))
+        )));
+}
+
+// Buoy meshes for one course. Gate buoys are red to port and green to
+// starboard, turning marks are orange; the next checkpoint's buoys pulse.
+class RaceBuoys {
+    constructor(scene, model, course) {
+        this.scene = scene;
+        this.model = model;
+        this.group = new THREE.Group();
+        this.buoys = [];
+
+        const geometry = new THREE.CylinderGeometry(0.9, 1.3, 2.4, 12);
+        geometry.translate(0, 0.6, 0);
+        for (const checkpoint of course.checkpoints) {
+            checkpoint.buoys.forEach((position, i) => {
+                const color = checkpoint.type === 'gate' ? (i === 0 ? 0xDD2222 : 0x22AA44) : 0xFF8800;
+                const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+                    color,
+                    emissive: color,
+                    emissiveIntensity: 0,
+                    flatShading: isMobile
+                }));
+                mesh.castShadow = true;
+                this.group.add(mesh);
+                this.buoys.push({ mesh, position, checkpoint: checkpoint.index });
+            });
+        }
+        this.geometry = geometry;
+        scene.add(this.group);
+    }
+
+    update(time, nextCheckpoint) {
+        const waveField = this.model.waveField;
+        const pulse = 0.4 + 0.4 * Math.sin(time * 6);
+        const up = new THREE.Vector3(0, 1, 0);
+        const normal = new THREE.Vector3();
+        for (const buoy of this.buoys) {
+            const { x, z } = buoy.position;
+            const n = waveField.normalAt(x, z, time);
+            buoy.mesh.position.set(x, waveField.heightAt(x, z, time), z);
+            buoy.mesh.quaternion.setFromUnitVectors(up, normal.set(n.x, n.y, n.z));
+            buoy.mesh.material.emissiveIntensity = buoy.checkpoint === nextCheckpoint ? pulse : 0;
+        }
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.geometry.dispose();
+        for (const buoy of this.buoys) {
+            buoy.mesh.material.dispose();
+        }
+    }
+}
+
+class RaceControls {
+    constructor(scene, simulation) {
+        this.scene = scene;
+        this.simulation = simulation;
+        this.leaderboard = new Leaderboard();
+        this.courses = [];
+        this.course = null;
+        this.tracker = null;
+        this.buoys = null;
+        this.messageTimer = null;
+        this.onCourseChange = null;
+
+        this.select = document.getElementById('courseSelect');
+        this.info = document.getElementById('raceInfo');
+        this.countdownElement = document.getElementById('raceCountdown');
+        this.messageElement = document.getElementById('raceMessage');
+        this.results = document.getElementById('raceResults');
+
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.events.signal;
+        this.select.add(new Option('Free sail', ''));
+        this.select.addEventListener('change', () => {
+            const course = this.courses.find(c => c.id === this.select.value);
+            if (course) {
+                this.startRace(course);
+            } else {
+                this.endRace();
+            }
+            this.select.blur();
+        }, { signal });
+        document.getElementById('raceAgainButton').addEventListener('click', () => this.startRace(this.course), { signal });
+        document.getElementById('raceCloseButton').addEventListener('click', () => {
+            this.select.value = '';
+            this.endRace();
+        }, { signal });
+
+        loadCourses().then((courses) => {
+            this.courses = courses;
+            for (const course of courses) {
+                this.select.add(new Option(course.name, course.id));
+            }
+        }).catch((err) => {
+            console.log('Could not load courses:', err);
+        });
+    }
+
+    startRace(course) {
+        this.clearRace();
+        this.course = course;
+        this.buoys = new RaceBuoys(this.scene, this.simulation.ocean, course);
+        this.best = this.leaderboard.get(course.id);
+
+        const tracker = new RaceTracker(this.simulation, course);
+        tracker.on('gun', () => this.showMessage('GO!'));
+        tracker.on('early', () => this.showMessage('Over early – come back and recross the line'));
+        tracker.on('wrongWay', (event) => this.showMessage(`Wrong way round ${event.checkpoint}`));
+        tracker.on('checkpoint', (event) => this.onCheckpoint(event));
+        tracker.on('lap', (event) => this.onLap(event));
+        tracker.on('finish', (result) => this.onFinish(result));
+        this.tracker = tracker;
+        tracker.start();
+
+        this.results.classList.remove('visible');
+        this.info.classList.add('visible');
+        if (this.onCourseChange) this.onCourseChange(course);
+    }
+
+    clearRace() {
+        if (this.tracker) {
+            this.tracker.stop();
+            this.tracker = null;
+        }
+        if (this.buoys) {
+            this.buoys.dispose();
+            this.buoys = null;
+        }
+    }
+
+    endRace() {
+        this.clearRace();
+        this.course = null;
+        this.info.classList.remove('visible');
+        this.results.classList.remove('visible');
+        this.countdownElement.classList.remove('visible');
+        if (this.onCourseChange) this.onCourseChange(null);
+    }
+
+    showMessage(text) {
+        this.messageElement.textContent = text;
+        this.messageElement.classList.add('visible');
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => this.messageElement.classList.remove('visible'), RACE_MESSAGE_TIME);
+    }
+
+    onCheckpoint(event) {
+        if (event.index === 0) return;
+        const best = this.best.bestSplits[event.index - 1];
+        const delta = best !== undefined ? ` (${formatSplitDelta(event.split - best)})` : '';
+        this.showMessage(`${event.name} ${formatRaceTime(event.split)}${delta}`);
+    }
+
+    onLap(event) {
+        const best = this.best.bestLap;
+        const delta = best !== null ? ` (${formatSplitDelta(event.time - best)})` : '';
+        this.showMessage(`Lap ${event.lap} ${formatRaceTime(event.time)}${delta}`);
+    }
+
+    onFinish(result) {
+        const previousBest = this.best.times.length ? this.best.times[0].time : null;
+        const rank = this.leaderboard.submit(result);
+        this.best = this.leaderboard.get(result.course);
+        this.showResults(result, rank, previousBest);
+    }
+
+    showResults(result, rank, previousBest) {
+        const course = this.course;
+        document.getElementById('raceResultsCourse').textContent = course.name;
+        document.getElementById('raceResultsTime').textContent = formatRaceTime(result.time);
+
+        let verdict = rank ? `#${rank} on this device` : 'Outside the top ten';
+        if (rank === 1) {
+            verdict = previousBest !== null ? `New best by ${(previousBest - result.time).toFixed(2)}s` : 'First finish on this course';
+        }
+        document.getElementById('raceResultsRank').textContent = verdict;
+
+        const names = course.checkpoints.slice(1).map(checkpoint => checkpoint.name);
+        const splits = document.getElementById('raceResultsSplits');
+        splits.innerHTML = '';
+        const header = splits.insertRow();
+        for (const text of ['Lap', ...names, 'Lap time']) {
+            header.insertCell().textContent = text;
+        }
+        result.laps.forEach((lap, i) => {
+            const row = splits.insertRow();
+            row.insertCell().textContent = i + 1;
+            for (const split of lap.splits) {
+                row.insertCell().textContent = formatRaceTime(split);
+            }
+            row.insertCell().textContent = formatRaceTime(lap.time);
+        });
+
+        const board = document.getElementById('raceResultsBoard');
+        board.innerHTML = '';
+        for (const entry of this.best.times.slice(0, 5)) {
+            const item = document.createElement('li');
+            const boat = entry.boat ? ` · ${entry.boat}` : '';
+            item.textContent = `${formatRaceTime(entry.time)}${boat} · ${new Date(entry.date).toLocaleDateString()}`;
+            board.appendChild(item);
+        }
+
+        this.info.classList.remove('visible');
+        this.results.classList.add('visible');
+    }
+
+    // Buoys and gate lines for the chart plotter
+    getChartFeatures() {
+        const features = { marks: [], lines: [] };
+        if (!this.tracker) return features;
+        const next = this.tracker.state === 'finished' ? -1 : this.tracker.nextCheckpoint;
+        for (const checkpoint of this.course.checkpoints) {
+            checkpoint.buoys.forEach((buoy, i) => {
+                const color = checkpoint.type === 'gate' ? (i === 0 ? '#dd2222' : '#22aa44') : '#ff8800';
+                features.marks.push({ x: buoy.x, z: buoy.z, color, active: checkpoint.index === next });
+            });
+            if (checkpoint.type === 'gate') {
+                features.lines.push({ a: checkpoint.a, b: checkpoint.b });
+            }
+        }
+        return features;
+    }
+
+    // Buoy bells for the audio engine
+    getSoundSources() {
+        if (!this.buoys) return [];
+        return this.buoys.buoys.map((buoy, i) => ({ id: `buoy-${i}`, position: buoy.mesh.position, bell: true }));
+    }
+
+    update(time) {
+        const tracker = this.tracker;
+        if (!tracker) return;
+        this.buoys.update(time, tracker.state === 'finished' ? -1 : tracker.nextCheckpoint);
+
+        const counting = tracker.state === 'countdown';
+        this.countdownElement.classList.toggle('visible', counting);
+        if (counting) {
+            this.countdownElement.textContent = Math.ceil(-tracker.elapsed);
+        }
+
+        if (tracker.state === 'racing') {
+            const next = this.course.checkpoints[tracker.nextCheckpoint];
+            const lap = Math.max(1, tracker.lap);
+            this.info.textContent = `Lap ${lap}/${this.course.laps} · ${next.name} · ${formatRaceTime(tracker.lapElapsed)}`;
+        } else if (counting) {
+            this.info.textContent = `${this.course.name} · start in ${formatRaceTime(-tracker.elapsed)}`;
+        }
+    }
+
+    dispose() {
+        this.events.abort();
+        clearTimeout(this.messageTimer);
+    }
+}
@@ -0,0 +1,162 @@
+// Replay panel: records the live session, saves and loads replay files and
+// sails the loaded replay as a translucent ghost boat next to the player.
+
+class ReplayControls {
+    constructor(scene, simulation, simulationOptions) {
+        this.scene = scene;
+        this.recorder = new Recorder(simulation, simulationOptions);
+        this.player = null;
+        this.ghost = null;
+        this.ghostBoat = null; // Definition data the ghost was built from
+        this.lastRecording = null;
+        this.scrubbing = false;
+
+        this.panel = document.getElementById('replayPanel');
+        this.recordButton = document.getElementById('recordButton');
+        this.exportButton = document.getElementById('exportReplayButton');
+        this.importInput = document.getElementById('importReplayInput');
+        this.playButton = document.getElementById('playReplayButton');
+        this.scrub = document.getElementById('replayScrub');
+        this.speedSelect = document.getElementById('replaySpeed');
+        this.statusElement = document.getElementById('replayStatus');
+
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.events.signal;
+        for (const speed of REPLAY_SPEEDS) {
+            this.speedSelect.add(new Option(`${speed}×`, speed, false, speed === 1));
+        }
+
+        this.recordButton.addEventListener('click', () => this.toggleRecording(), { signal });
+        this.exportButton.addEventListener('click', () => this.exportReplay(), { signal });
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) this.importReplay(file);
+        }, { signal });
+        this.playButton.addEventListener('click', () => this.togglePlayback(), { signal });
+        this.scrub.addEventListener('input', () => {
+            this.scrubbing = true;
+            if (this.player) this.player.seek(Number(this.scrub.value));
+        }, { signal });
+        this.scrub.addEventListener('change', () => {
+            this.scrubbing = false;
+        }, { signal });
+        this.speedSelect.addEventListener('change', () => {
+            if (this.player) this.player.setSpeed(Number(this.speedSelect.value));
+            this.speedSelect.blur();
+        }, { signal });
+
+        this.updatePanel();
+    }
+
+    toggleRecording() {
+        if (this.recorder.recording) {
+            this.lastRecording = this.recorder.stop();
+            this.loadReplay(this.lastRecording);
+        } else {
+            this.recorder.start();
+            this.setStatus('');
+            // Race the current ghost from its start line
+            if (this.player) {
+                this.player.seek(0);
+                this.player.play();
+            }
+        }
+        this.recordButton.blur();
+        this.updatePanel();
+    }
+
+    exportReplay() {
+        if (!this.lastRecording) return;
+        const blob = new Blob([JSON.stringify(this.lastRecording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `boater3d-replay-${this.lastRecording.createdAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    importReplay(file) {
+        file.text().then((text) => {
+            const replay = JSON.parse(text);
+            this.loadReplay(replay);
+            this.lastRecording = replay;
+            this.setStatus('');
+            this.updatePanel();
+        }).catch((err) => {
+            console.log('Replay import error:', err);
+            this.setStatus(`Could not load ${file.name}: ${err.message}`);
+        });
+    }
+
+    // Shown in the panel until the next recording or successful load
+    setStatus(text) {
+        this.statusElement.textContent = text;
+        this.statusElement.title = text;
+        this.statusElement.classList.toggle('visible', text !== '');
+    }
+
+    loadReplay(replay) {
+        const player = new ReplayPlayer(replay);
+        player.setSpeed(Number(this.speedSelect.value));
+        this.player = player;
+        this.updateGhostBoat();
+        this.ghost.update(player.getBoatState());
+        this.scrub.max = player.duration;
+        this.scrub.value = 0;
+    }
+
+    // The ghost is drawn as whichever boat the replay is sailing at the moment
+    updateGhostBoat() {
+        const definition = this.player.simulation.boatDefinition;
+        if (this.ghost && this.ghostBoat === definition.data) return;
+        if (this.ghost) this.ghost.dispose();
+        this.ghost = new Boat(this.scene, { definition, opacity: 0.35 });
+        this.ghostBoat = definition.data;
+    }
+
+    togglePlayback() {
+        if (!this.player) return;
+        if (this.player.paused || this.player.ended) {
+            this.player.play();
+        } else {
+            this.player.pause();
+        }
+        this.playButton.blur();
+        this.updatePanel();
+    }
+
+    updatePanel() {
+        const hasReplay = this.player !== null;
+        this.recordButton.classList.toggle('recording', this.recorder.recording);
+        this.recordButton.textContent = this.recorder.recording ? '■' : '●';
+        this.exportButton.disabled = !this.lastRecording || this.recorder.recording;
+        this.playButton.disabled = !hasReplay;
+        this.scrub.disabled = !hasReplay;
+        this.playButton.textContent = hasReplay && !this.player.paused && !this.player.ended ? '❚❚' : '▶';
+    }
+
+    getChartBoats() {
+        if (!this.ghost) return [];
+        const position = this.ghost.group.position;
+        return [{ x: position.x, z: position.z, heading: this.ghost.getHeading(), label: 'Ghost', color: 'rgba(255, 255, 255, 0.5)' }];
+    }
+
+    update(deltaTime) {
+        if (!this.player) return;
+        const wasPlaying = !this.player.paused && !this.player.ended;
+        this.player.advance(deltaTime);
+        this.updateGhostBoat();
+        this.ghost.update(this.player.getBoatState());
+        if (!this.scrubbing) {
+            this.scrub.value = this.player.tick;
+        }
+        if (wasPlaying && this.player.ended) {
+            this.updatePanel();
+        }
+    }
+
+    dispose() {
+        this.events.abort();
+    }
+}
@@ -0,0 +1,162 @@
+// Player preferences for the controls, the on-screen sticks and haptics,
+// persisted in localStorage and applied the moment they change, and the
+// pause menu they are edited from. Units stay with the instrument settings;
+// the menu edits those too.
+
+const SETTINGS_STORAGE_KEY = 'boater3d.settings';
+
+const DEFAULT_SETTINGS = {
+    cameraSensitivity: 1, // Multiplier on how fast the sticks and mouse turn the view
+    deadZone: CONTROL_DEAD_ZONE, // Steering and throttle deflection that is ignored
+    invertCameraX: false,
+    invertCameraY: false,
+    swapSticks: false, // Camera stick on the left, helm stick on the right
+    controlOpacity: 1,
+    controlSize: 1, // Scale of the on-screen sticks and boost button
+    haptics: true,
+    trafficDensity: 'light' // A TRAFFIC_DENSITIES key: how much of the quality tier's traffic to show
+};
+
+// Emits 'change' with all the values whenever one of them changes. A null
+// storageKey keeps them in memory only.
+class Settings extends EventEmitter {
+    constructor(storageKey = SETTINGS_STORAGE_KEY) {
+        super();
+        this.storageKey = storageKey;
+        this.values = Object.assign({}, DEFAULT_SETTINGS);
+        this.load();
+    }
+
+    load() {
+        if (!this.storageKey) return;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            for (const key of Object.keys(DEFAULT_SETTINGS)) {
+                if (typeof saved[key] === typeof DEFAULT_SETTINGS[key]) {
+                    this.values[key] = saved[key];
+                }
+            }
+        } catch (err) {
+            console.log('Could not load settings:', err);
+        }
+    }
+
+    save() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (err) {
+            console.log('Could not save settings:', err);
+        }
+    }
+
+    set(key, value) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        if (typeof value !== typeof DEFAULT_SETTINGS[key]) {
+            throw new Error(`Setting ${key} must be a ${typeof DEFAULT_SETTINGS[key]}`);
+        }
+        this.values[key] = value;
+        this.save();
+        this.emit('change', this.values);
+    }
+
+    reset() {
+        this.values = Object.assign({}, DEFAULT_SETTINGS);
+        this.save();
+        this.emit('change', this.values);
+    }
+}
+
+// Pause overlay. Opening it stops the simulation where it is; its settings
+// page edits any input carrying a data-setting attribute.
+class PauseMenu {
+    constructor(settings, instruments) {
+        this.settings = settings;
+        this.instruments = instruments;
+        this.paused = false;
+        this.onChange = null;
+
+        this.panel = document.getElementById('pauseMenu');
+        this.mainPage = document.getElementById('pauseMain');
+        this.settingsPage = document.getElementById('settingsPage');
+        this.button = document.getElementById('pauseButton');
+        this.inputs = [...this.settingsPage.querySelectorAll('[data-setting]')];
+        this.speedSelect = document.getElementById('settingsSpeedUnit');
+        this.lengthSelect = document.getElementById('settingsLengthUnit');
+
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.events.signal;
+        for (const [key, unit] of Object.entries(SPEED_UNITS)) {
+            this.speedSelect.add(new Option(unit.label, key));
+        }
+        for (const [key, unit] of Object.entries(LENGTH_UNITS)) {
+            this.lengthSelect.add(new Option(unit.label, key));
+        }
+
+        this.button.addEventListener('click', () => {
+            this.setPaused(true);
+            this.button.blur();
+        }, { signal });
+        document.getElementById('resumeButton').addEventListener('click', () => this.setPaused(false), { signal });
+        document.getElementById('settingsButton').addEventListener('click', () => this.showSettings(true), { signal });
+        document.getElementById('settingsBack').addEventListener('click', () => this.showSettings(false), { signal });
+        document.getElementById('settingsReset').addEventListener('click', () => {
+            this.settings.reset();
+            this.updateInputs();
+        }, { signal });
+
+        for (const input of this.inputs) {
+            const kind = typeof DEFAULT_SETTINGS[input.dataset.setting];
+            input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                const value = kind === 'boolean' ? input.checked : kind === 'number' ? Number(input.value) : input.value;
+                this.settings.set(input.dataset.setting, value);
+                this.updateInputs();
+            }, { signal });
+        }
+        const changeUnits = () => {
+            this.instruments.setUnits(this.speedSelect.value, this.lengthSelect.value);
+        };
+        this.speedSelect.addEventListener('change', changeUnits, { signal });
+        this.lengthSelect.addEventListener('change', changeUnits, { signal });
+    }
+
+    setPaused(paused) {
+        if (paused === this.paused) return;
+        this.paused = paused;
+        this.panel.classList.toggle('visible', paused);
+        this.showSettings(false);
+        if (this.onChange) this.onChange(paused);
+    }
+
+    toggle() {
+        this.setPaused(!this.paused);
+    }
+
+    showSettings(visible) {
+        this.mainPage.hidden = visible;
+        this.settingsPage.hidden = !visible;
+        if (visible) this.updateInputs();
+    }
+
+    updateInputs() {
+        const values = this.settings.values;
+        for (const input of this.inputs) {
+            const value = values[input.dataset.setting];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            const label = input.parentElement.querySelector('.setting-value');
+            if (label) label.textContent = `${Math.round(value * 100)}%`;
+        }
+        this.speedSelect.value = this.instruments.settings.speedUnit;
+        this.lengthSelect.value = this.instruments.settings.lengthUnit;
+    }
+
+    dispose() {
+        this.events.abort();
+    }
+}
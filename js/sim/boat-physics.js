@@ -0,0 +1,371 @@
+// Boat dynamics from hull sample points. Every point stands for a vertical
+// column of the hull; buoyancy comes from how deep the column is submerged
+// and drag from its velocity relative to the water, so heave, pitch and roll
+// all follow from the forces instead of being eased towards the wave slope.
+
+const WATER_DENSITY = 1025; // kg/m^3, sea water
+
+const DEFAULT_HULL = {
+    length: 8,
+    beam: 4,
+    depth: 2, // Keel to deck
+    mass: 6000, // kg
+    centerOfMassHeight: -0.4, // Relative to the hull's geometric centre
+    waterplaneCoefficient: 0.7, // Fraction of length * beam that actually displaces water
+    samplesAlong: 5,
+    samplesAcross: 3,
+    samplePoints: null, // Explicit [x, z] column positions instead of the grid
+    // Drag coefficients per body axis: surge (along), sway (across, keel), heave (vertical)
+    dragCoefficients: { surge: 0.25, sway: 1.0, heave: 1.0 },
+    keelArea: 4, // m^2 of lateral area in addition to the hull sides
+    heaveDamping: 15000, // N per m/s, radiation damping at low speed
+    maxThrust: 30000, // N
+    boostThrustFactor: 1.8,
+    propellerDiameter: 0.3, // m of water over the stern the propeller needs to bite fully
+    rudderArea: 0.25, // m^2
+    maxRudderAngle: Math.PI / 5,
+    maxSpeed: 20, // m/s, nominal top speed for gauges
+    groundStiffness: 60000, // N per m of penetration at each sample point
+    groundDamping: 10000, // N per m/s into the ground at each sample point
+    groundFriction: 0.5, // Sliding friction of the hull on sand and rock
+    engine: {}, // Engine options, over DEFAULT_ENGINE
+    sail: {} // Sail options; null for a boat without a rig
+};
+
+class BoatPhysics {
+    constructor(hull = {}) {
+        this.hull = Object.assign({}, DEFAULT_HULL, hull);
+        const h = this.hull;
+        // The drag shares below split the hull by rows and columns of the
+        // grid; an explicit layout counts as one row of columns
+        if (h.samplePoints) {
+            h.samplesAlong = h.samplePoints.length;
+            h.samplesAcross = 1;
+        }
+
+        // Solid box inertia, a reasonable stand-in for a small hull
+        const inertia = {
+            x: h.mass / 12 * (h.depth * h.depth + h.length * h.length),
+            y: h.mass / 12 * (h.beam * h.beam + h.length * h.length),
+            z: h.mass / 12 * (h.beam * h.beam + h.depth * h.depth)
+        };
+        this.body = new RigidBody({ mass: h.mass, inertia });
+        this.samplePoints = this.createSamplePoints();
+        this.sternPoint = vec3(0, -h.depth / 2 - h.centerOfMassHeight, -h.length / 2);
+
+        this.hasSail = h.sail !== null;
+        this.sail = new Sail(h.sail || {}); // Still measures apparent wind without a rig
+        this.engine = new Engine(h.engine || {});
+        this.propulsion = 'motor'; // 'motor' or 'sail'
+        this.throttle = 0; // The engine's thrust, as a fraction of maxThrust
+        this.rudder = 0;
+        this.boostHeld = false;
+        this.boosting = false; // Boost actually on, not just asked for
+        this.forwardSpeed = 0;
+        this.submergedFraction = 0;
+        this.aground = false;
+        this.reset();
+    }
+
+    // Column bottoms in body space, measured from the centre of mass: the
+    // hull's own layout, or a regular grid over the waterplane
+    createSamplePoints() {
+        const h = this.hull;
+        const points = [];
+        const count = h.samplesAlong * h.samplesAcross;
+        const columnArea = h.length * h.beam * h.waterplaneCoefficient / count;
+        const keel = -h.depth / 2 - h.centerOfMassHeight;
+
+        if (h.samplePoints) {
+            return h.samplePoints.map(([x, z]) => ({ local: vec3(x, keel, z), area: columnArea, world: vec3(), depth: 0 }));
+        }
+        for (let i = 0; i < h.samplesAlong; i++) {
+            for (let j = 0; j < h.samplesAcross; j++) {
+                points.push({
+                    local: vec3(
+                        ((j + 0.5) / h.samplesAcross - 0.5) * h.beam,
+                        keel,
+                        ((i + 0.5) / h.samplesAlong - 0.5) * h.length
+                    ),
+                    area: columnArea,
+                    world: vec3(),
+                    depth: 0
+                });
+            }
+        }
+        return points;
+    }
+
+    reset(position = vec3(0, 0, 0), heading = 0) {
+        const body = this.body;
+        body.position.x = position.x;
+        body.position.y = position.y;
+        body.position.z = position.z;
+        body.velocity.x = body.velocity.y = body.velocity.z = 0;
+        body.angularVelocity.x = body.angularVelocity.y = body.angularVelocity.z = 0;
+        Object.assign(body.orientation, yawQuaternion(heading));
+        body.clearForces();
+        this.engine.reset();
+        this.throttle = 0;
+        this.boosting = false;
+        this.forwardSpeed = 0;
+        this.aground = false;
+    }
+
+    // Plain copy of everything needed to restore or draw the boat
+    getState() {
+        const body = this.body;
+        return {
+            position: Object.assign({}, body.position),
+            velocity: Object.assign({}, body.velocity),
+            orientation: Object.assign({}, body.orientation),
+            angularVelocity: Object.assign({}, body.angularVelocity),
+            propulsion: this.propulsion,
+            sheet: this.sail.sheet,
+            boomAngle: this.sail.boomAngle,
+            engine: this.engine.getState()
+        };
+    }
+
+    setState(state) {
+        const body = this.body;
+        Object.assign(body.position, state.position);
+        Object.assign(body.velocity, state.velocity);
+        Object.assign(body.orientation, state.orientation);
+        Object.assign(body.angularVelocity, state.angularVelocity);
+        this.propulsion = state.propulsion;
+        this.sail.sheet = state.sheet;
+        this.sail.boomAngle = state.boomAngle;
+        // States saved before there was an engine start it idling on a full tank
+        if (state.engine) {
+            this.engine.setState(state.engine);
+        } else {
+            this.engine.reset();
+        }
+        body.clearForces();
+        this.aground = false;
+    }
+
+    get position() {
+        return this.body.position;
+    }
+
+    get orientation() {
+        return this.body.orientation;
+    }
+
+    get velocity() {
+        return this.body.velocity;
+    }
+
+    togglePropulsion() {
+        if (!this.hasSail) return;
+        this.propulsion = this.propulsion === 'motor' ? 'sail' : 'motor';
+    }
+
+    // Take a control state, from the player or an AI pilot, for the next tick
+    applyControls(controls, previousControls, deltaTime) {
+        // The player's dead zone rides along with the controls, so replays keep it
+        const deadZone = (value) => Math.abs(value) > controls.deadZone ? value : 0;
+
+        if (controls.toggleMode && !previousControls.toggleMode) {
+            this.togglePropulsion();
+        }
+        this.sail.trim(controls.sheet * deltaTime * 0.4);
+        this.engine.moveLever(deadZone(controls.moveY), deltaTime);
+        this.rudder = deadZone(controls.moveX);
+        this.boostHeld = controls.boost;
+    }
+
+    update(deltaTime, water, wind, terrain) {
+        // Sub-step so buoyancy stays stable with long frames
+        const steps = Math.max(1, Math.ceil(deltaTime * 120 - 1e-6));
+        const dt = deltaTime / steps;
+        for (let i = 0; i < steps; i++) {
+            this.step(dt, water, wind, terrain);
+        }
+
+        const forward = rotateVector(this.body.orientation, vec3(0, 0, 1));
+        this.forwardSpeed = dot(this.body.velocity, forward);
+    }
+
+    step(dt, water, wind, terrain) {
+        const body = this.body;
+        const h = this.hull;
+        const q = body.orientation;
+        const g = GRAVITY;
+
+        body.applyForce(vec3(0, -h.mass * g, 0));
+
+        const forward = rotateVector(q, vec3(0, 0, 1));
+        const port = rotateVector(q, vec3(1, 0, 0)); // +x is the port side when facing +z
+        const up = rotateVector(q, vec3(0, 1, 0));
+        const count = this.samplePoints.length;
+        const beamDraftArea = h.beam * h.depth / h.samplesAcross;
+        const lateralArea = (h.length * h.depth + h.keelArea) / h.samplesAlong;
+        let submerged = 0;
+
+        for (const point of this.samplePoints) {
+            body.localToWorld(point.local, point.world);
+            const surface = water.getWaveHeightAt(point.world.x, point.world.z);
+            const depth = Math.max(0, Math.min(h.depth, surface - point.world.y));
+            point.depth = depth;
+            if (depth === 0) continue;
+
+            const fraction = depth / h.depth;
+            submerged += fraction / count;
+
+            // Buoyancy acts at the centre of the submerged part of the column
+            const centre = vec3(
+                point.world.x + up.x * depth / 2,
+                point.world.y + up.y * depth / 2,
+                point.world.z + up.z * depth / 2
+            );
+            body.applyForceAtPoint(vec3(0, WATER_DENSITY * g * point.area * depth, 0), centre);
+
+            // Drag relative to the moving water, split into the hull's own axes
+            const waterVelocity = water.getSurfaceVelocityAt(point.world.x, point.world.z);
+            const pv = body.pointVelocity(centre);
+            const rel = vec3(pv.x - waterVelocity.x, pv.y - waterVelocity.y, pv.z - waterVelocity.z);
+            const surge = dot(rel, forward);
+            const sway = dot(rel, port);
+            const heave = dot(rel, up);
+
+            const surgeDrag = -0.5 * WATER_DENSITY * h.dragCoefficients.surge * beamDraftArea * fraction / h.samplesAlong * surge * Math.abs(surge);
+            const swayDrag = -0.5 * WATER_DENSITY * h.dragCoefficients.sway * lateralArea * fraction / h.samplesAcross * sway * Math.abs(sway);
+            const heaveDrag = -0.5 * WATER_DENSITY * h.dragCoefficients.heave * point.area * heave * Math.abs(heave)
+                - h.heaveDamping / count * heave;
+
+            body.applyForceAtPoint(vec3(
+                forward.x * surgeDrag + port.x * swayDrag + up.x * heaveDrag,
+                forward.y * surgeDrag + port.y * swayDrag + up.y * heaveDrag,
+                forward.z * surgeDrag + port.z * swayDrag + up.z * heaveDrag
+            ), centre);
+        }
+        this.submergedFraction = submerged;
+
+        // The engine runs on the propeller depth these columns just measured,
+        // so nothing from an earlier tick that getState() leaves out feeds in
+        const engine = this.engine;
+        engine.update(dt, this.propulsion === 'motor', this.boostHeld, this.propellerImmersion());
+        this.throttle = engine.thrust;
+        this.boosting = engine.boosting;
+
+        // The sail is always measured so the HUD can show apparent wind, but
+        // it only pulls when it is hoisted
+        if (wind) {
+            this.applySail(wind, this.propulsion === 'sail');
+        }
+        this.applyPropulsion(forward, port);
+        this.aground = terrain ? this.applyGrounding(terrain) : false;
+        body.integrate(dt);
+    }
+
+    // Contact with the seabed and shore. Every column bottom below the ground
+    // is pushed back out along the ground normal by a stiff damped spring, and
+    // friction drags it to a stop, so the boat runs up a beach and loses its
+    // way, or bounces off a steep shore. Returns whether anything touched.
+    applyGrounding(terrain) {
+        const body = this.body;
+        const h = this.hull;
+        let touching = false;
+
+        for (const point of this.samplePoints) {
+            const p = point.world;
+            const penetration = terrain.heightAt(p.x, p.z) - p.y;
+            if (penetration <= 0) continue;
+
+            const n = terrain.normalAt(p.x, p.z);
+            const v = body.pointVelocity(p);
+            const approach = dot(v, n);
+            // Damping only resists closing in, so the ground never pulls the hull down
+            const push = h.groundStiffness * penetration - h.groundDamping * Math.min(0, approach);
+            if (push <= 0) continue;
+            touching = true;
+
+            const slide = vec3(v.x - n.x * approach, v.y - n.y * approach, v.z - n.z * approach);
+            const slideSpeed = Math.sqrt(dot(slide, slide));
+            // Near standstill friction eases off instead of flipping sign every sub-step
+            const friction = slideSpeed > 0 ? h.groundFriction * push * Math.min(1, slideSpeed / 0.1) / slideSpeed : 0;
+            body.applyForceAtPoint(vec3(
+                n.x * push - slide.x * friction,
+                n.y * push - slide.y * friction,
+                n.z * push - slide.z * friction
+            ), p);
+        }
+        return touching;
+    }
+
+    // Sail force at the centre of effort. Being high above the centre of
+    // mass, its sideways part is also what heels the boat.
+    applySail(wind, hoisted) {
+        const body = this.body;
+        const centre = body.localToWorld(this.sail.centreOfEffort);
+        const trueWind = wind.getWindAt(centre.x, centre.z);
+        const pv = body.pointVelocity(centre);
+        const apparent = inverseRotateVector(body.orientation, vec3(trueWind.x - pv.x, trueWind.y - pv.y, trueWind.z - pv.z));
+        const force = rotateVector(body.orientation, this.sail.computeForce(apparent));
+        if (hoisted) {
+            body.applyForceAtPoint(force, centre);
+        }
+    }
+
+    // How much of the propeller is in the water, from the deepest column
+    // abaft the centre as of the last column sampling
+    propellerImmersion() {
+        const sternDepth = this.samplePoints.reduce((depth, point) => {
+            return point.local.z < 0 ? Math.max(depth, point.depth) : depth;
+        }, 0);
+        return Math.min(1, sternDepth / this.hull.propellerDiameter);
+    }
+
+    // Propeller and rudder at the stern. Thrust comes from the engine and
+    // only bites while the propeller is under water, and the rudder works
+    // from both boat speed and propeller wash.
+    applyPropulsion(forward, port) {
+        const body = this.body;
+        const h = this.hull;
+        const stern = body.localToWorld(this.sternPoint);
+        const immersion = this.propellerImmersion();
+
+        let thrust = this.engine.thrust * h.maxThrust * immersion;
+        if (this.boosting) {
+            thrust *= h.boostThrustFactor;
+        }
+        body.applyForceAtPoint(vec3(forward.x * thrust, forward.y * thrust, forward.z * thrust), stern);
+
+        const speed = dot(body.velocity, forward);
+        const angle = this.rudder * h.maxRudderAngle;
+        const lift = Math.max(-1.2, Math.min(1.2, 2 * Math.PI * angle));
+        const flow = 0.5 * WATER_DENSITY * h.rudderArea * lift * speed * Math.abs(speed);
+        const wash = Math.abs(thrust) * Math.sin(angle) * 0.5;
+        const side = (flow + wash) * immersion;
+        body.applyForceAtPoint(vec3(port.x * side, port.y * side, port.z * side), stern);
+    }
+}
+
+// Blend two boat states for drawing between fixed ticks
+function interpolateBoatState(a, b, alpha) {
+    const lerp = (from, to) => from + (to - from) * alpha;
+    const pa = a.position;
+    const pb = b.position;
+    const qa = a.orientation;
+    let qb = b.orientation;
+
+    // Normalised lerp along the shorter arc is plenty for one tick apart
+    if (qa.x * qb.x + qa.y * qb.y + qa.z * qb.z + qa.w * qb.w < 0) {
+        qb = { x: -qb.x, y: -qb.y, z: -qb.z, w: -qb.w };
+    }
+    const q = { x: lerp(qa.x, qb.x), y: lerp(qa.y, qb.y), z: lerp(qa.z, qb.z), w: lerp(qa.w, qb.w) };
+    const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w);
+    q.x /= length;
+    q.y /= length;
+    q.z /= length;
+    q.w /= length;
+
+    return Object.assign({}, b, {
+        position: { x: lerp(pa.x, pb.x), y: lerp(pa.y, pb.y), z: lerp(pa.z, pb.z) },
+        orientation: q,
+        boomAngle: lerp(a.boomAngle, b.boomAngle)
+    });
+}
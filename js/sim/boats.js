@@ -0,0 +1,81 @@
+// Boat definitions: what a boat looks like and how it handles, as data.
+// boats/index.json lists the ids; boats/<id>.json holds one definition:
+//
+//   { "id": "dinghy", "name": "Dinghy", "description": "...",
+//     "hull": { "length": 4.2, "beam": 1.7, "mass": 220, ...,
+//               "samplePoints": [[x, z], ...], "sail": { "area": 9 },
+//               "engine": { "maxRpm": 5500, "fuelCapacity": 12 } },
+//     "model": { "url": "models/dinghy.glb", "scale": 1, "offset": [0, 0, 0] },
+//     "look": { "hullColor": "#8b4513", "cabin": [3, 2, 3] } }
+//
+// hull takes any BoatPhysics hull option; missing ones fall back to
+// DEFAULT_HULL, and its engine any Engine option over DEFAULT_ENGINE.
+// "sail": null leaves the boat without a rig. samplePoints replaces the
+// regular grid of buoyancy columns with explicit positions (metres from the
+// hull's centre, +z forward, +x port). Without a model the boat is drawn from
+// primitives sized to the hull.
+
+const DEFAULT_BOAT = { id: 'cruiser', name: 'Cruiser', hull: {} };
+
+class BoatDefinition {
+    constructor(data = DEFAULT_BOAT) {
+        BoatDefinition.validate(data);
+        this.data = data; // As loaded, for replays and saved state
+        this.id = data.id;
+        this.name = data.name;
+        this.description = data.description || '';
+        this.hull = BoatDefinition.createHull(data.hull || {});
+        this.model = data.model ? {
+            url: data.model.url,
+            scale: data.model.scale || 1,
+            offset: vec3(...(data.model.offset || [0, 0, 0])),
+            rotation: (data.model.rotation || 0) * Math.PI / 180 // Degrees about the vertical
+        } : null;
+        const look = data.look || {};
+        this.look = {
+            hullColor: look.hullColor || '#8b4513',
+            cabinColor: look.cabinColor || '#ffffff',
+            cabin: look.cabin === undefined ? [3, 2, 3] : look.cabin // Width, height, length; null for none
+        };
+    }
+
+    static validate(data) {
+        if (!data || typeof data.id !== 'string' || typeof data.name !== 'string') {
+            throw new Error('Boat needs an id and a name');
+        }
+        const hull = data.hull || {};
+        for (const key of ['length', 'beam', 'depth', 'mass', 'maxThrust', 'maxSpeed']) {
+            if (key in hull && !(hull[key] > 0)) {
+                throw new Error(`Boat ${data.id}: hull.${key} must be a positive number`);
+            }
+        }
+        if (hull.samplePoints !== undefined) {
+            const valid = Array.isArray(hull.samplePoints) && hull.samplePoints.length >= 3 &&
+                hull.samplePoints.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+            if (!valid) {
+                throw new Error(`Boat ${data.id}: hull.samplePoints must list at least three [x, z] pairs`);
+            }
+        }
+        const engine = Object.assign({}, DEFAULT_ENGINE, hull.engine);
+        for (const key of Object.keys(DEFAULT_ENGINE)) {
+            if (!(engine[key] > 0)) {
+                throw new Error(`Boat ${data.id}: hull.engine.${key} must be a positive number`);
+            }
+        }
+        if (!(engine.idleRpm < engine.maxRpm && engine.maxRpm <= engine.boostRpm)) {
+            throw new Error(`Boat ${data.id}: hull.engine needs idleRpm < maxRpm <= boostRpm`);
+        }
+        if (data.model && typeof data.model.url !== 'string') {
+            throw new Error(`Boat ${data.id}: model needs a url`);
+        }
+    }
+
+    // Hull options for BoatPhysics, with JSON arrays turned into vectors
+    static createHull(hull) {
+        const options = Object.assign({}, hull);
+        if (hull.sail && Array.isArray(hull.sail.centreOfEffort)) {
+            options.sail = Object.assign({}, hull.sail, { centreOfEffort: vec3(...hull.sail.centreOfEffort) });
+        }
+        return options;
+    }
+}
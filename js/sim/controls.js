@@ -0,0 +1,21 @@
+const CONTROL_DEAD_ZONE = 0.1; // Default stick deflection ignored for steering and throttle
+
+// The control state the simulation consumes each tick. Input backends,
+// replays and scripted tests all produce this same shape.
+function createControlState() {
+    return {
+        moveX: 0,
+        moveY: 0, // Moves the throttle lever towards ahead or astern; at 0 the lever stays put
+        cameraX: 0,
+        cameraY: 0,
+        cameraZoom: 0, // Positive pulls the camera out, negative pushes it in
+        cameraMode: false, // Cycle to the next camera mode
+        boost: false,
+        reset: false,
+        sheet: 0, // -1 sheets the sail in, +1 eases it out
+        toggleMode: false, // Switch between motor and sail
+        pause: false, // Open or close the pause menu; the simulation ignores it
+        debug: false, // Show or hide the debug overlay; the simulation ignores it too
+        deadZone: CONTROL_DEAD_ZONE // Steering and throttle below this are ignored
+    };
+}
@@ -0,0 +1,154 @@
+// Engine and gearbox behind a single throttle lever. The lever stays where it
+// is put: the stick only moves it, ahead of neutral is forward gear and behind
+// it reverse, and it rests in the neutral detent for a moment on the way
+// through. The gearbox only engages near idle, the revs spool towards what
+// the lever asks for and race when the propeller comes out of the water,
+// boost burns into a heat gauge that overheats, and the tank runs dry.
+
+const ENGINE_LEVER_RATE = 0.8; // Lever travel per second at full stick
+const ENGINE_NEUTRAL_BAND = 0.05; // Lever either side of centre that is still neutral
+const ENGINE_DETENT_TIME = 0.4; // s the lever rests in neutral when pushed through it
+const ENGINE_LIMP_POWER = 0.6; // Most of the lever an overheated engine answers to
+
+const DEFAULT_ENGINE = {
+    idleRpm: 800,
+    maxRpm: 4000,
+    boostRpm: 4400, // What boost revs to; the extra thrust is the hull's boostThrustFactor
+    spoolUp: 0.8, // s, time constant for gaining revs under load
+    spoolDown: 0.5, // s, time constant for losing them
+    shiftRpm: 1100, // Gears only engage below this
+    reverseThrust: 0.4, // Fraction of the ahead thrust a propeller gives astern
+    fuelCapacity: 80, // Litres
+    fuelBurn: 360, // Litres per hour flat out
+    boostFuelFactor: 2, // Burn multiplier under boost
+    boostHeatTime: 8, // s of boost from cold to overheating
+    coolTime: 12, // s to cool from fully hot with the boost off
+    cooledHeat: 0.3 // Heat an overheated engine has to fall to before it boosts again
+};
+
+class Engine {
+    constructor(options = {}) {
+        this.config = Object.assign({}, DEFAULT_ENGINE, options);
+        this.bottomlessTank = false; // AI boats never run dry
+        this.reset();
+    }
+
+    // Lever to neutral, engine idling, cold and full
+    reset() {
+        this.lever = 0; // -1 full astern to 1 full ahead
+        this.detent = 0; // s left resting in neutral
+        this.gear = 0; // -1 reverse, 0 neutral, 1 forward
+        this.rpm = this.config.idleRpm;
+        this.heat = 0; // 0 cold to 1 overheated
+        this.overheated = false;
+        this.fuel = this.config.fuelCapacity;
+        this.refuelling = false;
+        this.boosting = false;
+        this.thrust = 0; // Fraction of the hull's maxThrust, negative astern
+    }
+
+    getState() {
+        return {
+            lever: this.lever,
+            detent: this.detent,
+            gear: this.gear,
+            rpm: this.rpm,
+            heat: this.heat,
+            overheated: this.overheated,
+            fuel: this.fuel,
+            refuelling: this.refuelling
+        };
+    }
+
+    setState(state) {
+        Object.assign(this, state);
+    }
+
+    // Out of fuel it stalls until the tank is filled
+    get running() {
+        return this.fuel > 0 || this.bottomlessTank;
+    }
+
+    get fuelFraction() {
+        return this.fuel / this.config.fuelCapacity;
+    }
+
+    // Stick input, after the dead zone; letting go leaves the lever in place
+    moveLever(input, deltaTime) {
+        if (input === 0) {
+            this.detent = 0;
+            return;
+        }
+        if (this.detent > 0) {
+            this.detent = Math.max(0, this.detent - deltaTime);
+            return;
+        }
+        const lever = Math.max(-1, Math.min(1, this.lever + input * ENGINE_LEVER_RATE * deltaTime));
+        if (this.lever !== 0 && Math.sign(lever) !== Math.sign(this.lever)) {
+            this.lever = 0;
+            this.detent = ENGINE_DETENT_TIME;
+            return;
+        }
+        this.lever = lever;
+    }
+
+    // The stick input that moves the lever towards the setting whose revs
+    // give a fraction of full thrust (negative astern), for pilots that think
+    // in thrust rather than lever movements
+    throttleInput(thrust, deltaTime) {
+        const c = this.config;
+        const rpm = c.maxRpm * Math.sqrt(Math.min(1, Math.abs(thrust) / (thrust < 0 ? c.reverseThrust : 1)));
+        const setting = Math.sign(thrust) * Math.max(ENGINE_NEUTRAL_BAND, (rpm - c.idleRpm) / (c.maxRpm - c.idleRpm));
+        return Math.max(-1, Math.min(1, (setting - this.lever) / (ENGINE_LEVER_RATE * deltaTime)));
+    }
+
+    // on: the motor is the boat's propulsion; immersion: how much of the
+    // propeller is in the water, 0 to 1
+    update(deltaTime, on, boost, immersion) {
+        const c = this.config;
+        const wanted = Math.abs(this.lever) < ENGINE_NEUTRAL_BAND ? 0 : Math.sign(this.lever);
+        // Out of gear at once, into gear only once the revs are down
+        if (wanted !== this.gear) {
+            this.gear = 0;
+            if (wanted !== 0 && this.rpm <= c.shiftRpm) this.gear = wanted;
+        }
+
+        let demand = this.gear !== 0 ? Math.abs(this.lever) : 0;
+        if (this.overheated) demand = Math.min(demand, ENGINE_LIMP_POWER);
+        this.boosting = on && this.running && boost && this.gear === 1 && !this.overheated;
+
+        let target = 0; // Stalled, or shut down under sail
+        if (on && this.running) {
+            target = this.boosting ? c.boostRpm : c.idleRpm + (c.maxRpm - c.idleRpm) * demand;
+            // A propeller mostly out of the water unloads the engine,
+            // which races towards the limiter
+            const unloaded = Math.max(0, 1 - 3 * immersion);
+            target += unloaded * demand * (c.boostRpm - target);
+        }
+        // In gear, the revs build faster with the propeller out of the water
+        // and the water drags them down again once it is back in
+        const grip = this.gear !== 0 ? immersion : 0;
+        const spool = target > this.rpm ? c.spoolUp * (1 - 0.7 * (1 - grip)) : c.spoolDown * (1 - 0.7 * grip);
+        this.rpm += (target - this.rpm) * (1 - Math.exp(-deltaTime / spool));
+
+        if (this.boosting) {
+            this.heat = Math.min(1, this.heat + deltaTime / c.boostHeatTime);
+            if (this.heat === 1) this.overheated = true;
+        } else {
+            this.heat = Math.max(0, this.heat - deltaTime / c.coolTime);
+            if (this.heat <= c.cooledHeat) this.overheated = false;
+        }
+
+        // Thrust and fuel both go with the square of the revs
+        const load = Math.min(this.rpm, c.maxRpm) / c.maxRpm;
+        this.thrust = this.gear * load * load * (this.gear < 0 ? c.reverseThrust : 1);
+        if (!this.bottomlessTank) {
+            const burn = c.fuelBurn / 3600 * load * load * (this.boosting ? c.boostFuelFactor : 1);
+            this.fuel = Math.max(0, this.fuel - burn * deltaTime);
+        }
+    }
+
+    refuel(litres) {
+        this.fuel = Math.min(this.config.fuelCapacity, this.fuel + litres);
+    }
+}
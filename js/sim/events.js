@@ -0,0 +1,23 @@
+// Minimal event emitter shared by the simulation core and the systems that
+// report on it (races, recordings). Listeners run synchronously.
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners[event] || [];
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    emit(event, data) {
+        for (const listener of (this.listeners[event] || []).slice()) {
+            listener(data);
+        }
+    }
+}
@@ -0,0 +1,70 @@
+// Fuel docks: floating pontoons with a pump where a boat fills its tank by
+// stopping alongside. One is moored near the start; the rest are found along
+// the island shores, in water deep enough to come alongside, nearest first
+// and spread out over the chart.
+
+const FUEL_DOCK_HOME = { x: 60, z: 60, facing: 0 }; // Clear of the race courses' start lines
+const FUEL_DOCK_COUNT = 8; // Shore docks at most
+const FUEL_DOCK_SPACING = 600; // m between docks
+const FUEL_DOCK_MIN_DEPTH = 3; // m of water a shore dock is moored in
+const FUEL_DOCK_MAX_DEPTH = 8;
+const FUEL_DOCK_REACH = 12; // m from the pump a boat can refuel
+const FUEL_DOCK_MAX_SPEED = 1; // m/s; faster than this is passing by
+const FUEL_FILL_TIME = 10; // s to fill an empty tank
+
+// Terrain never changes, so its docks are only searched for once
+const fuelDockCache = new WeakMap();
+
+// Docks as { x, z, facing }, facing being the direction out to sea from the
+// shore in radians (0 towards +z); open sea only has the home dock
+function findFuelDocks(terrain) {
+    if (!terrain) return [FUEL_DOCK_HOME];
+    if (fuelDockCache.has(terrain)) return fuelDockCache.get(terrain);
+
+    // Grid points in mooring depth with land a couple of cells away
+    const n = terrain.size;
+    const heights = terrain.heights;
+    const landWithin = (row, column) => {
+        for (let i = Math.max(0, row - 2); i <= Math.min(n - 1, row + 2); i++) {
+            for (let j = Math.max(0, column - 2); j <= Math.min(n - 1, column + 2); j++) {
+                if (heights[i * n + j] > 0) return true;
+            }
+        }
+        return false;
+    };
+    const candidates = [];
+    for (let row = 2; row < n - 2; row += 2) {
+        for (let column = 2; column < n - 2; column += 2) {
+            const depth = -heights[row * n + column];
+            if (depth < FUEL_DOCK_MIN_DEPTH || depth > FUEL_DOCK_MAX_DEPTH || !landWithin(row, column)) continue;
+            const x = terrain.originX + column * terrain.cellSize;
+            const z = terrain.originZ + row * terrain.cellSize;
+            candidates.push({ x, z, distance: Math.hypot(x, z) });
+        }
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    const docks = [FUEL_DOCK_HOME];
+    for (const candidate of candidates) {
+        if (docks.length > FUEL_DOCK_COUNT) break;
+        if (docks.some(dock => Math.hypot(dock.x - candidate.x, dock.z - candidate.z) < FUEL_DOCK_SPACING)) continue;
+        const normal = terrain.normalAt(candidate.x, candidate.z); // Leans away from the land
+        docks.push({ x: candidate.x, z: candidate.z, facing: Math.atan2(normal.x, normal.z) });
+    }
+    fuelDockCache.set(terrain, docks);
+    return docks;
+}
+
+// The closest dock to a position and how far away it is
+function nearestFuelDock(docks, x, z) {
+    let nearest = null;
+    let distance = Infinity;
+    for (const dock of docks) {
+        const d = Math.hypot(dock.x - x, dock.z - z);
+        if (d < distance) {
+            nearest = dock;
+            distance = d;
+        }
+    }
+    return { dock: nearest, distance };
+}
@@ -0,0 +1,103 @@
+// Navigation data for the instruments: heading, course and speed over
+// ground, trip log, a breadcrumb track and a simulated lat/lon. World axes
+// are metres with +x east and north towards -z.
+
+const METRES_PER_DEGREE_LAT = 111320;
+const NAV_SMOOTHING_TIME = 1; // Seconds, roughly a GPS filter
+const DEFAULT_CHART_ORIGIN = { lat: 50.7667, lon: -1.3000 }; // The Solent
+
+const SPEED_UNITS = {
+    kn: { label: 'kn', factor: MS_TO_KNOTS, distance: 'nm' },
+    kmh: { label: 'km/h', factor: 3.6, distance: 'km' },
+    mph: { label: 'mph', factor: 2.23694, distance: 'mi' }
+};
+
+const DISTANCE_UNITS = {
+    nm: { label: 'nm', metres: 1852 },
+    km: { label: 'km', metres: 1000 },
+    mi: { label: 'mi', metres: 1609.344 }
+};
+
+const LENGTH_UNITS = {
+    m: { label: 'm', factor: 1 },
+    ft: { label: 'ft', factor: 3.28084 }
+};
+
+// Compass bearing (degrees, 0 = north, clockwise) of a world-space vector
+function bearingOf(x, z) {
+    return (Math.atan2(x, -z) * 180 / Math.PI + 360) % 360;
+}
+
+function toLatLon(x, z, origin = DEFAULT_CHART_ORIGIN) {
+    const lat = origin.lat - z / METRES_PER_DEGREE_LAT;
+    const lon = origin.lon + x / (METRES_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180));
+    return { lat, lon };
+}
+
+// Degrees and decimal minutes, as a chart plotter shows them
+function formatLatLon(position) {
+    const part = (value, positive, negative, degreeDigits) => {
+        const abs = Math.abs(value);
+        const degrees = Math.floor(abs);
+        const minutes = (abs - degrees) * 60;
+        return `${String(degrees).padStart(degreeDigits, '0')}°${minutes.toFixed(3).padStart(6, '0')}'${value >= 0 ? positive : negative}`;
+    };
+    return `${part(position.lat, 'N', 'S', 2)} ${part(position.lon, 'E', 'W', 3)}`;
+}
+
+// Follows the simulated boat each tick. Speed and course over ground are
+// smoothed over about a second, like a GPS would, so wave motion does not
+// make the readouts flicker.
+class NavigationLog {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.trackSpacing = options.trackSpacing || 10; // Metres between breadcrumbs
+        this.maxTrackPoints = options.maxTrackPoints || 1000;
+        this.heading = 0;
+        this.courseOverGround = 0;
+        this.speedOverGround = 0; // m/s
+        this.tripDistance = 0; // m
+        this.track = [];
+        this.smoothVelocity = { x: 0, z: 0 };
+        this.trackBroken = false;
+
+        simulation.on('tick', () => this.update());
+        // A reset jumps the boat; the track should not draw a line across it
+        const breakTrack = () => {
+            this.trackBroken = true;
+        };
+        simulation.on('reset', breakTrack);
+        simulation.on('start', breakTrack);
+    }
+
+    resetTrip() {
+        this.tripDistance = 0;
+        this.track = [];
+    }
+
+    update() {
+        const body = this.simulation.boat.body;
+        const forward = rotateVector(body.orientation, vec3(0, 0, 1));
+        this.heading = bearingOf(forward.x, forward.z);
+
+        const smoothing = SIM_DT / NAV_SMOOTHING_TIME;
+        const v = this.smoothVelocity;
+        v.x += (body.velocity.x - v.x) * smoothing;
+        v.z += (body.velocity.z - v.z) * smoothing;
+        this.speedOverGround = Math.sqrt(v.x * v.x + v.z * v.z);
+        if (this.speedOverGround > 0.05) {
+            this.courseOverGround = bearingOf(v.x, v.z);
+        }
+        // Integrating the filtered speed keeps wave jiggle out of the log
+        this.tripDistance += this.speedOverGround * SIM_DT;
+
+        const position = { x: body.position.x, z: body.position.z };
+        const last = this.track[this.track.length - 1];
+        if (this.trackBroken || !last || Math.hypot(position.x - last.x, position.z - last.z) >= this.trackSpacing) {
+            position.gap = this.trackBroken; // No line from the previous point
+            this.trackBroken = false;
+            this.track.push(position);
+            if (this.track.length > this.maxTrackPoints) this.track.shift();
+        }
+    }
+}
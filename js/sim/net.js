@@ -0,0 +1,110 @@
+// Wire format shared by the browser client, the relay and the simulated
+// test clients. Messages are JSON text frames with a "type" field. Boat
+// states are stamped with the room clock (shared ocean time), so a receiver
+// can place them on its own timeline regardless of network delay.
+
+const NET_PROTOCOL_VERSION = 1;
+const NET_SEND_RATE = 10; // Boat states per second
+const NET_INTERPOLATION_DELAY = 0.15; // Seconds remote boats are drawn in the past
+const NET_MAX_EXTRAPOLATION = 0.5; // Seconds a remote boat is projected past its last state
+
+function roundTo(value, digits) {
+    const scale = Math.pow(10, digits);
+    return Math.round(value * scale) / scale;
+}
+
+function encodeBoatState(state, time) {
+    const p = state.position;
+    const v = state.velocity;
+    const q = state.orientation;
+    const w = state.angularVelocity;
+    return {
+        type: 'state',
+        time: roundTo(time, 3),
+        p: [roundTo(p.x, 3), roundTo(p.y, 3), roundTo(p.z, 3)],
+        v: [roundTo(v.x, 3), roundTo(v.y, 3), roundTo(v.z, 3)],
+        q: [roundTo(q.x, 5), roundTo(q.y, 5), roundTo(q.z, 5), roundTo(q.w, 5)],
+        w: [roundTo(w.x, 4), roundTo(w.y, 4), roundTo(w.z, 4)],
+        boom: roundTo(state.boomAngle, 3),
+        mode: state.propulsion
+    };
+}
+
+function decodeBoatState(message) {
+    return {
+        time: message.time,
+        position: vec3(message.p[0], message.p[1], message.p[2]),
+        velocity: vec3(message.v[0], message.v[1], message.v[2]),
+        orientation: { x: message.q[0], y: message.q[1], z: message.q[2], w: message.q[3] },
+        angularVelocity: vec3(message.w[0], message.w[1], message.w[2]),
+        boomAngle: message.boom,
+        propulsion: message.mode
+    };
+}
+
+// Project a state forward by dt seconds at constant linear and angular velocity
+function extrapolateBoatState(state, dt) {
+    const p = state.position;
+    const v = state.velocity;
+    const w = state.angularVelocity;
+    const q = state.orientation;
+    // q' = q + dt/2 * (w as a pure quaternion) * q, then normalise
+    const h = dt * 0.5;
+    const next = {
+        x: q.x + h * (w.x * q.w + w.y * q.z - w.z * q.y),
+        y: q.y + h * (w.y * q.w + w.z * q.x - w.x * q.z),
+        z: q.z + h * (w.z * q.w + w.x * q.y - w.y * q.x),
+        w: q.w - h * (w.x * q.x + w.y * q.y + w.z * q.z)
+    };
+    const length = Math.sqrt(next.x * next.x + next.y * next.y + next.z * next.z + next.w * next.w);
+    next.x /= length;
+    next.y /= length;
+    next.z /= length;
+    next.w /= length;
+    return Object.assign({}, state, {
+        position: vec3(p.x + v.x * dt, p.y + v.y * dt, p.z + v.z * dt),
+        orientation: next
+    });
+}
+
+// Keeps a short history of timestamped states from one remote boat and
+// samples it at any time: interpolated between the two states around it,
+// or extrapolated (for a limited time) past the newest
+class SnapshotBuffer {
+    constructor(size = 32) {
+        this.size = size;
+        this.states = [];
+    }
+
+    push(state) {
+        const states = this.states;
+        // Drop late or duplicate packets; states only move forward in time
+        if (states.length && state.time <= states[states.length - 1].time) return;
+        states.push(state);
+        if (states.length > this.size) states.shift();
+    }
+
+    clear() {
+        this.states = [];
+    }
+
+    get latest() {
+        return this.states[this.states.length - 1] || null;
+    }
+
+    sample(time) {
+        const states = this.states;
+        if (!states.length) return null;
+        if (time <= states[0].time) return states[0];
+
+        for (let i = states.length - 1; i > 0; i--) {
+            const a = states[i - 1];
+            const b = states[i];
+            if (time >= a.time && time <= b.time) {
+                return interpolateBoatState(a, b, (time - a.time) / (b.time - a.time));
+            }
+        }
+        const latest = this.latest;
+        return extrapolateBoatState(latest, Math.min(time - latest.time, NET_MAX_EXTRAPOLATION));
+    }
+}
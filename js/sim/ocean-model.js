@@ -0,0 +1,49 @@
+// Simulation side of the ocean: the clock and the wave field. Physics queries
+// go through here; the Ocean view only draws it.
+class OceanModel {
+    constructor(options = {}) {
+        this.terrain = null;
+        this.configure(options);
+    }
+
+    configure(options) {
+        this.waveField = new WaveField(Object.assign({ terrain: this.terrain }, options));
+        this.time = 0;
+    }
+
+    // Seabed the waves shoal over
+    setTerrain(terrain) {
+        this.terrain = terrain;
+        this.waveField.terrain = terrain;
+    }
+
+    setSeaState(name, blendTime) {
+        this.waveField.setSeaState(name, blendTime);
+    }
+
+    getState() {
+        return { time: this.time, waveField: this.waveField.getState() };
+    }
+
+    setState(state) {
+        this.time = state.time;
+        this.waveField.setState(state.waveField);
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        this.waveField.update(deltaTime);
+    }
+
+    getWaveHeightAt(x, z) {
+        return this.waveField.heightAt(x, z, this.time);
+    }
+
+    getNormalAt(x, z) {
+        return this.waveField.normalAt(x, z, this.time);
+    }
+
+    getSurfaceVelocityAt(x, z) {
+        return this.waveField.velocityAt(x, z, this.time);
+    }
+}
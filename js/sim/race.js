@@ -0,0 +1,255 @@
+// Race courses and timing. A course is a start/finish gate followed by marks
+// (or more gates) to pass in order. Every checkpoint becomes a line with an
+// anchor buoy at one end; it counts when the boat's track crosses the line
+// with the anchor on the required side. Times come from the simulation tick,
+// so a race replays to the same hundredth.
+
+const RACE_COUNTDOWN = 5; // Seconds from entering the course to the start gun
+const MARK_LINE_LENGTH = 60; // Metres the rounding line reaches out from a mark
+const RACE_SIDES = { port: -1, starboard: 1 };
+
+// Course bearings are compass degrees; the boat's heading is a yaw with
+// 0 = facing +z (south)
+function bearingToHeading(bearing) {
+    return Math.PI - bearing * Math.PI / 180;
+}
+
+function normalize2(x, z) {
+    const length = Math.sqrt(x * x + z * z);
+    return length > 1e-9 ? { x: x / length, z: z / length } : { x: 0, z: 0 };
+}
+
+// Signed side of point p relative to travel from a to b: negative means p is
+// on the traveller's port side (world +x is east, north is -z)
+function sideOf(a, b, p) {
+    return (b.x - a.x) * (p.z - a.z) - (b.z - a.z) * (p.x - a.x);
+}
+
+function segmentsCross(p0, p1, a, b) {
+    const d1 = sideOf(a, b, p0);
+    const d2 = sideOf(a, b, p1);
+    const d3 = sideOf(p0, p1, a);
+    const d4 = sideOf(p0, p1, b);
+    return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+class Course {
+    constructor(data) {
+        Course.validate(data);
+        this.id = data.id;
+        this.name = data.name;
+        this.laps = data.laps || 1;
+        this.start = {
+            position: vec3(data.start.x, 0.5, data.start.z),
+            heading: bearingToHeading(data.start.bearing || 0)
+        };
+        this.checkpoints = data.checkpoints.map((checkpoint, index) => this.createCheckpoint(data.checkpoints, index));
+    }
+
+    static validate(data) {
+        if (!data || typeof data.id !== 'string' || typeof data.name !== 'string') {
+            throw new Error('Course needs an id and a name');
+        }
+        if (!data.start || typeof data.start.x !== 'number' || typeof data.start.z !== 'number') {
+            throw new Error(`Course ${data.id} has no start position`);
+        }
+        const checkpoints = data.checkpoints;
+        if (!Array.isArray(checkpoints) || checkpoints.length < 2 || checkpoints[0].type !== 'gate') {
+            throw new Error(`Course ${data.id} must start with a gate and have at least one more checkpoint`);
+        }
+        for (const checkpoint of checkpoints) {
+            if (checkpoint.type === 'gate') {
+                if (!Array.isArray(checkpoint.left) || !Array.isArray(checkpoint.right)) {
+                    throw new Error(`Gate ${checkpoint.name} needs left and right buoys`);
+                }
+            } else if (checkpoint.type === 'mark') {
+                if (!Array.isArray(checkpoint.position) || !(checkpoint.rounding in RACE_SIDES)) {
+                    throw new Error(`Mark ${checkpoint.name} needs a position and a port or starboard rounding`);
+                }
+            } else {
+                throw new Error(`Unknown checkpoint type: ${checkpoint.type}`);
+            }
+        }
+    }
+
+    static centreOf(checkpoint) {
+        if (checkpoint.type === 'gate') {
+            return {
+                x: (checkpoint.left[0] + checkpoint.right[0]) / 2,
+                z: (checkpoint.left[1] + checkpoint.right[1]) / 2
+            };
+        }
+        return { x: checkpoint.position[0], z: checkpoint.position[1] };
+    }
+
+    // A gate is crossed between its buoys, left buoy to port. A mark's line
+    // points away from the inside of the turn, along the bisector of the
+    // legs into and out of it, so only a boat going round the outside crosses
+    createCheckpoint(list, index) {
+        const data = list[index];
+        const name = data.name || `Checkpoint ${index + 1}`;
+        if (data.type === 'gate') {
+            const a = { x: data.left[0], z: data.left[1] };
+            const b = { x: data.right[0], z: data.right[1] };
+            return { index, name, type: 'gate', a, b, side: RACE_SIDES.port, buoys: [a, b] };
+        }
+
+        const mark = { x: data.position[0], z: data.position[1] };
+        const previous = Course.centreOf(list[(index - 1 + list.length) % list.length]);
+        const next = Course.centreOf(list[(index + 1) % list.length]);
+        const legIn = normalize2(mark.x - previous.x, mark.z - previous.z);
+        const legOut = normalize2(next.x - mark.x, next.z - mark.z);
+        let out = normalize2(legIn.x - legOut.x, legIn.z - legOut.z);
+        if (out.x === 0 && out.z === 0) {
+            // Straight through: the line sticks out on the side the boat passes
+            const starboard = { x: -legIn.z, z: legIn.x };
+            const sign = data.rounding === 'port' ? 1 : -1;
+            out = { x: starboard.x * sign, z: starboard.z * sign };
+        }
+        const b = { x: mark.x + out.x * MARK_LINE_LENGTH, z: mark.z + out.z * MARK_LINE_LENGTH };
+        return { index, name, type: 'mark', a: mark, b, side: RACE_SIDES[data.rounding], buoys: [mark] };
+    }
+}
+
+// Follows the simulated boat through a course: countdown, start gun, then
+// checkpoints in order for the given number of laps. Emits 'gun', 'early'
+// (crossed the start line before the gun), 'checkpoint', 'wrongWay', 'lap'
+// and 'finish'.
+class RaceTracker extends EventEmitter {
+    constructor(simulation, course, options = {}) {
+        super();
+        this.simulation = simulation;
+        this.course = course;
+        this.countdown = options.countdown !== undefined ? options.countdown : RACE_COUNTDOWN;
+        this.state = 'idle';
+        this.onTick = () => this.update();
+        // A reset teleports the boat; that jump must not count as a crossing
+        this.onReset = () => {
+            this.teleported = true;
+        };
+    }
+
+    start() {
+        const sim = this.simulation;
+        sim.setStart(this.course.start.position, this.course.start.heading);
+        this.gunTick = sim.tick + Math.round(this.countdown * SIM_TICK_RATE);
+        this.state = 'countdown';
+        this.lap = 0;
+        this.nextCheckpoint = 0;
+        this.lapStartTick = this.gunTick;
+        this.splits = [];
+        this.laps = [];
+        this.early = false;
+        this.lastPosition = this.boatPosition();
+        this.teleported = false;
+        sim.on('tick', this.onTick);
+        sim.on('reset', this.onReset);
+    }
+
+    stop() {
+        this.simulation.off('tick', this.onTick);
+        this.simulation.off('reset', this.onReset);
+        if (this.state !== 'finished') {
+            this.state = 'idle';
+        }
+    }
+
+    boatPosition() {
+        const position = this.simulation.boat.body.position;
+        return { x: position.x, z: position.z };
+    }
+
+    // Seconds since the gun; negative during the countdown
+    get elapsed() {
+        return (this.simulation.tick - this.gunTick) * SIM_DT;
+    }
+
+    get lapElapsed() {
+        return (this.simulation.tick - this.lapStartTick) * SIM_DT;
+    }
+
+    get totalTime() {
+        return this.laps.reduce((total, lap) => total + lap.time, 0);
+    }
+
+    update() {
+        const position = this.boatPosition();
+        const last = this.lastPosition;
+        this.lastPosition = position;
+        const teleported = this.teleported;
+        this.teleported = false;
+
+        if (this.state === 'countdown') {
+            const startLine = this.course.checkpoints[0];
+            if (!this.early && !teleported && this.crossing(startLine, last, position) > 0) {
+                this.early = true;
+                this.emit('early');
+            }
+            if (this.simulation.tick >= this.gunTick) {
+                this.state = 'racing';
+                this.emit('gun');
+            }
+            return;
+        }
+        if (this.state !== 'racing' || teleported) return;
+
+        const checkpoint = this.course.checkpoints[this.nextCheckpoint];
+        const crossing = this.crossing(checkpoint, last, position);
+        if (crossing < 0) {
+            this.emit('wrongWay', { checkpoint: checkpoint.name });
+        } else if (crossing > 0) {
+            this.passCheckpoint(checkpoint);
+        }
+    }
+
+    // 1 for a crossing in the race direction, -1 for the wrong way, 0 for none
+    crossing(checkpoint, from, to) {
+        if (!segmentsCross(from, to, checkpoint.a, checkpoint.b)) return 0;
+        const side = Math.sign(sideOf(from, to, checkpoint.a));
+        return side === checkpoint.side ? 1 : -1;
+    }
+
+    passCheckpoint(checkpoint) {
+        const tick = this.simulation.tick;
+        const split = (tick - this.lapStartTick) * SIM_DT;
+
+        if (checkpoint.index === 0 && this.lap === 0) {
+            // First pass of the start line begins lap 1; its clock started at the gun
+            this.lap = 1;
+            this.nextCheckpoint = 1;
+            this.emit('checkpoint', { index: 0, name: checkpoint.name, lap: 1, split });
+            return;
+        }
+
+        if (checkpoint.index !== 0) {
+            this.splits.push(split);
+            this.nextCheckpoint = (checkpoint.index + 1) % this.course.checkpoints.length;
+            this.emit('checkpoint', { index: checkpoint.index, name: checkpoint.name, lap: this.lap, split });
+            return;
+        }
+
+        const lap = { time: split, splits: this.splits };
+        this.laps.push(lap);
+        this.emit('lap', Object.assign({ lap: this.lap }, lap));
+        if (this.lap >= this.course.laps) {
+            this.stop();
+            this.state = 'finished';
+            this.emit('finish', this.getResult());
+            return;
+        }
+        this.lap++;
+        this.lapStartTick = tick;
+        this.splits = [];
+        this.nextCheckpoint = 1;
+    }
+
+    getResult() {
+        return {
+            course: this.course.id,
+            boat: this.simulation.boatDefinition.name,
+            time: this.totalTime,
+            laps: this.laps.map(lap => ({ time: lap.time, splits: lap.splits.slice() })),
+            early: this.early
+        };
+    }
+}
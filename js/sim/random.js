@@ -0,0 +1,23 @@
+// Seeded pseudo-random numbers (mulberry32). Everything random inside the
+// simulation draws from one of these so a run is reproducible from its seed.
+class Random {
+    constructor(seed = 1) {
+        this.state = seed >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+}
@@ -0,0 +1,221 @@
+// Session recording and deterministic replay. A recording is the full
+// simulation state at the first tick plus every change of the control state
+// (and sea-state, weather and time-of-day changes, start-line moves, boat
+// swaps or traffic changes) after it;
+// stepping a fresh Simulation through those events reproduces the run tick
+// for tick.
+
+const REPLAY_FORMAT = 'boater3d-replay';
+const REPLAY_VERSION = 2; // 2: moveY moves the throttle lever instead of setting the throttle
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+class Recorder {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.options = options; // Simulation constructor options the run depends on
+        this.recording = false;
+        this.onStep = () => this.captureControls();
+        // Sea-state changes made by the weather replay with the weather
+        this.onSeaState = (change) => {
+            if (!change.weather) this.captureEvent({ seaState: change.name, blendTime: change.blendTime });
+        };
+        // Scripted changes are left to the script, which is part of the state
+        this.onWeather = (change) => {
+            if (!change.scripted) this.captureEvent({ weather: change.name, blendTime: change.blendTime });
+        };
+        this.onWeatherScript = (script) => this.captureEvent({ weatherScript: script });
+        this.onTimeOfDay = (change) => this.captureEvent({ timeOfDay: change.hours, dayLength: change.dayLength });
+        this.onStart = (start) => this.captureEvent({ start });
+        this.onBoat = (definition) => this.captureEvent({ boat: definition.data });
+        this.onTraffic = (traffic) => this.captureEvent({ traffic });
+    }
+
+    start() {
+        const sim = this.simulation;
+        this.startTick = sim.tick;
+        this.initialState = sim.getState();
+        this.events = [];
+        this.lastControls = null;
+        this.recording = true;
+        sim.on('step', this.onStep);
+        sim.on('seaState', this.onSeaState);
+        sim.on('weather', this.onWeather);
+        sim.on('weatherScript', this.onWeatherScript);
+        sim.on('timeOfDay', this.onTimeOfDay);
+        sim.on('start', this.onStart);
+        sim.on('boat', this.onBoat);
+        sim.on('traffic', this.onTraffic);
+    }
+
+    stop() {
+        if (!this.recording) return null;
+        const sim = this.simulation;
+        sim.off('step', this.onStep);
+        sim.off('seaState', this.onSeaState);
+        sim.off('weather', this.onWeather);
+        sim.off('weatherScript', this.onWeatherScript);
+        sim.off('timeOfDay', this.onTimeOfDay);
+        sim.off('start', this.onStart);
+        sim.off('boat', this.onBoat);
+        sim.off('traffic', this.onTraffic);
+        this.recording = false;
+        return this.toJSON();
+    }
+
+    // Only store the control state when it differs from the last stored one
+    captureControls() {
+        const controls = this.simulation.controls;
+        const last = this.lastControls;
+        if (last && Object.keys(controls).every(key => controls[key] === last[key])) return;
+        this.lastControls = Object.assign({}, controls);
+        this.captureEvent({ controls: this.lastControls });
+    }
+
+    captureEvent(event) {
+        this.events.push(Object.assign({ tick: this.simulation.tick - this.startTick }, event));
+    }
+
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            tickRate: SIM_TICK_RATE,
+            seed: this.simulation.seed,
+            options: this.options,
+            createdAt: new Date().toISOString(),
+            duration: this.simulation.tick - this.startTick,
+            initialState: this.initialState,
+            events: this.events
+        };
+    }
+}
+
+function validateReplay(replay) {
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a Boater3D replay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+    }
+    if (replay.tickRate !== SIM_TICK_RATE) {
+        throw new Error(`Replay was recorded at ${replay.tickRate} ticks/s, this build runs at ${SIM_TICK_RATE}`);
+    }
+    return replay;
+}
+
+// Plays a replay in its own Simulation. Seeking re-simulates from the
+// nearest checkpoint, which is exact because the simulation is deterministic.
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = validateReplay(replay);
+        this.duration = replay.duration;
+        this.paused = false;
+        this.speed = 1;
+        this.checkpointInterval = SIM_TICK_RATE * 10;
+        this.checkpoints = new Map();
+        this.restart();
+    }
+
+    restart() {
+        const replay = this.replay;
+        this.simulation = new Simulation(Object.assign({ seed: replay.seed }, replay.options));
+        this.simulation.setState(replay.initialState);
+        this.startTick = replay.initialState.tick;
+        this.eventIndex = 0;
+        this.simulation.on('step', () => this.applyEvents());
+        this.loop = new FixedStepLoop(this.simulation, { maxTicksPerFrame: 40 });
+    }
+
+    get tick() {
+        return this.simulation.tick - this.startTick;
+    }
+
+    get ended() {
+        return this.tick >= this.duration;
+    }
+
+    applyEvents() {
+        const events = this.replay.events;
+        const tick = this.tick;
+        while (this.eventIndex < events.length && events[this.eventIndex].tick <= tick) {
+            const event = events[this.eventIndex++];
+            if (event.controls) {
+                this.simulation.setControls(event.controls);
+            } else if (event.seaState) {
+                this.simulation.setSeaState(event.seaState, event.blendTime);
+            } else if (event.weather) {
+                this.simulation.setWeather(event.weather, event.blendTime);
+            } else if ('weatherScript' in event) {
+                this.simulation.setWeatherScript(event.weatherScript);
+            } else if (event.timeOfDay !== undefined) {
+                this.simulation.setTimeOfDay(event.timeOfDay, event.dayLength);
+            } else if (event.start) {
+                this.simulation.setStart(event.start.position, event.start.heading);
+            } else if (event.boat) {
+                this.simulation.setBoat(event.boat);
+            } else if (event.traffic) {
+                this.simulation.setTraffic(event.traffic);
+            }
+        }
+        if (tick % this.checkpointInterval === 0 && !this.checkpoints.has(tick)) {
+            this.checkpoints.set(tick, { state: this.simulation.getState(), eventIndex: this.eventIndex });
+        }
+    }
+
+    play() {
+        if (this.ended) this.seek(0);
+        this.paused = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    setSpeed(speed) {
+        if (!REPLAY_SPEEDS.includes(speed)) {
+            throw new Error(`Unsupported replay speed: ${speed}`);
+        }
+        this.speed = speed;
+    }
+
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.duration, Math.round(tick)));
+        if (target < this.tick) {
+            // Checkpoints are taken after the tick's events were applied, so
+            // restore the one at or before the target and continue from there
+            let best = null;
+            for (const [checkpointTick, checkpoint] of this.checkpoints) {
+                if (checkpointTick <= target && (!best || checkpointTick > best.tick)) {
+                    best = Object.assign({ tick: checkpointTick }, checkpoint);
+                }
+            }
+            this.restart();
+            if (best && best.tick > 0) {
+                this.simulation.setState(best.state);
+                this.eventIndex = best.eventIndex;
+            }
+        }
+        while (this.tick < target) {
+            this.stepOnce();
+        }
+        this.loop.previousBoatState = this.simulation.boat.getState();
+        this.loop.accumulator = 0;
+    }
+
+    stepOnce() {
+        this.simulation.step();
+    }
+
+    // Advance by real frame time, scaled by the playback speed
+    advance(frameTime) {
+        if (this.paused || this.ended) {
+            return 0;
+        }
+        const remaining = (this.duration - this.tick) * SIM_DT;
+        return this.loop.advance(Math.min(frameTime * this.speed, remaining));
+    }
+
+    getBoatState() {
+        return this.loop.getBoatState();
+    }
+}
@@ -0,0 +1,161 @@
+// Minimal 6-DOF rigid body. Vectors are plain {x, y, z} objects and the
+// orientation is a unit quaternion {x, y, z, w}, so the physics does not
+// depend on the renderer's math classes.
+
+function vec3(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+function cross(a, b, out = vec3()) {
+    const x = a.y * b.z - a.z * b.y;
+    const y = a.z * b.x - a.x * b.z;
+    const z = a.x * b.y - a.y * b.x;
+    out.x = x;
+    out.y = y;
+    out.z = z;
+    return out;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+// Rotate v by the unit quaternion q
+function rotateVector(q, v, out = vec3()) {
+    const ix = q.w * v.x + q.y * v.z - q.z * v.y;
+    const iy = q.w * v.y + q.z * v.x - q.x * v.z;
+    const iz = q.w * v.z + q.x * v.y - q.y * v.x;
+    const iw = -q.x * v.x - q.y * v.y - q.z * v.z;
+    out.x = ix * q.w + iw * -q.x + iy * -q.z - iz * -q.y;
+    out.y = iy * q.w + iw * -q.y + iz * -q.x - ix * -q.z;
+    out.z = iz * q.w + iw * -q.z + ix * -q.y - iy * -q.x;
+    return out;
+}
+
+// Rotate v by the inverse of the unit quaternion q
+function inverseRotateVector(q, v, out = vec3()) {
+    return rotateVector({ x: -q.x, y: -q.y, z: -q.z, w: q.w }, v, out);
+}
+
+// Quaternion for a rotation of angle radians about the world y axis
+function yawQuaternion(angle) {
+    return { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) };
+}
+
+class RigidBody {
+    constructor({ mass, inertia }) {
+        this.mass = mass;
+        this.inertia = inertia; // Principal moments in the body frame
+        this.position = vec3();
+        this.velocity = vec3();
+        this.orientation = { x: 0, y: 0, z: 0, w: 1 };
+        this.angularVelocity = vec3(); // World frame
+        this.force = vec3();
+        this.torque = vec3();
+    }
+
+    clearForces() {
+        this.force.x = this.force.y = this.force.z = 0;
+        this.torque.x = this.torque.y = this.torque.z = 0;
+    }
+
+    applyForce(force) {
+        this.force.x += force.x;
+        this.force.y += force.y;
+        this.force.z += force.z;
+    }
+
+    // Force and point are both in world space
+    applyForceAtPoint(force, point) {
+        this.applyForce(force);
+        const r = vec3(point.x - this.position.x, point.y - this.position.y, point.z - this.position.z);
+        const t = cross(r, force);
+        this.torque.x += t.x;
+        this.torque.y += t.y;
+        this.torque.z += t.z;
+    }
+
+    // Instant change of momentum, e.g. from a collision; both in world space
+    applyImpulseAtPoint(impulse, point) {
+        this.velocity.x += impulse.x / this.mass;
+        this.velocity.y += impulse.y / this.mass;
+        this.velocity.z += impulse.z / this.mass;
+        const r = vec3(point.x - this.position.x, point.y - this.position.y, point.z - this.position.z);
+        const spin = this.inverseInertiaTimes(cross(r, impulse));
+        this.angularVelocity.x += spin.x;
+        this.angularVelocity.y += spin.y;
+        this.angularVelocity.z += spin.z;
+    }
+
+    // How much a unit impulse along direction at a world point changes the
+    // point's velocity along that direction; the inverse of the effective mass
+    impulseResponse(point, direction) {
+        const r = vec3(point.x - this.position.x, point.y - this.position.y, point.z - this.position.z);
+        const spin = this.inverseInertiaTimes(cross(r, direction));
+        return 1 / this.mass + dot(direction, cross(spin, r));
+    }
+
+    // World-frame inverse inertia tensor applied to a world vector
+    inverseInertiaTimes(v) {
+        const local = inverseRotateVector(this.orientation, v);
+        const I = this.inertia;
+        return rotateVector(this.orientation, vec3(local.x / I.x, local.y / I.y, local.z / I.z));
+    }
+
+    localToWorld(point, out = vec3()) {
+        rotateVector(this.orientation, point, out);
+        out.x += this.position.x;
+        out.y += this.position.y;
+        out.z += this.position.z;
+        return out;
+    }
+
+    // Velocity of a world-space point rigidly attached to the body
+    pointVelocity(point, out = vec3()) {
+        const r = vec3(point.x - this.position.x, point.y - this.position.y, point.z - this.position.z);
+        cross(this.angularVelocity, r, out);
+        out.x += this.velocity.x;
+        out.y += this.velocity.y;
+        out.z += this.velocity.z;
+        return out;
+    }
+
+    // Semi-implicit Euler step, including the gyroscopic term of Euler's equations
+    integrate(dt) {
+        const invMass = 1 / this.mass;
+        this.velocity.x += this.force.x * invMass * dt;
+        this.velocity.y += this.force.y * invMass * dt;
+        this.velocity.z += this.force.z * invMass * dt;
+
+        const q = this.orientation;
+        const I = this.inertia;
+        const w = inverseRotateVector(q, this.angularVelocity);
+        const t = inverseRotateVector(q, this.torque);
+        const gyro = cross(w, vec3(I.x * w.x, I.y * w.y, I.z * w.z));
+        w.x += (t.x - gyro.x) / I.x * dt;
+        w.y += (t.y - gyro.y) / I.y * dt;
+        w.z += (t.z - gyro.z) / I.z * dt;
+        rotateVector(q, w, this.angularVelocity);
+
+        this.position.x += this.velocity.x * dt;
+        this.position.y += this.velocity.y * dt;
+        this.position.z += this.velocity.z * dt;
+
+        const av = this.angularVelocity;
+        const qx = q.x;
+        const qy = q.y;
+        const qz = q.z;
+        const qw = q.w;
+        q.x += 0.5 * dt * (av.x * qw + av.y * qz - av.z * qy);
+        q.y += 0.5 * dt * (av.y * qw + av.z * qx - av.x * qz);
+        q.z += 0.5 * dt * (av.z * qw + av.x * qy - av.y * qx);
+        q.w += 0.5 * dt * (-av.x * qx - av.y * qy - av.z * qz);
+        const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w);
+        q.x /= length;
+        q.y /= length;
+        q.z /= length;
+        q.w /= length;
+
+        this.clearForces();
+    }
+}
@@ -0,0 +1,69 @@
+// Mainsail on the boat's mast. The player only sets the sheet; the boom then
+// swings to leeward until the sheet stops it, and the angle of attack left
+// over decides lift and drag. The points of sail fall out of that:
+// head to wind the sail luffs (no-go zone), close-hauled it works on lift,
+// on a beam reach lift pulls almost straight ahead and running is all drag.
+
+const AIR_DENSITY = 1.225; // kg/m^3
+
+class Sail {
+    constructor(options = {}) {
+        this.area = options.area || 35; // m^2
+        this.centreOfEffort = options.centreOfEffort || vec3(0, 5, 0.5); // Body frame, from the centre of mass
+        this.minSheetAngle = options.minSheetAngle || 5 * Math.PI / 180;
+        this.maxSheetAngle = options.maxSheetAngle || 85 * Math.PI / 180;
+
+        this.sheet = 0.5; // 0 = sheeted hard in, 1 = fully eased
+        this.boomAngle = 0; // Signed, positive to port (+x)
+        this.angleOfAttack = 0;
+        this.apparentWind = vec3(); // Body frame, where the air is going
+        this.apparentWindAngle = 0; // Signed, 0 = on the bow, positive from port
+        this.apparentWindSpeed = 0;
+        this.force = vec3(); // Body frame
+    }
+
+    trim(amount) {
+        this.sheet = Math.max(0, Math.min(1, this.sheet + amount));
+    }
+
+    // Air flow relative to the boat, in the boat's own frame
+    computeForce(apparentWind) {
+        const wx = apparentWind.x;
+        const wz = apparentWind.z;
+        const speed = Math.sqrt(wx * wx + wz * wz);
+        this.apparentWind.x = wx;
+        this.apparentWind.y = 0;
+        this.apparentWind.z = wz;
+        this.apparentWindSpeed = speed;
+        // Angle between the bow and where the wind comes from
+        this.apparentWindAngle = Math.atan2(-wx, -wz);
+
+        if (speed < 0.01) {
+            this.angleOfAttack = 0;
+            this.force.x = this.force.y = this.force.z = 0;
+            return this.force;
+        }
+
+        // The boom goes out on the leeward side, at most as far as the sheet allows
+        const leeward = wx >= 0 ? 1 : -1;
+        const freeAngle = Math.atan2(Math.abs(wx), -wz);
+        const sheetAngle = this.minSheetAngle + this.sheet * (this.maxSheetAngle - this.minSheetAngle);
+        const boom = Math.min(freeAngle, sheetAngle);
+        this.boomAngle = boom * leeward;
+        this.angleOfAttack = freeAngle - boom;
+
+        const alpha = this.angleOfAttack;
+        const lift = 1.4 * Math.sin(2 * Math.min(alpha, Math.PI / 2));
+        const drag = 0.1 + 1.2 * Math.sin(alpha) * Math.sin(alpha);
+        const q = 0.5 * AIR_DENSITY * speed * speed * this.area;
+
+        // Drag acts along the flow, lift across it towards the leeward side
+        const ux = wx / speed;
+        const uz = wz / speed;
+        const side = -leeward;
+        this.force.x = q * (drag * ux + lift * side * uz);
+        this.force.y = 0;
+        this.force.z = q * (drag * uz - lift * side * ux);
+        return this.force;
+    }
+}
@@ -0,0 +1,280 @@
+// Deterministic simulation core. It owns the ocean, wind, weather and boat, advances
+// them at a fixed tick from a control state, and touches neither the DOM nor
+// Three.js, so the same code runs in the browser and headless in Node.
+
+const SIM_TICK_RATE = 60;
+const SIM_DT = 1 / SIM_TICK_RATE;
+
+class Simulation extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.tick = 0;
+        this.waveComponents = options.waveComponents;
+        // Islands are generated from the seed unless a terrain file's data is
+        // given; false leaves open sea
+        this.terrainData = options.terrain;
+        this.terrain = null;
+        // The weather brings its own sea unless one is asked for
+        this.weather = new Weather({ weather: options.weather, timeOfDay: options.timeOfDay });
+        this.setSeed(options.seed !== undefined ? options.seed : 1, options.seaState || WEATHER_STATES[this.weather.name].seaState);
+
+        this.startPosition = vec3(0, 0.5, 0);
+        this.startHeading = 0;
+        this.setBoat(options.boat || DEFAULT_BOAT);
+        this.traffic = new Traffic(this.seed);
+
+        this.controls = createControlState();
+        this.previousControls = createControlState();
+    }
+
+    get time() {
+        return this.tick * SIM_DT;
+    }
+
+    // Draw the waves, wind and islands from a seed. Clients that share a seed
+    // and a clock (see setClock) sail on the same sea.
+    setSeed(seed, seaState) {
+        this.seed = seed >>> 0;
+        this.random = new Random(this.seed);
+        const direction = this.random.range(0, Math.PI * 2);
+        const oceanOptions = {
+            seaState,
+            direction,
+            seed: this.random.int(100000),
+            componentCount: this.waveComponents
+        };
+        // Views hold on to the ocean model, so rebuild its contents in place
+        if (this.ocean) {
+            this.ocean.configure(oceanOptions);
+        } else {
+            this.ocean = new OceanModel(oceanOptions);
+        }
+        this.wind = new Wind({
+            direction,
+            speed: SEA_STATES[seaState].windSpeed,
+            seed: this.random.int(100000)
+        });
+        const terrainSeed = this.random.int(100000);
+        if (this.terrainData) {
+            this.setTerrain(this.terrain || Terrain.fromJSON(this.terrainData));
+        } else {
+            this.setTerrain(this.terrainData === false ? null : Terrain.forSeed(terrainSeed));
+        }
+    }
+
+    // Islands from a terrain file's data, kept over later reseeds
+    loadTerrain(data) {
+        this.terrainData = data;
+        this.setTerrain(Terrain.fromJSON(data));
+    }
+
+    setTerrain(terrain) {
+        this.terrain = terrain;
+        this.fuelDocks = findFuelDocks(terrain);
+        this.ocean.setTerrain(terrain);
+        this.emit('terrain', terrain);
+    }
+
+    // Jump the environment clock, e.g. to a multiplayer room's shared time
+    setClock(time) {
+        this.ocean.time = time;
+        this.wind.time = time;
+    }
+
+    // Controls are copied, so the source can keep changing between ticks
+    setControls(controls) {
+        for (const key of Object.keys(this.controls)) {
+            if (key in controls) this.controls[key] = controls[key];
+        }
+    }
+
+    // weather is set when the change comes from a weather change, which is
+    // what a recording keeps instead
+    setSeaState(name, blendTime, weather) {
+        this.ocean.setSeaState(name, blendTime);
+        this.wind.setSpeed(SEA_STATES[name].windSpeed, blendTime);
+        this.emit('seaState', { name, blendTime, weather });
+    }
+
+    // Blend to a weather state, taking the waves and wind along. scripted
+    // changes come from the weather script, which replays run for themselves.
+    setWeather(name, blendTime = WEATHER_BLEND_TIME, scripted = false) {
+        this.weather.set(name, blendTime);
+        this.setSeaState(WEATHER_STATES[name].seaState, blendTime, name);
+        this.emit('weather', { name, blendTime, scripted });
+    }
+
+    setWeatherScript(script) {
+        this.weather.runScript(script);
+        this.emit('weatherScript', script);
+    }
+
+    setTimeOfDay(hours, dayLength = this.weather.dayLength) {
+        this.weather.timeOfDay = ((hours % 24) + 24) % 24;
+        this.weather.dayLength = dayLength;
+        this.emit('timeOfDay', { hours: this.weather.timeOfDay, dayLength });
+    }
+
+    // Move the reset point (e.g. onto a race start line) and put the boat there
+    setStart(position, heading = 0) {
+        this.startPosition = vec3(position.x, position.y, position.z);
+        this.startHeading = heading;
+        this.boat.reset(this.startPosition, heading);
+        this.emit('start', { position: Object.assign({}, this.startPosition), heading });
+    }
+
+    // Swap in another boat definition's data, back at the start point
+    setBoat(data) {
+        this.boatDefinition = new BoatDefinition(data);
+        this.boat = new BoatPhysics(this.boatDefinition.hull);
+        this.boat.reset(this.startPosition, this.startHeading);
+        this.emit('boat', this.boatDefinition);
+    }
+
+    // Bring the AI traffic to a number of boats; see Traffic.configure
+    setTraffic(options) {
+        this.traffic.configure(options, this);
+        this.emit('traffic', options);
+    }
+
+    // Everything that influences future ticks, as plain JSON-safe data
+    getState() {
+        return {
+            tick: this.tick,
+            random: this.random.state,
+            ocean: this.ocean.getState(),
+            wind: this.wind.getState(),
+            weather: this.weather.getState(),
+            boatDefinition: this.boatDefinition.data,
+            boat: this.boat.getState(),
+            startPosition: Object.assign({}, this.startPosition),
+            startHeading: this.startHeading,
+            controls: Object.assign({}, this.controls),
+            previousControls: Object.assign({}, this.previousControls),
+            traffic: this.traffic.getState()
+        };
+    }
+
+    setState(state) {
+        this.tick = state.tick;
+        this.random.state = state.random;
+        this.ocean.setState(state.ocean);
+        this.wind.setState(state.wind);
+        // States saved before the weather existed keep whatever is showing
+        if (state.weather) this.weather.setState(state.weather);
+        // States saved before boats were data-driven are all the default boat
+        const definition = state.boatDefinition || DEFAULT_BOAT;
+        if (JSON.stringify(definition) !== JSON.stringify(this.boatDefinition.data)) {
+            this.setBoat(definition);
+        }
+        this.boat.setState(state.boat);
+        this.startPosition = vec3(state.startPosition.x, state.startPosition.y, state.startPosition.z);
+        this.startHeading = state.startHeading;
+        Object.assign(this.controls, state.controls);
+        Object.assign(this.previousControls, state.previousControls);
+        // States saved before there was traffic have an empty sea
+        if (state.traffic) {
+            this.traffic.setState(state.traffic);
+        } else {
+            this.traffic.configure({ count: 0 }, this);
+        }
+    }
+
+    step() {
+        this.emit('step', this.tick);
+        this.boat.applyControls(this.controls, this.previousControls, SIM_DT);
+        for (const step of this.weather.update(SIM_DT)) {
+            this.setWeather(step.weather, step.blendTime, true);
+        }
+        this.ocean.update(SIM_DT);
+        this.wind.update(SIM_DT);
+        const wasAground = this.boat.aground;
+        const engine = this.boat.engine;
+        const wasRunning = engine.running;
+        const wasOverheated = engine.overheated;
+        this.boat.update(SIM_DT, this.ocean, this.wind, this.terrain);
+        if (this.boat.aground && !wasAground) {
+            this.emit('aground');
+        }
+        if (wasRunning && !engine.running) {
+            this.emit('outOfFuel');
+        }
+        if (engine.overheated && !wasOverheated) {
+            this.emit('overheat');
+        }
+        this.updateFuel();
+        for (const collision of this.traffic.update(SIM_DT, this)) {
+            this.emit('collision', collision);
+        }
+
+        if (this.controls.reset) {
+            this.boat.reset(this.startPosition, this.startHeading);
+            if (!this.previousControls.reset) {
+                this.emit('reset');
+            }
+        }
+
+        Object.assign(this.previousControls, this.controls);
+        this.tick++;
+        this.emit('tick', this.tick);
+    }
+
+    // Stopped alongside a fuel dock, the tank fills
+    updateFuel() {
+        const boat = this.boat;
+        const engine = boat.engine;
+        const { dock, distance } = nearestFuelDock(this.fuelDocks, boat.position.x, boat.position.z);
+        const stopped = Math.hypot(boat.velocity.x, boat.velocity.z) < FUEL_DOCK_MAX_SPEED;
+        const refuelling = distance < FUEL_DOCK_REACH && stopped && engine.fuel < engine.config.fuelCapacity;
+        if (refuelling) {
+            engine.refuel(engine.config.fuelCapacity / FUEL_FILL_TIME * SIM_DT);
+            if (!engine.refuelling) this.emit('refuel', dock);
+        }
+        engine.refuelling = refuelling;
+    }
+
+    run(ticks) {
+        for (let i = 0; i < ticks; i++) {
+            this.step();
+        }
+    }
+}
+
+// Accumulates real frame time and runs whole ticks, keeping the boat state
+// from before the last tick so rendering can interpolate between the two
+class FixedStepLoop {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.maxTicksPerFrame = options.maxTicksPerFrame || 5;
+        this.accumulator = 0;
+        this.previousBoatState = simulation.boat.getState();
+        this.alpha = 0;
+    }
+
+    advance(frameTime) {
+        this.accumulator += frameTime;
+        let ticks = 0;
+        while (this.accumulator >= SIM_DT && ticks < this.maxTicksPerFrame) {
+            this.previousBoatState = this.simulation.boat.getState();
+            this.simulation.step();
+            this.accumulator -= SIM_DT;
+            ticks++;
+        }
+        // Too far behind: drop the backlog rather than spiral
+        if (ticks === this.maxTicksPerFrame) {
+            this.accumulator = Math.min(this.accumulator, SIM_DT);
+        }
+        this.alpha = this.accumulator / SIM_DT;
+        return ticks;
+    }
+
+    // Boat state blended between the last two ticks
+    getBoatState() {
+        return interpolateBoatState(this.previousBoatState, this.simulation.boat.getState(), this.alpha);
+    }
+
+    // Ocean time matching the interpolated boat state
+    getRenderTime() {
+        return this.simulation.ocean.time - (1 - this.alpha) * SIM_DT;
+    }
+}
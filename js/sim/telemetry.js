@@ -0,0 +1,85 @@
+// Telemetry: samples the player's boat at a fixed rate of simulation time,
+// so two builds run on the same inputs line up sample for sample and their
+// handling can be charted against each other. Exports CSV or JSON.
+
+const TELEMETRY_FORMAT = 'boater3d-telemetry';
+const TELEMETRY_VERSION = 1;
+const TELEMETRY_RATE = 10; // Samples per simulated second
+const TELEMETRY_FIELDS = ['time', 'tick', 'x', 'y', 'z', 'speed', 'heading', 'pitch', 'roll', 'waveHeight', 'fps'];
+
+class TelemetryRecorder {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.interval = Math.max(1, Math.round(SIM_TICK_RATE / (options.rate || TELEMETRY_RATE))); // Ticks between samples
+        this.fps = options.fps || (() => null); // Frame rate source; headless runs have none
+        this.samples = [];
+        this.recording = false;
+        this.onTick = (tick) => {
+            if ((tick - this.startTick) % this.interval === 0) this.capture();
+        };
+    }
+
+    get rate() {
+        return SIM_TICK_RATE / this.interval;
+    }
+
+    start() {
+        this.samples = [];
+        this.startTick = this.simulation.tick;
+        this.recording = true;
+        this.simulation.on('tick', this.onTick);
+        this.capture();
+    }
+
+    stop() {
+        if (!this.recording) return this.samples;
+        this.simulation.off('tick', this.onTick);
+        this.recording = false;
+        return this.samples;
+    }
+
+    // Heading is a compass bearing; pitch is bow up and roll port side up
+    // (heeled to starboard), both in degrees
+    capture() {
+        const sim = this.simulation;
+        const physics = sim.boat;
+        const p = physics.position;
+        const forward = rotateVector(physics.orientation, vec3(0, 0, 1));
+        const port = rotateVector(physics.orientation, vec3(1, 0, 0));
+        const degrees = value => Math.asin(Math.max(-1, Math.min(1, value))) * 180 / Math.PI;
+        this.samples.push({
+            time: sim.time,
+            tick: sim.tick,
+            x: p.x,
+            y: p.y,
+            z: p.z,
+            speed: physics.forwardSpeed,
+            heading: bearingOf(forward.x, forward.z),
+            pitch: degrees(forward.y),
+            roll: degrees(port.y),
+            waveHeight: sim.ocean.getWaveHeightAt(p.x, p.z),
+            fps: this.fps()
+        });
+    }
+
+    // One header row, then a row per sample; a missing FPS is left empty
+    toCSV() {
+        const rows = [TELEMETRY_FIELDS.join(',')];
+        for (const sample of this.samples) {
+            rows.push(TELEMETRY_FIELDS.map(field => sample[field] === null ? '' : sample[field]).join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+
+    toJSON() {
+        return {
+            format: TELEMETRY_FORMAT,
+            version: TELEMETRY_VERSION,
+            rate: this.rate,
+            seed: this.simulation.seed,
+            boat: this.simulation.boatDefinition.id,
+            fields: TELEMETRY_FIELDS,
+            samples: this.samples
+        };
+    }
+}
@@ -0,0 +1,147 @@
+// Seabed and islands as a heightmap: elevation in metres relative to mean
+// sea level on a square grid, negative under water. Generated from a seed,
+// or loaded from a file of this shape:
+//
+//   { "format": "boater3d-terrain", "version": 1, "cellSize": 16,
+//     "size": 257, "originX": -2048, "originZ": -2048, "heights": [...] }
+//
+// heights holds size * size values row by row (z rows, x columns), starting
+// at (originX, originZ). Outside the grid the sea is openDepth deep.
+
+const TERRAIN_FORMAT = 'boater3d-terrain';
+const TERRAIN_VERSION = 1;
+const TERRAIN_CACHE_SIZE = 4;
+const terrainCache = new Map();
+
+class Terrain {
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 16;
+        this.size = options.size || 257; // Vertices along each edge
+        this.originX = options.originX !== undefined ? options.originX : -(this.size - 1) * this.cellSize / 2;
+        this.originZ = options.originZ !== undefined ? options.originZ : -(this.size - 1) * this.cellSize / 2;
+        this.openDepth = options.openDepth || 60;
+        this.heights = options.heights ? Float32Array.from(options.heights) : Terrain.generate(this, options.seed || 0);
+        if (this.heights.length !== this.size * this.size) {
+            throw new Error(`Terrain needs ${this.size * this.size} heights, got ${this.heights.length}`);
+        }
+    }
+
+    // Generating takes a moment and replays rebuild their simulation on every
+    // seek, so recently generated islands are kept (terrain never changes)
+    static forSeed(seed) {
+        let terrain = terrainCache.get(seed);
+        if (!terrain) {
+            terrain = new Terrain({ seed });
+            terrainCache.set(seed, terrain);
+            if (terrainCache.size > TERRAIN_CACHE_SIZE) {
+                terrainCache.delete(terrainCache.keys().next().value);
+            }
+        }
+        return terrain;
+    }
+
+    static fromJSON(data) {
+        if (!data || data.format !== TERRAIN_FORMAT) {
+            throw new Error('Not a Boater3D terrain file');
+        }
+        if (data.version !== TERRAIN_VERSION) {
+            throw new Error(`Unsupported terrain version ${data.version} (expected ${TERRAIN_VERSION})`);
+        }
+        return new Terrain(data);
+    }
+
+    // Islands from a few octaves of value noise, with the sea kept clear and
+    // deep around the start so races and spawns are never on the rocks
+    static generate(terrain, seed) {
+        const random = new Random(seed);
+        const lattice = new Float32Array(256);
+        const permutation = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            lattice[i] = random.next();
+            permutation[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = random.int(i + 1);
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+        const at = (i, j) => lattice[permutation[(permutation[i & 255] + j) & 255]];
+        const noise = (x, z) => {
+            const xi = Math.floor(x);
+            const zi = Math.floor(z);
+            const fx = x - xi;
+            const fz = z - zi;
+            const sx = fx * fx * (3 - 2 * fx);
+            const sz = fz * fz * (3 - 2 * fz);
+            const a = at(xi, zi);
+            const b = at(xi + 1, zi);
+            const c = at(xi, zi + 1);
+            const d = at(xi + 1, zi + 1);
+            const top = a + (b - a) * sx;
+            return top + (c + (d - c) * sx - top) * sz;
+        };
+        const smoothstep = (edge0, edge1, x) => {
+            const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+            return t * t * (3 - 2 * t);
+        };
+
+        const n = terrain.size;
+        const heights = new Float32Array(n * n);
+        const extent = (n - 1) * terrain.cellSize / 2;
+        for (let row = 0; row < n; row++) {
+            for (let column = 0; column < n; column++) {
+                const x = terrain.originX + column * terrain.cellSize;
+                const z = terrain.originZ + row * terrain.cellSize;
+                let value = 0;
+                let amplitude = 0.5;
+                let frequency = 1 / 600;
+                for (let octave = 0; octave < 5; octave++) {
+                    value += noise(x * frequency + octave * 19.3, z * frequency - octave * 7.9) * amplitude;
+                    amplitude *= 0.5;
+                    frequency *= 2.1;
+                }
+                let height = -terrain.openDepth + value * 110;
+
+                const distance = Math.sqrt(x * x + z * z);
+                const clear = smoothstep(650, 1000, distance); // 0 around the start
+                height = Math.min(height, -25 + (height + 25) * clear);
+                const edge = Math.max(Math.abs(x - terrain.originX - extent), Math.abs(z - terrain.originZ - extent));
+                const fade = smoothstep(extent, extent * 0.8, edge); // Back to open sea at the rim
+                heights[row * n + column] = -terrain.openDepth + (height + terrain.openDepth) * fade;
+            }
+        }
+        return heights;
+    }
+
+    // Elevation at a world position, bilinear between grid points
+    heightAt(x, z) {
+        const gx = (x - this.originX) / this.cellSize;
+        const gz = (z - this.originZ) / this.cellSize;
+        const n = this.size;
+        if (gx < 0 || gz < 0 || gx >= n - 1 || gz >= n - 1) {
+            return -this.openDepth;
+        }
+        const column = Math.floor(gx);
+        const row = Math.floor(gz);
+        const fx = gx - column;
+        const fz = gz - row;
+        const h = this.heights;
+        const i = row * n + column;
+        const top = h[i] + (h[i + 1] - h[i]) * fx;
+        const bottom = h[i + n] + (h[i + n + 1] - h[i + n]) * fx;
+        return top + (bottom - top) * fz;
+    }
+
+    // Water depth below mean sea level; zero or less on land
+    depthAt(x, z) {
+        return -this.heightAt(x, z);
+    }
+
+    // Upward unit normal of the ground, from central differences
+    normalAt(x, z) {
+        const e = this.cellSize / 2;
+        const dx = (this.heightAt(x + e, z) - this.heightAt(x - e, z)) / (2 * e);
+        const dz = (this.heightAt(x, z + e) - this.heightAt(x, z - e)) / (2 * e);
+        const length = Math.sqrt(dx * dx + 1 + dz * dz);
+        return { x: -dx / length, y: 1 / length, z: -dz / length };
+    }
+}
@@ -0,0 +1,446 @@
+// AI traffic: other boats on the same sea under the same physics as the
+// player's, each driven by a pilot that fills in a control state just as an
+// input device would. Pilots patrol waypoints, wander, follow the player or
+// race the course, keep off the shore, and give way by the collision
+// regulations: head-on both turn to starboard, a boat with another crossing
+// from its starboard side gives way, and an overtaking boat keeps clear.
+// Hulls that touch anyway are pushed apart by an impulse.
+
+const TRAFFIC_DENSITIES = { off: 0, light: 1 / 3, normal: 2 / 3, busy: 1 }; // Share of the quality tier's boat budget
+const TRAFFIC_ROLES = ['patrol', 'wander', 'follow', 'wander']; // Cycled through as boats are added
+const TRAFFIC_RACERS = 2; // Boats that race the course while there is one
+const TRAFFIC_SPAWN_DISTANCE = { min: 80, max: 250 }; // Metres from the player
+const TRAFFIC_RANGE = 200; // Metres a wandering boat strays from where it appeared
+const TRAFFIC_LOOKAHEAD = 30; // Seconds ahead a pilot looks for a close approach
+const TRAFFIC_CLEARANCE = 15; // Metres a pilot wants between hulls when passing
+const HEAD_ON_ANGLE = Math.PI / 12; // Within 15° of dead ahead
+const ABAFT_BEAM = 5 * Math.PI / 8; // More than 112.5° off the bow: coming up from astern
+const COLLISION_RESTITUTION = 0.3;
+const COLLISION_MIN_SPEED = 0.3; // m/s closing speed below which a touch is not reported
+
+function wrapAngle(angle) {
+    return angle - Math.PI * 2 * Math.floor((angle + Math.PI) / (Math.PI * 2));
+}
+
+// Yaw of the bow: 0 faces +z and it grows towards port, like startHeading
+function headingOf(orientation) {
+    const forward = rotateVector(orientation, vec3(0, 0, 1));
+    return Math.atan2(forward.x, forward.z);
+}
+
+// Waypoints for racing a course: through the middle of each gate and round
+// the outside of each mark, where its rounding line points
+function courseRoute(course) {
+    return course.checkpoints.map((checkpoint) => {
+        if (checkpoint.type === 'gate') {
+            return { x: (checkpoint.a.x + checkpoint.b.x) / 2, z: (checkpoint.a.z + checkpoint.b.z) / 2 };
+        }
+        const out = normalize2(checkpoint.b.x - checkpoint.a.x, checkpoint.b.z - checkpoint.a.z);
+        return { x: checkpoint.a.x + out.x * 12, z: checkpoint.a.z + out.z * 12 };
+    });
+}
+
+// Closest points between segments p0-p1 and q0-q1 in the horizontal plane
+function closestSegmentPoints(p0, p1, q0, q1) {
+    const dx = p1.x - p0.x;
+    const dz = p1.z - p0.z;
+    const ex = q1.x - q0.x;
+    const ez = q1.z - q0.z;
+    const rx = p0.x - q0.x;
+    const rz = p0.z - q0.z;
+    const a = dx * dx + dz * dz;
+    const e = ex * ex + ez * ez;
+    const f = ex * rx + ez * rz;
+    const clamp = value => Math.max(0, Math.min(1, value));
+    let s = 0;
+    let t = 0;
+    if (a > 1e-9 && e > 1e-9) {
+        const b = dx * ex + dz * ez;
+        const c = dx * rx + dz * rz;
+        const denominator = a * e - b * b;
+        s = denominator > 1e-9 ? clamp((b * f - c * e) / denominator) : 0;
+        t = (b * s + f) / e;
+        if (t < 0) {
+            t = 0;
+            s = clamp(-c / a);
+        } else if (t > 1) {
+            t = 1;
+            s = clamp((b - c) / a);
+        }
+    } else if (a > 1e-9) {
+        s = clamp(-(dx * rx + dz * rz) / a);
+    } else if (e > 1e-9) {
+        t = clamp(f / e);
+    }
+    return [
+        { x: p0.x + dx * s, z: p0.z + dz * s },
+        { x: q0.x + ex * t, z: q0.z + ez * t }
+    ];
+}
+
+class TrafficBoat {
+    constructor(id, definition, home) {
+        this.id = id;
+        this.definition = new BoatDefinition(definition);
+        this.physics = new BoatPhysics(this.definition.hull);
+        this.physics.engine.bottomlessTank = true;
+        this.controls = createControlState();
+        this.previousControls = createControlState();
+        this.behaviour = null;
+        this.home = home; // Where it appeared; patrols and wandering stay around it
+        this.waypoints = [];
+        this.waypoint = 0;
+        this.side = 1; // Quarter a follower keeps station on: 1 port, -1 starboard
+        this.backingOff = 0; // Seconds left going astern off a shore
+        this.slowTime = 0; // Seconds without making way towards the waypoint
+    }
+
+    getState() {
+        return {
+            id: this.id,
+            definition: this.definition.data,
+            behaviour: this.behaviour,
+            home: Object.assign({}, this.home),
+            waypoints: this.waypoints.map(point => Object.assign({}, point)),
+            waypoint: this.waypoint,
+            side: this.side,
+            backingOff: this.backingOff,
+            slowTime: this.slowTime,
+            boat: this.physics.getState(),
+            controls: Object.assign({}, this.controls),
+            previousControls: Object.assign({}, this.previousControls)
+        };
+    }
+
+    static fromState(state) {
+        const boat = new TrafficBoat(state.id, state.definition, state.home);
+        boat.behaviour = state.behaviour;
+        boat.waypoints = state.waypoints.map(point => Object.assign({}, point));
+        boat.waypoint = state.waypoint;
+        boat.side = state.side;
+        boat.backingOff = state.backingOff;
+        boat.slowTime = state.slowTime;
+        boat.physics.setState(state.boat);
+        Object.assign(boat.controls, state.controls);
+        Object.assign(boat.previousControls, state.previousControls);
+        return boat;
+    }
+}
+
+class Traffic {
+    constructor(seed = 1) {
+        this.random = new Random(seed);
+        this.boats = [];
+        this.nextId = 1;
+        this.fleet = [DEFAULT_BOAT]; // Boat definition data new boats are drawn from
+        this.route = null; // Waypoints of the course being raced
+    }
+
+    // options: { count, fleet: boat definition data to pick from, route:
+    // courseRoute() of the course being raced, or null }. Extra boats are
+    // added around the player; surplus ones leave, newest first.
+    configure(options, simulation) {
+        if (options.fleet && options.fleet.length > 0) {
+            this.fleet = options.fleet;
+        }
+        this.route = options.route ? options.route.map(point => ({ x: point.x, z: point.z })) : null;
+        const count = Math.max(0, Math.floor(options.count || 0));
+        this.boats.splice(count);
+        while (this.boats.length < count && this.spawn(simulation)) {
+            // Keep adding while there is open water to put them in
+        }
+        this.boats.forEach((boat, index) => this.assign(boat, index, simulation.terrain));
+    }
+
+    isOpenWater(point, terrain, depth) {
+        return !terrain || terrain.depthAt(point.x, point.z) > depth;
+    }
+
+    randomWaterPoint(centre, radius, terrain, depth) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const angle = this.random.range(0, Math.PI * 2);
+            const distance = radius * Math.sqrt(this.random.next());
+            const point = { x: centre.x + Math.sin(angle) * distance, z: centre.z + Math.cos(angle) * distance };
+            if (this.isOpenWater(point, terrain, depth)) return point;
+        }
+        return { x: centre.x, z: centre.z };
+    }
+
+    spawn(simulation) {
+        const random = this.random;
+        const player = simulation.boat.position;
+        const definition = this.fleet[random.int(this.fleet.length)];
+        for (let attempt = 0; attempt < 40; attempt++) {
+            const angle = random.range(0, Math.PI * 2);
+            const distance = random.range(TRAFFIC_SPAWN_DISTANCE.min, TRAFFIC_SPAWN_DISTANCE.max);
+            const home = { x: player.x + Math.sin(angle) * distance, z: player.z + Math.cos(angle) * distance };
+            const crowded = this.boats.some(boat => Math.hypot(boat.physics.position.x - home.x, boat.physics.position.z - home.z) < 40);
+            if (crowded || !this.isOpenWater(home, simulation.terrain, 4)) continue;
+
+            const boat = new TrafficBoat(this.nextId++, definition, home);
+            boat.physics.reset(vec3(home.x, 0.5, home.z), random.range(0, Math.PI * 2));
+            boat.side = random.next() < 0.5 ? 1 : -1;
+            this.boats.push(boat);
+            return boat;
+        }
+        return null;
+    }
+
+    // Racers while there is a course, the rest cycle through the roles
+    assign(boat, index, terrain) {
+        const behaviour = this.route && index < TRAFFIC_RACERS ? 'race' : TRAFFIC_ROLES[index % TRAFFIC_ROLES.length];
+        if (behaviour === boat.behaviour && behaviour !== 'race') return;
+        boat.behaviour = behaviour;
+        boat.waypoint = 0;
+        boat.slowTime = 0;
+        if (behaviour === 'race') {
+            boat.waypoints = this.route.map(point => Object.assign({}, point));
+        } else if (behaviour === 'patrol') {
+            // A loop of marks around home, visited in turn
+            const start = this.random.range(0, Math.PI * 2);
+            boat.waypoints = [];
+            for (let i = 0; i < 4; i++) {
+                const angle = start + i * Math.PI / 2;
+                const distance = this.random.range(60, 150);
+                const point = { x: boat.home.x + Math.sin(angle) * distance, z: boat.home.z + Math.cos(angle) * distance };
+                if (this.isOpenWater(point, terrain, 4)) boat.waypoints.push(point);
+            }
+            if (boat.waypoints.length < 2) {
+                boat.waypoints = [this.randomWaterPoint(boat.home, TRAFFIC_RANGE, terrain, 4), Object.assign({}, boat.home)];
+            }
+        } else {
+            boat.waypoints = [];
+        }
+    }
+
+    // Steer, drive and move every boat, then separate any that touch.
+    // Returns the collisions: { a, b, speed } with 'player' or traffic ids.
+    update(deltaTime, simulation) {
+        for (const boat of this.boats) {
+            this.pilot(boat, deltaTime, simulation);
+            boat.physics.applyControls(boat.controls, boat.previousControls, deltaTime);
+            boat.physics.update(deltaTime, simulation.ocean, simulation.wind, simulation.terrain);
+            Object.assign(boat.previousControls, boat.controls);
+        }
+        if (this.boats.length === 0) return [];
+        return this.resolveCollisions([{ id: 'player', physics: simulation.boat }].concat(this.boats));
+    }
+
+    // Where the behaviour wants to be: { x, z, throttle } and, for a
+    // follower on station, the heading to hold
+    goalFor(boat, simulation, deltaTime) {
+        const physics = boat.physics;
+        const position = physics.position;
+        const terrain = simulation.terrain;
+
+        if (boat.behaviour === 'follow') {
+            const player = simulation.boat;
+            const heading = headingOf(player.orientation);
+            const back = 20 + (player.hull.length + physics.hull.length) / 2;
+            const station = {
+                x: player.position.x - Math.sin(heading) * back + Math.cos(heading) * 12 * boat.side,
+                z: player.position.z - Math.cos(heading) * back - Math.sin(heading) * 12 * boat.side
+            };
+            const distance = Math.hypot(station.x - position.x, station.z - position.z);
+            // Match the player's speed, plus a bit more the further off station
+            const pace = Math.max(0, player.forwardSpeed) / physics.hull.maxSpeed;
+            if (distance < 10) {
+                return { x: station.x, z: station.z, throttle: Math.min(1, pace + distance / 100), heading };
+            }
+            return { x: station.x, z: station.z, throttle: Math.max(0.2, Math.min(1, pace + distance / 30)) };
+        }
+
+        if (boat.behaviour === 'wander' && boat.waypoints.length === 0) {
+            boat.waypoints = [this.randomWaterPoint(boat.home, TRAFFIC_RANGE, terrain, 4)];
+        }
+        let target = boat.waypoints[boat.waypoint];
+        const arrival = Math.max(15, physics.hull.length * 2);
+        // Blocked or stuck behind something: give up on this waypoint
+        boat.slowTime = physics.forwardSpeed < 0.5 ? boat.slowTime + deltaTime : 0;
+        if (Math.hypot(target.x - position.x, target.z - position.z) < arrival || boat.slowTime > 15) {
+            boat.slowTime = 0;
+            if (boat.behaviour === 'wander') {
+                boat.waypoints = [this.randomWaterPoint(boat.home, TRAFFIC_RANGE, terrain, 4)];
+            } else {
+                boat.waypoint = (boat.waypoint + 1) % boat.waypoints.length;
+            }
+            target = boat.waypoints[boat.waypoint];
+        }
+        const throttle = { race: 1, patrol: 0.6, wander: 0.45 }[boat.behaviour];
+        return { x: target.x, z: target.z, throttle };
+    }
+
+    // Rules of the road against the boat most urgently on a collision
+    // course: { turn, throttle }, where a negative turn is to starboard
+    giveWay(boat, heading, simulation) {
+        const physics = boat.physics;
+        const p = physics.position;
+        const v = physics.velocity;
+        const vessels = [simulation.boat].concat(this.boats.map(other => other.physics));
+        let threat = null;
+
+        for (const other of vessels) {
+            if (other === physics) continue;
+            const dx = other.position.x - p.x;
+            const dz = other.position.z - p.z;
+            const range = Math.hypot(dx, dz);
+            if (range > 400) continue;
+            const rvx = other.velocity.x - v.x;
+            const rvz = other.velocity.z - v.z;
+            const closing = rvx * rvx + rvz * rvz;
+            const time = closing > 1e-6 ? Math.max(0, -(dx * rvx + dz * rvz) / closing) : 0;
+            if (time > TRAFFIC_LOOKAHEAD) continue;
+            const miss = Math.hypot(dx + rvx * time, dz + rvz * time);
+            const contact = (physics.hull.length + other.hull.length) / 2;
+            if (miss > contact + TRAFFIC_CLEARANCE) continue;
+            if (!threat || time < threat.time) {
+                threat = { other, dx, dz, range, time, miss, contact };
+            }
+        }
+        if (!threat) return { turn: 0, throttle: 1 };
+
+        // Where the other boat is seen from here, and where we are seen from it
+        const bearing = wrapAngle(Math.atan2(threat.dx, threat.dz) - heading);
+        const aspect = wrapAngle(Math.atan2(-threat.dx, -threat.dz) - headingOf(threat.other.orientation));
+        const urgency = 0.5 + 0.5 * (1 - threat.time / TRAFFIC_LOOKAHEAD);
+        let action;
+        if (Math.abs(aspect) > ABAFT_BEAM) {
+            action = { turn: -0.5, throttle: 0.6 }; // Overtaking: keep clear of it
+        } else if (Math.abs(bearing) < HEAD_ON_ANGLE && Math.abs(aspect) < HEAD_ON_ANGLE) {
+            action = { turn: -0.6, throttle: 0.8 }; // Head-on: both alter to starboard
+        } else if (bearing < 0 && bearing > -ABAFT_BEAM) {
+            action = { turn: -0.8, throttle: 0.4 }; // Crossing from starboard: pass astern of it
+        } else if (threat.time < 6 && threat.miss < threat.contact + 3) {
+            action = { turn: -0.6, throttle: 0.3 }; // Stand-on, but the other is not giving way
+        } else {
+            action = { turn: 0, throttle: 1 }; // Stand-on: hold course and speed
+        }
+        // Alongside and still closing, whoever is in the right
+        if (threat.range < threat.contact + 5) {
+            action.throttle = Math.min(action.throttle, 0.2);
+        }
+        return { turn: action.turn * urgency, throttle: action.throttle };
+    }
+
+    pilot(boat, deltaTime, simulation) {
+        const physics = boat.physics;
+        const controls = boat.controls;
+        const position = physics.position;
+        const heading = headingOf(physics.orientation);
+        const terrain = simulation.terrain;
+
+        // Run up on a shore: go astern for a moment, then try again
+        if (physics.aground && boat.backingOff <= 0) {
+            boat.backingOff = 3;
+        }
+        if (boat.backingOff > 0) {
+            boat.backingOff -= deltaTime;
+            controls.moveX = 0;
+            controls.moveY = physics.engine.throttleInput(-0.6, deltaTime);
+            controls.boost = false;
+            return;
+        }
+
+        const goal = this.goalFor(boat, simulation, deltaTime);
+        let desired = goal.heading !== undefined ? goal.heading : Math.atan2(goal.x - position.x, goal.z - position.z);
+        let throttle = goal.throttle;
+
+        const rules = this.giveWay(boat, heading, simulation);
+        desired += rules.turn;
+        throttle *= rules.throttle;
+
+        // Shoal water ahead: turn towards whichever bow has more depth
+        if (terrain) {
+            const look = Math.max(25, Math.abs(physics.forwardSpeed) * 6);
+            const safe = physics.hull.depth + 1;
+            const depthToward = angle => terrain.depthAt(position.x + Math.sin(angle) * look, position.z + Math.cos(angle) * look);
+            if (depthToward(heading) < safe || depthToward(desired) < safe) {
+                const turn = depthToward(heading + 0.7) > depthToward(heading - 0.7) ? 1 : -1;
+                desired = heading + turn * 1.2;
+                throttle *= 0.4;
+            }
+        }
+
+        // A positive rudder turns to starboard, which is a falling heading
+        const error = wrapAngle(desired - heading);
+        const yawRate = physics.body.angularVelocity.y;
+        controls.moveX = Math.max(-1, Math.min(1, -2 * error + 1.5 * yawRate));
+        controls.moveY = physics.engine.throttleInput(throttle * Math.max(0.25, Math.cos(error)), deltaTime);
+        // Racers boost on the straights, but leave the engine some heat in hand
+        controls.boost = boat.behaviour === 'race' && rules.throttle === 1 && Math.abs(error) < 0.2 &&
+            physics.engine.heat < 0.8 && !physics.engine.overheated;
+    }
+
+    // Each hull is a capsule along its length, as wide as its beam
+    resolveCollisions(vessels) {
+        const contacts = [];
+        const capsules = vessels.map(({ physics }) => {
+            const heading = headingOf(physics.orientation);
+            const half = Math.max(0, (physics.hull.length - physics.hull.beam) / 2);
+            const p = physics.position;
+            const fx = Math.sin(heading) * half;
+            const fz = Math.cos(heading) * half;
+            return { a: { x: p.x - fx, z: p.z - fz }, b: { x: p.x + fx, z: p.z + fz }, radius: physics.hull.beam / 2 };
+        });
+
+        for (let i = 0; i < vessels.length; i++) {
+            for (let j = i + 1; j < vessels.length; j++) {
+                const ci = capsules[i];
+                const cj = capsules[j];
+                const [pi, pj] = closestSegmentPoints(ci.a, ci.b, cj.a, cj.b);
+                const dx = pj.x - pi.x;
+                const dz = pj.z - pi.z;
+                const distance = Math.hypot(dx, dz);
+                const overlap = ci.radius + cj.radius - distance;
+                if (overlap <= 0) continue;
+
+                const bodyA = vessels[i].physics.body;
+                const bodyB = vessels[j].physics.body;
+                const n = distance > 1e-6 ? vec3(dx / distance, 0, dz / distance) : vec3(1, 0, 0);
+                const point = vec3(
+                    (pi.x + pj.x) / 2,
+                    (bodyA.position.y + bodyB.position.y) / 2,
+                    (pi.z + pj.z) / 2
+                );
+                const va = bodyA.pointVelocity(point);
+                const vb = bodyB.pointVelocity(point);
+                const closing = (vb.x - va.x) * n.x + (vb.z - va.z) * n.z;
+                if (closing < 0) {
+                    const impulse = -(1 + COLLISION_RESTITUTION) * closing /
+                        (bodyA.impulseResponse(point, n) + bodyB.impulseResponse(point, n));
+                    bodyA.applyImpulseAtPoint(vec3(-n.x * impulse, 0, -n.z * impulse), point);
+                    bodyB.applyImpulseAtPoint(vec3(n.x * impulse, 0, n.z * impulse), point);
+                    if (-closing > COLLISION_MIN_SPEED) {
+                        contacts.push({ a: vessels[i].id, b: vessels[j].id, speed: -closing });
+                    }
+                }
+
+                // Push the overlap apart, the lighter hull moving further
+                const shareA = bodyB.mass / (bodyA.mass + bodyB.mass);
+                bodyA.position.x -= n.x * overlap * shareA;
+                bodyA.position.z -= n.z * overlap * shareA;
+                bodyB.position.x += n.x * overlap * (1 - shareA);
+                bodyB.position.z += n.z * overlap * (1 - shareA);
+            }
+        }
+        return contacts;
+    }
+
+    getState() {
+        return {
+            random: this.random.state,
+            nextId: this.nextId,
+            fleet: this.fleet,
+            route: this.route,
+            boats: this.boats.map(boat => boat.getState())
+        };
+    }
+
+    setState(state) {
+        this.random.state = state.random;
+        this.nextId = state.nextId;
+        this.fleet = state.fleet;
+        this.route = state.route;
+        this.boats = state.boats.map(boat => TrafficBoat.fromState(boat));
+    }
+}
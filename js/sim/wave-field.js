@@ -0,0 +1,259 @@
+// Directional Gerstner wave field. The rendered ocean mesh and every physics
+// query (height, normal, surface velocity) read from this one model, so the
+// boat always floats on the surface that is drawn.
+
+const GRAVITY = 9.81;
+
+// Sea-state presets, loosely following the Beaufort scale. waveHeight is the
+// significant wave height in metres, wavelength the dominant wavelength.
+const SEA_STATES = {
+    calm: { label: 'Calm (B0)', waveHeight: 0.05, wavelength: 3, steepness: 0.1, spread: 0.3, windSpeed: 0.5 },
+    lightAir: { label: 'Light air (B1)', waveHeight: 0.1, wavelength: 4, steepness: 0.2, spread: 0.4, windSpeed: 1 },
+    lightBreeze: { label: 'Light breeze (B2)', waveHeight: 0.25, wavelength: 8, steepness: 0.25, spread: 0.5, windSpeed: 2.5 },
+    gentleBreeze: { label: 'Gentle breeze (B3)', waveHeight: 0.6, wavelength: 15, steepness: 0.3, spread: 0.5, windSpeed: 4.5 },
+    moderateBreeze: { label: 'Moderate breeze (B4)', waveHeight: 1.0, wavelength: 25, steepness: 0.4, spread: 0.6, windSpeed: 7 },
+    freshBreeze: { label: 'Fresh breeze (B5)', waveHeight: 2.0, wavelength: 40, steepness: 0.5, spread: 0.6, windSpeed: 9.5 },
+    strongBreeze: { label: 'Strong breeze (B6)', waveHeight: 3.0, wavelength: 55, steepness: 0.55, spread: 0.7, windSpeed: 12.5 },
+    nearGale: { label: 'Near gale (B7)', waveHeight: 4.0, wavelength: 70, steepness: 0.6, spread: 0.7, windSpeed: 15.5 },
+    gale: { label: 'Gale (B8)', waveHeight: 5.5, wavelength: 90, steepness: 0.7, spread: 0.8, windSpeed: 19 }
+};
+
+const DEFAULT_SEA_STATE = 'moderateBreeze';
+const WAVE_DETAIL_OCTAVES = 4; // Ripples past the physics components, for views to draw
+
+// Cheap deterministic hash in [0, 1)
+function hash01(n) {
+    const x = Math.sin(n * 12.9898 + 78.233) * 43758.5453;
+    return x - Math.floor(x);
+}
+
+class WaveField {
+    constructor(options = {}) {
+        this.componentCount = options.componentCount || 8;
+        this.seed = options.seed || 0; // Varies wave phases and spread between runs
+        this.direction = options.direction || 0; // Radians, direction the waves travel towards (0 = +x)
+        this.waves = [];
+        this.seaState = null;
+        this.terrain = options.terrain || null; // Seabed for shoaling; open ocean without one
+        this.setSeaState(options.seaState || DEFAULT_SEA_STATE, 0);
+    }
+
+    // Build the wave components for a preset. Longer components carry more of
+    // the energy and are scaled so that 4 * rms height matches waveHeight.
+    // After them come the detail ripples, carrying the spectrum on down for
+    // views to draw: physics never samples them, and with no steepness they
+    // only lift the surface a few centimetres, never push the crests over.
+    createComponents(preset, seed) {
+        const n = this.componentCount;
+        const waves = [];
+        let sumSquares = 0;
+
+        for (let i = 0; i < n + WAVE_DETAIL_OCTAVES; i++) {
+            const wavelength = preset.wavelength * Math.pow(0.72, i) * (1 + 0.15 * (hash01(seed + i) - 0.5));
+            const amplitude = wavelength;
+            const offset = (hash01(seed + i * 7.1) * 2 - 1) * preset.spread;
+            waves.push({
+                amplitude,
+                wavelength,
+                direction: this.direction + offset,
+                steepness: 0,
+                phase: hash01(seed + i * 3.3) * Math.PI * 2
+            });
+            if (i < n) sumSquares += amplitude * amplitude;
+        }
+
+        const scale = preset.waveHeight / (4 * Math.sqrt(sumSquares / 2));
+        waves.forEach((wave, i) => {
+            wave.amplitude *= scale;
+            this.prepareWave(wave);
+            if (i >= n) {
+                wave.detail = i - n + 1; // Drawn from this many detail octaves up
+                return;
+            }
+            // Split the preset steepness evenly so the crests can never loop over
+            wave.steepness = preset.steepness / (wave.k * wave.amplitude * n);
+        });
+
+        return waves;
+    }
+
+    prepareWave(wave) {
+        wave.k = Math.PI * 2 / wave.wavelength;
+        wave.omega = Math.sqrt(GRAVITY * wave.k);
+        wave.dirX = Math.cos(wave.direction);
+        wave.dirZ = Math.sin(wave.direction);
+        wave.weight = wave.weight === undefined ? 1 : wave.weight;
+        wave.targetWeight = wave.targetWeight === undefined ? 1 : wave.targetWeight;
+        return wave;
+    }
+
+    // Switch to a named preset, cross-fading amplitudes over blendTime seconds
+    setSeaState(name, blendTime = 10) {
+        const preset = SEA_STATES[name];
+        if (!preset) {
+            throw new Error(`Unknown sea state: ${name}`);
+        }
+        if (name === this.seaState) return;
+
+        const seed = Object.keys(SEA_STATES).indexOf(name) * 101 + this.seed;
+        const incoming = this.createComponents(preset, seed);
+        const rate = blendTime > 0 ? 1 / blendTime : 0;
+
+        for (const wave of this.waves) {
+            wave.targetWeight = 0;
+            wave.blendRate = rate;
+        }
+        for (const wave of incoming) {
+            wave.weight = blendTime > 0 ? 0 : 1;
+            wave.targetWeight = 1;
+            wave.blendRate = rate;
+        }
+
+        this.waves = blendTime > 0 ? this.waves.concat(incoming) : incoming;
+        this.seaState = name;
+    }
+
+    // Plain copy of the blend state, so a run can be saved and resumed exactly
+    getState() {
+        return {
+            seaState: this.seaState,
+            direction: this.direction,
+            waves: this.waves.map(wave => Object.assign({}, wave))
+        };
+    }
+
+    setState(state) {
+        this.seaState = state.seaState;
+        this.direction = state.direction;
+        this.waves = state.waves.map(wave => Object.assign({}, wave));
+    }
+
+    update(deltaTime) {
+        let faded = false;
+        for (const wave of this.waves) {
+            const step = wave.blendRate * deltaTime;
+            if (wave.weight < wave.targetWeight) {
+                wave.weight = Math.min(wave.targetWeight, wave.weight + step);
+            } else if (wave.weight > wave.targetWeight) {
+                wave.weight = Math.max(wave.targetWeight, wave.weight - step);
+                faded = faded || wave.weight === 0;
+            }
+        }
+        if (faded) {
+            this.waves = this.waves.filter(wave => wave.weight > 0 || wave.targetWeight > 0);
+        }
+    }
+
+    // Amplitude factor for a wave component over water of the given depth.
+    // Once the depth is under about half a wavelength the wave slows and
+    // steepens (linear shoaling coefficient), until it breaks at a height of
+    // about 0.8 times the depth. Nothing is left on dry land.
+    shoaling(wave, depth) {
+        const kh = wave.k * depth;
+        if (kh >= 3) return 1;
+        if (depth <= 0) return 0;
+        const shoal = 1 / Math.sqrt(Math.tanh(kh) * (1 + 2 * kh / Math.sinh(2 * kh)));
+        return Math.min(shoal, 0.4 * depth / wave.amplitude);
+    }
+
+    depthAt(x, z) {
+        return this.terrain ? this.terrain.depthAt(x, z) : Infinity;
+    }
+
+    // Gerstner displacement of the surface particle whose rest position is
+    // (x, z). Fills out.x/y/z with the displaced position and out.nx/ny/nz
+    // with the surface normal there. Physics samples the components alone;
+    // views add the first detailOctaves detail ripples on top.
+    sample(x, z, time, out, detailOctaves = 0) {
+        let dx = 0;
+        let dy = 0;
+        let dz = 0;
+        let nx = 0;
+        let ny = 1;
+        let nz = 0;
+        const depth = this.depthAt(x, z);
+
+        for (const wave of this.waves) {
+            if (wave.detail > detailOctaves) continue;
+            const amplitude = wave.amplitude * wave.weight * this.shoaling(wave, depth);
+            if (amplitude === 0) continue;
+            const theta = wave.k * (wave.dirX * x + wave.dirZ * z) - wave.omega * time + wave.phase;
+            const sin = Math.sin(theta);
+            const cos = Math.cos(theta);
+            const horizontal = wave.steepness * amplitude * cos;
+            const ka = wave.k * amplitude;
+
+            dx += wave.dirX * horizontal;
+            dy += amplitude * sin;
+            dz += wave.dirZ * horizontal;
+
+            nx -= wave.dirX * ka * cos;
+            ny -= wave.steepness * ka * sin;
+            nz -= wave.dirZ * ka * cos;
+        }
+
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        out.x = x + dx;
+        out.y = dy;
+        out.z = z + dz;
+        out.nx = nx / length;
+        out.ny = ny / length;
+        out.nz = nz / length;
+        return out;
+    }
+
+    // Find the rest position whose displaced particle lies above (x, z)
+    solveRestPosition(x, z, time, out) {
+        let restX = x;
+        let restZ = z;
+        for (let i = 0; i < 4; i++) {
+            this.sample(restX, restZ, time, out);
+            restX += x - out.x;
+            restZ += z - out.z;
+        }
+        this.sample(restX, restZ, time, out);
+        out.restX = restX;
+        out.restZ = restZ;
+        return out;
+    }
+
+    heightAt(x, z, time) {
+        return this.solveRestPosition(x, z, time, this.scratch()).y;
+    }
+
+    normalAt(x, z, time) {
+        const s = this.solveRestPosition(x, z, time, this.scratch());
+        return { x: s.nx, y: s.ny, z: s.nz };
+    }
+
+    // Orbital velocity of the water particle at the surface above (x, z)
+    velocityAt(x, z, time) {
+        const s = this.solveRestPosition(x, z, time, this.scratch());
+        const restX = s.restX;
+        const restZ = s.restZ;
+        const depth = this.depthAt(restX, restZ);
+        let vx = 0;
+        let vy = 0;
+        let vz = 0;
+
+        for (const wave of this.waves) {
+            if (wave.detail) continue;
+            const amplitude = wave.amplitude * wave.weight * this.shoaling(wave, depth);
+            if (amplitude === 0) continue;
+            const theta = wave.k * (wave.dirX * restX + wave.dirZ * restZ) - wave.omega * time + wave.phase;
+            const horizontal = wave.steepness * amplitude * wave.omega * Math.sin(theta);
+            vx += wave.dirX * horizontal;
+            vy -= amplitude * wave.omega * Math.cos(theta);
+            vz += wave.dirZ * horizontal;
+        }
+
+        return { x: vx, y: vy, z: vz };
+    }
+
+    scratch() {
+        if (!this._scratch) {
+            this._scratch = { x: 0, y: 0, z: 0, nx: 0, ny: 1, nz: 0 };
+        }
+        return this._scratch;
+    }
+}
@@ -0,0 +1,131 @@
+// Time of day and weather. Both are simulation state, so replays and
+// scripted runs reproduce them, but only a weather's sea state reaches the
+// physics; cloud, visibility and rain are for the views to draw.
+
+// seaState is the SEA_STATES preset the waves and wind blend to. cloudCover
+// and rain run 0..1; visibility scales the drawing distance.
+const WEATHER_STATES = {
+    clear: { label: 'Clear', seaState: 'moderateBreeze', cloudCover: 0.1, visibility: 1, rain: 0 },
+    overcast: { label: 'Overcast', seaState: 'freshBreeze', cloudCover: 0.85, visibility: 0.7, rain: 0 },
+    fog: { label: 'Fog bank', seaState: 'lightBreeze', cloudCover: 0.6, visibility: 0.15, rain: 0 },
+    squall: { label: 'Squall', seaState: 'nearGale', cloudCover: 1, visibility: 0.35, rain: 1 }
+};
+
+const DEFAULT_WEATHER = 'clear';
+const DEFAULT_TIME_OF_DAY = 10; // Hours
+const DAY_LENGTH = 1440; // Seconds for a full 24 hours, so one game minute per second
+const WEATHER_BLEND_TIME = 30;
+
+function validateWeatherScript(script) {
+    if (!script || !Array.isArray(script.steps) || script.steps.length === 0) {
+        throw new Error('Weather script needs a list of steps');
+    }
+    let previous = 0;
+    for (const step of script.steps) {
+        if (!(step.at >= previous)) {
+            throw new Error('Weather script steps need "at" times in seconds, in order');
+        }
+        previous = step.at;
+        if (step.weather !== undefined && !(step.weather in WEATHER_STATES)) {
+            throw new Error(`Unknown weather: ${step.weather}`);
+        }
+        if (step.timeOfDay !== undefined && !(step.timeOfDay >= 0 && step.timeOfDay < 24)) {
+            throw new Error(`Time of day must be in hours 0-24, got ${step.timeOfDay}`);
+        }
+    }
+    return script;
+}
+
+class Weather {
+    constructor(options = {}) {
+        this.name = options.weather || DEFAULT_WEATHER;
+        if (!(this.name in WEATHER_STATES)) {
+            throw new Error(`Unknown weather: ${this.name}`);
+        }
+        this.timeOfDay = options.timeOfDay !== undefined ? options.timeOfDay : DEFAULT_TIME_OF_DAY;
+        this.dayLength = options.dayLength !== undefined ? options.dayLength : DAY_LENGTH; // 0 stops the clock
+        const preset = WEATHER_STATES[this.name];
+        this.from = { cloudCover: preset.cloudCover, visibility: preset.visibility, rain: preset.rain };
+        this.blend = 1;
+        this.blendRate = 0;
+        this.script = null;
+        this.scriptTime = 0;
+        this.scriptIndex = 0;
+    }
+
+    // Cross-fade from whatever is showing now, mid-blend included
+    set(name, blendTime = WEATHER_BLEND_TIME) {
+        if (!(name in WEATHER_STATES)) {
+            throw new Error(`Unknown weather: ${name}`);
+        }
+        this.from = this.getConditions();
+        this.name = name;
+        this.blend = blendTime > 0 ? 0 : 1;
+        this.blendRate = blendTime > 0 ? 1 / blendTime : 0;
+    }
+
+    // A script's steps fire at their "at" times from now; null stops it
+    runScript(script) {
+        this.script = script ? validateWeatherScript(script) : null;
+        this.scriptTime = 0;
+        this.scriptIndex = 0;
+    }
+
+    getConditions() {
+        const to = WEATHER_STATES[this.name];
+        const mix = (key) => this.from[key] + (to[key] - this.from[key]) * this.blend;
+        return {
+            cloudCover: mix('cloudCover'),
+            visibility: mix('visibility'),
+            rain: mix('rain')
+        };
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            timeOfDay: this.timeOfDay,
+            dayLength: this.dayLength,
+            from: Object.assign({}, this.from),
+            blend: this.blend,
+            blendRate: this.blendRate,
+            script: this.script,
+            scriptTime: this.scriptTime,
+            scriptIndex: this.scriptIndex
+        };
+    }
+
+    setState(state) {
+        Object.assign(this, state);
+        this.from = Object.assign({}, state.from);
+    }
+
+    // Advances the clock and the blend, and returns the script steps that
+    // change the weather this tick for the simulation to apply
+    update(deltaTime) {
+        if (this.dayLength > 0) {
+            this.timeOfDay = (this.timeOfDay + deltaTime * 24 / this.dayLength) % 24;
+        }
+        if (this.blend < 1) {
+            this.blend = Math.min(1, this.blend + this.blendRate * deltaTime);
+        }
+        if (!this.script) return [];
+
+        const due = [];
+        const steps = this.script.steps;
+        this.scriptTime += deltaTime;
+        while (this.scriptIndex < steps.length && steps[this.scriptIndex].at <= this.scriptTime) {
+            const step = steps[this.scriptIndex++];
+            if (step.timeOfDay !== undefined) this.timeOfDay = step.timeOfDay;
+            if (step.dayLength !== undefined) this.dayLength = step.dayLength;
+            if (step.weather !== undefined) due.push(step);
+        }
+        // Looping scripts start over once their duration (or last step) has passed
+        const duration = this.script.duration || steps[steps.length - 1].at;
+        if (this.scriptIndex >= steps.length && this.script.loop && this.scriptTime >= duration && duration > 0) {
+            this.scriptTime -= duration;
+            this.scriptIndex = 0;
+        }
+        return due;
+    }
+}
@@ -0,0 +1,85 @@
+// Global wind model. direction is the world angle the wind blows towards
+// (0 = +x, matching WaveField.direction); bearings for the HUD use the
+// compass convention north = -z, east = +x.
+
+const MS_TO_KNOTS = 1.94384;
+
+class Wind {
+    constructor(options = {}) {
+        this.direction = options.direction !== undefined ? options.direction : 0;
+        this.speed = options.speed !== undefined ? options.speed : SEA_STATES[DEFAULT_SEA_STATE].windSpeed;
+        this.targetSpeed = this.speed;
+        this.blendRate = 0;
+        this.gustStrength = options.gustStrength !== undefined ? options.gustStrength : 0.25;
+        const seed = options.seed || 0;
+        this.gustPhases = [hash01(seed + 0.1), hash01(seed + 0.2), hash01(seed + 0.3)].map(p => p * Math.PI * 2);
+        this.time = 0;
+    }
+
+    // Ease the mean wind speed towards a new value over blendTime seconds
+    setSpeed(speed, blendTime = 10) {
+        this.targetSpeed = speed;
+        this.blendRate = blendTime > 0 ? Math.abs(speed - this.speed) / blendTime : 0;
+        if (blendTime <= 0) {
+            this.speed = speed;
+        }
+    }
+
+    getState() {
+        return {
+            direction: this.direction,
+            speed: this.speed,
+            targetSpeed: this.targetSpeed,
+            blendRate: this.blendRate,
+            gustStrength: this.gustStrength,
+            gustPhases: this.gustPhases.slice(),
+            time: this.time
+        };
+    }
+
+    setState(state) {
+        Object.assign(this, state);
+        this.gustPhases = state.gustPhases.slice();
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        if (this.speed !== this.targetSpeed) {
+            const step = this.blendRate * deltaTime;
+            this.speed += Math.max(-step, Math.min(step, this.targetSpeed - this.speed));
+        }
+    }
+
+    // Gusts are a few incommensurate sines drifting downwind, so nearby
+    // boats feel the same puff a moment apart
+    gustAt(x, z) {
+        const along = x * Math.cos(this.direction) + z * Math.sin(this.direction);
+        const across = -x * Math.sin(this.direction) + z * Math.cos(this.direction);
+        const t = this.time;
+        const drift = along / Math.max(this.speed, 1);
+        const p = this.gustPhases;
+        const g = Math.sin((t - drift) * 0.21 + across * 0.004 + p[0]) * 0.5
+            + Math.sin((t - drift) * 0.53 + p[1]) * 0.3
+            + Math.sin((t - drift) * 1.37 + across * 0.011 + p[2]) * 0.2;
+        return g;
+    }
+
+    // True wind velocity (m/s) at a world position
+    getWindAt(x, z) {
+        const gust = this.gustAt(x, z);
+        const speed = Math.max(0, this.speed * (1 + this.gustStrength * gust));
+        const direction = this.direction + gust * this.gustStrength * 0.3; // Gusts also veer and back a little
+        return {
+            x: Math.cos(direction) * speed,
+            y: 0,
+            z: Math.sin(direction) * speed,
+            speed
+        };
+    }
+
+    // Compass bearing (degrees) the wind blows from
+    getFromBearing() {
+        const bearing = Math.atan2(-Math.cos(this.direction), Math.sin(this.direction)) * 180 / Math.PI;
+        return (bearing + 360) % 360;
+    }
+}
@@ -0,0 +1,686 @@
+// Embeddable simulator. createBoatSimulator(container, options) builds one
+// self-contained instance: its own scene, camera, renderer, simulation and
+// input, a canvas sized to the container, and a frame loop that only runs
+// between start() and pause(). Several can share a page.
+//
+// Options:
+//   hud: true       wire up the game's HUD from index.html (instruments,
+//                   menus, race, replay and multiplayer). Those views use
+//                   the page's fixed element ids, so only one instance per
+//                   page can have it; the others draw the 3D view alone,
+//                   and hear the keyboard and gamepad only while their
+//                   canvas has focus.
+//   seed, seaState, boat, weather, timeOfDay, terrain
+//                   as for Simulation; terrainUrl fetches the terrain file
+//   controls        a control state to drive the boat instead of the
+//                   keyboard, mouse and gamepad: any object with the
+//                   createControlState() keys, and an update() called once
+//                   per frame if it has one
+//   gamepad         index of the gamepad that drives this instance, with or
+//                   without focus; one pad per instance for several players
+//   settings        values over DEFAULT_SETTINGS; only the HUD's are kept
+//                   in localStorage, as are its quality tier, camera mode
+//                   and key bindings
+//   quality         'auto' or a tier name
+//   fleet           boat definition data for the AI traffic; the HUD uses
+//                   the boat catalogue
+//   audio           false for silence; on by default with the HUD
+//   relay           multiplayer relay url, with the HUD
+//
+// Events: 'tick' (tick), 'speed' (m/s, on a change of SPEED_EVENT_STEP),
+// 'reset', 'checkpoint' and 'finish' (as RaceTracker emits them),
+// 'collision' (as Simulation emits it), 'aground', 'refuel' (the dock),
+// 'outOfFuel' and 'overheat'.
+//
+// setDebug(visible) shows the debug overlay (F3 or ` on the keyboard), which
+// also starts and exports telemetry; this.telemetry records it from code.
+
+const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+const SPEED_EVENT_STEP = 0.1; // m/s
+
+class BoatSimulator extends EventEmitter {
+    constructor(container, options = {}) {
+        super();
+        this.container = container;
+        this.options = options;
+        this.hud = !!options.hud;
+        this.running = false;
+        this.disposed = false;
+        this.frameRequest = null;
+        this.lastSpeed = 0;
+        this.wasPausePressed = false;
+        this.wasDebugPressed = false;
+        this.wasBoosting = false;
+        this.race = null; // Tracker and buoys of a race run without the HUD
+
+        // Graphics quality: phones start a tier lower, then the manager adapts
+        // to the frame rate actually achieved (or the player pins a tier)
+        this.quality = new QualityManager({
+            defaultTier: isMobile ? 'medium' : 'high',
+            storageKey: this.hud ? QUALITY_STORAGE_KEY : null
+        });
+        if (options.quality) this.quality.setMode(options.quality);
+
+        this.settings = new Settings(this.hud ? SETTINGS_STORAGE_KEY : null);
+        for (const [key, value] of Object.entries(options.settings || {})) {
+            this.settings.set(key, value);
+        }
+
+        this.createScene();
+        this.createWorld();
+        if (this.hud) this.createHud();
+        this.watchSimulation();
+
+        this.applySettings(this.settings.values);
+        this.settings.on('change', values => this.applySettings(values));
+        this.applyQuality(this.quality.settings);
+        this.quality.on('change', settings => this.applyQuality(settings));
+        // With the HUD, traffic waits for the boat catalogue to draw from
+        this.settings.on('change', () => this.updateTraffic());
+        this.quality.on('change', () => this.updateTraffic());
+        if (!this.hud) this.updateTraffic();
+
+        // Follow the container, not the window
+        this.resize();
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(container);
+    }
+
+    createScene() {
+        const quality = this.quality;
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.Fog(0x87CEEB, 10, quality.settings.fogFar);
+        this.camera = new THREE.PerspectiveCamera(75, 1, 0.1, quality.settings.fogFar * 2);
+
+        // Antialiasing is fixed when the WebGL context is created, so a tier
+        // change only applies it on the next load
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: quality.settings.antialias,
+            powerPreference: 'high-performance'
+        });
+        this.container.appendChild(this.renderer.domElement);
+
+        // Lighting; the sky sets colours and intensities for the hour and weather
+        this.ambientLight = new THREE.AmbientLight(0x404040, 1.8);
+        this.scene.add(this.ambientLight);
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.shadow.camera.left = -100;
+        directionalLight.shadow.camera.right = 100;
+        directionalLight.shadow.camera.top = 100;
+        directionalLight.shadow.camera.bottom = -100;
+        this.scene.add(directionalLight);
+        this.scene.add(directionalLight.target);
+        this.directionalLight = directionalLight;
+
+        this.sky = new Sky(this.scene, { ambient: this.ambientLight, directional: directionalLight }, quality.settings);
+        this.rain = new Rain(this.scene, quality.settings);
+        this.clock = new THREE.Clock();
+    }
+
+    createWorld() {
+        const options = this.options;
+        const scene = this.scene;
+        const quality = this.quality;
+
+        // Replays recorded here carry these, so they can rebuild the same sea
+        this.simulationOptions = {};
+        if (options.terrain !== undefined) this.simulationOptions.terrain = options.terrain;
+        const simulation = new Simulation(Object.assign({
+            seed: options.seed !== undefined ? options.seed : Math.floor(Math.random() * 0xFFFFFFFF),
+            seaState: options.seaState,
+            boat: options.boat,
+            weather: options.weather,
+            timeOfDay: options.timeOfDay
+        }, this.simulationOptions));
+        this.simulation = simulation;
+        this.loop = new FixedStepLoop(simulation);
+
+        this.ocean = new Ocean(scene, simulation.ocean, quality.settings);
+        this.terrainView = new TerrainView(scene, simulation.terrain, quality.settings);
+        this.boat = new Boat(scene, { definition: simulation.boatDefinition });
+        this.effects = new BoatEffects(scene, simulation.ocean, quality.settings);
+        this.trafficView = new TrafficView(scene, simulation);
+        this.fuelDockView = new FuelDockView(scene, simulation.ocean, simulation.fuelDocks);
+        this.cameraRig = new CameraRig(this.camera, simulation, this.hud ? CAMERA_STORAGE_KEY : null);
+        this.telemetry = new TelemetryRecorder(simulation, { fps: () => this.debugOverlay.fps });
+        this.debugOverlay = new DebugOverlay(this.container, scene, this.telemetry);
+
+        // Injected controls are the embedder's to look after
+        this.ownsControls = !options.controls;
+        this.controls = options.controls || new InputManager(this.renderer.domElement, {
+            onScreen: this.hud,
+            gamepad: options.gamepad,
+            storageKey: this.hud ? BINDINGS_STORAGE_KEY : null
+        });
+
+        const audible = options.audio !== undefined ? options.audio : this.hud;
+        this.audio = audible ? new AudioEngine() : null;
+        if (this.audio) this.effects.onSlam = strength => this.audio.slap(strength);
+
+        if (options.terrainUrl) {
+            fetch(options.terrainUrl)
+                .then(response => response.json())
+                .then((data) => {
+                    simulation.loadTerrain(data);
+                    this.simulationOptions.terrain = data; // Replays recorded from now on carry it
+                })
+                .catch((err) => {
+                    console.log('Could not load terrain:', err);
+                });
+        }
+    }
+
+    // The game's own page furniture, found by id
+    createHud() {
+        const simulation = this.simulation;
+        const scene = this.scene;
+        this.hudEvents = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.hudEvents.signal;
+
+        this.replayControls = new ReplayControls(scene, simulation, this.simulationOptions);
+        this.raceControls = new RaceControls(scene, simulation);
+        this.raceControls.onCourseChange = () => {
+            if (this.raceControls.tracker) this.watchRace(this.raceControls.tracker);
+            this.updateTraffic();
+        };
+        this.network = this.options.relay ? new NetworkClient(scene, simulation, { url: this.options.relay }) : null;
+        this.instruments = new InstrumentPanel(simulation);
+        this.weatherControls = new WeatherControls(simulation);
+        this.audioControls = this.audio ? new AudioControls(this.audio) : null;
+
+        // Control preferences live in the pause menu
+        this.pauseMenu = new PauseMenu(this.settings, this.instruments);
+        this.pauseMenu.onChange = () => this.updateAudioPaused();
+        this.mobileControls = document.getElementById('mobileControls');
+
+        // A new boat gets a fresh view (see watchSimulation); first visit: let
+        // the player pick before setting off
+        this.boatSelector = new BoatSelector(simulation, this.instruments.settings);
+        this.boatSelector.onSelect = definition => simulation.setBoat(definition.data);
+        this.boatSelector.load().then((definition) => {
+            this.updateTraffic();
+            if (!definition) {
+                this.boatSelector.show();
+            } else if (definition.id !== simulation.boatDefinition.id) {
+                simulation.setBoat(definition.data);
+            }
+        }).catch((err) => {
+            console.log('Could not load boats:', err);
+            this.updateTraffic(); // The default boat, then
+        });
+
+        // Sea state picker, blends the wave field to the chosen preset
+        const seaStateSelect = document.getElementById('seaState');
+        for (const [name, preset] of Object.entries(SEA_STATES)) {
+            seaStateSelect.add(new Option(preset.label, name, false, name === simulation.ocean.waveField.seaState));
+        }
+        seaStateSelect.addEventListener('change', () => {
+            simulation.setSeaState(seaStateSelect.value, 8);
+            seaStateSelect.blur();
+        }, { signal });
+        // Sea state can also change from elsewhere (multiplayer room, replays)
+        simulation.on('seaState', (change) => {
+            seaStateSelect.value = change.name;
+        });
+
+        // Quality picker: Auto follows the frame rate, a tier pins it
+        const quality = this.quality;
+        const qualitySelect = document.getElementById('qualitySelect');
+        const updateQualitySelect = () => {
+            qualitySelect.options[0].textContent = `Auto (${quality.settings.label})`;
+            qualitySelect.value = quality.auto ? 'auto' : quality.tier;
+        };
+        qualitySelect.add(new Option('Auto', 'auto'));
+        for (const [tier, settings] of Object.entries(QUALITY_TIERS)) {
+            qualitySelect.add(new Option(settings.label, tier));
+        }
+        updateQualitySelect();
+        qualitySelect.addEventListener('change', () => {
+            quality.setMode(qualitySelect.value);
+            updateQualitySelect();
+            qualitySelect.blur();
+        }, { signal });
+        quality.on('change', updateQualitySelect);
+
+        // Chase, helm, orbit, chart and cinematic views of the boat
+        const cameraButton = document.getElementById('cameraButton');
+        const updateCameraButton = (mode) => {
+            cameraButton.textContent = CAMERA_MODES[mode].icon;
+            cameraButton.title = `Camera: ${CAMERA_MODES[mode].label} (C)`;
+        };
+        updateCameraButton(this.cameraRig.mode);
+        this.cameraRig.onChange = updateCameraButton;
+    }
+
+    watchSimulation() {
+        const simulation = this.simulation;
+        simulation.on('tick', tick => this.emit('tick', tick));
+        simulation.on('reset', () => {
+            this.effects.clear(); // No wake trailing back from where the boat was
+            this.emit('reset');
+        });
+        simulation.on('aground', () => this.emit('aground'));
+        simulation.on('collision', collision => this.emit('collision', collision));
+        simulation.on('refuel', dock => this.emit('refuel', dock));
+        simulation.on('outOfFuel', () => this.emit('outOfFuel'));
+        simulation.on('overheat', () => this.emit('overheat'));
+        simulation.on('terrain', (terrain) => {
+            this.terrainView.setTerrain(terrain);
+            this.fuelDockView.setDocks(simulation.fuelDocks);
+        });
+
+        // A new boat gets a fresh view, and a race under way restarts so
+        // nobody swaps boats mid-course
+        simulation.on('boat', (definition) => {
+            this.boat.dispose();
+            this.boat = new Boat(this.scene, { definition });
+            this.loop.previousBoatState = simulation.boat.getState();
+            this.effects.clear();
+            const tracker = this.raceTracker;
+            if (tracker && tracker.state !== 'finished') {
+                this.startRace(this.raceCourse);
+            }
+        });
+
+        // Haptics stay out of the simulation; it only reports what happened
+        simulation.on('reset', () => this.vibrate([100, 50, 100]));
+        simulation.on('aground', () => this.vibrate(300));
+        simulation.on('collision', (collision) => {
+            if (collision.a === 'player' || collision.b === 'player') {
+                this.vibrate(Math.min(400, 60 + collision.speed * 40));
+            }
+        });
+        simulation.on('outOfFuel', () => this.vibrate(500));
+        simulation.on('overheat', () => this.vibrate([200, 100, 200]));
+    }
+
+    vibrate(pattern) {
+        if (this.settings.values.haptics && navigator.vibrate) navigator.vibrate(pattern);
+    }
+
+    watchRace(tracker) {
+        tracker.on('checkpoint', event => this.emit('checkpoint', event));
+        tracker.on('finish', result => this.emit('finish', result));
+    }
+
+    get raceTracker() {
+        return this.raceControls ? this.raceControls.tracker : this.race && this.race.tracker;
+    }
+
+    get raceCourse() {
+        return this.raceControls ? this.raceControls.course : this.race && this.race.course;
+    }
+
+    // Race a Course (see loadCourses); with the HUD this is the course picker's race
+    startRace(course) {
+        if (this.raceControls) {
+            this.raceControls.startRace(course);
+            return;
+        }
+        this.clearRace();
+        const tracker = new RaceTracker(this.simulation, course);
+        this.watchRace(tracker);
+        this.race = { course, tracker, buoys: new RaceBuoys(this.scene, this.simulation.ocean, course) };
+        tracker.start();
+        this.updateTraffic();
+    }
+
+    endRace() {
+        if (this.raceControls) {
+            this.raceControls.endRace();
+            return;
+        }
+        this.clearRace();
+        this.updateTraffic();
+    }
+
+    clearRace() {
+        if (!this.race) return;
+        this.race.tracker.stop();
+        this.race.buoys.dispose();
+        this.race = null;
+    }
+
+    // Preferences, applied as they change; the on-screen sticks are the HUD's
+    applySettings(values) {
+        if (this.controls.applySettings) this.controls.applySettings(values);
+        if (this.mobileControls) {
+            document.body.classList.toggle('swap-sticks', values.swapSticks);
+            this.mobileControls.style.opacity = values.controlOpacity;
+            this.mobileControls.style.setProperty('--control-size', values.controlSize);
+        }
+    }
+
+    // AI traffic: the settings pick a share of what the quality tier allows.
+    // Multiplayer rooms have real boats instead, so no traffic there.
+    updateTraffic() {
+        const density = TRAFFIC_DENSITIES[this.settings.values.trafficDensity] || 0;
+        const count = this.network ? 0 : Math.round(density * this.quality.settings.trafficBoats);
+        const course = this.raceCourse;
+        const route = course ? courseRoute(course) : null;
+        const traffic = this.simulation.traffic;
+        if (count === traffic.boats.length && JSON.stringify(route) === JSON.stringify(traffic.route)) return;
+        const fleet = this.boatSelector ? this.boatSelector.boats.map(definition => definition.data) : this.options.fleet;
+        this.simulation.setTraffic({ count, fleet, route });
+    }
+
+    // Renderer and scene settings of a quality tier; the views rebuild their
+    // own meshes
+    applyQuality(settings) {
+        const renderer = this.renderer;
+        const directionalLight = this.directionalLight;
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.pixelRatio));
+        this.camera.far = settings.fogFar * 2;
+        this.camera.updateProjectionMatrix();
+
+        if (renderer.shadowMap.enabled !== settings.shadows) {
+            renderer.shadowMap.enabled = settings.shadows;
+            // Materials compile shadow support in or out
+            this.scene.traverse((object) => {
+                if (object.material) object.material.needsUpdate = true;
+            });
+        }
+        directionalLight.castShadow = settings.shadows;
+        if (directionalLight.shadow.mapSize.width !== settings.shadowMapSize) {
+            directionalLight.shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
+            if (directionalLight.shadow.map) {
+                directionalLight.shadow.map.dispose();
+                directionalLight.shadow.map = null;
+            }
+        }
+
+        this.sky.setQuality(settings);
+        this.rain.setQuality(settings);
+        this.effects.setQuality(settings);
+        this.effects.setViewportHeight(renderer.domElement.height);
+        this.ocean.setQuality(settings);
+        this.terrainView.setQuality(settings);
+    }
+
+    resize() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (width === 0 || height === 0) return;
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        this.effects.setViewportHeight(this.renderer.domElement.height);
+    }
+
+    start() {
+        if (this.running || this.disposed) return;
+        this.running = true;
+        this.clock.getDelta(); // Time spent stopped is not simulated
+        this.updateAudioPaused();
+        const frame = () => {
+            if (!this.running) return;
+            this.frameRequest = requestAnimationFrame(frame);
+            this.update();
+        };
+        this.frameRequest = requestAnimationFrame(frame);
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.running = false;
+        cancelAnimationFrame(this.frameRequest);
+        this.updateAudioPaused();
+    }
+
+    get paused() {
+        return !this.running || (this.pauseMenu ? this.pauseMenu.paused : false);
+    }
+
+    updateAudioPaused() {
+        if (this.audio) this.audio.setPaused(this.paused);
+    }
+
+    dispose() {
+        if (this.disposed) return;
+        this.pause();
+        this.disposed = true;
+        this.resizeObserver.disconnect();
+        if (this.ownsControls) this.controls.dispose();
+        if (this.audio) this.audio.dispose();
+        if (this.network) this.network.close();
+        if (this.hud) this.disposeHud();
+        this.clearRace();
+        this.telemetry.stop();
+        this.scene.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) [].concat(object.material).forEach(material => material.dispose());
+        });
+        this.debugOverlay.dispose();
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        this.listeners = {};
+    }
+
+    // The page's HUD elements stay where they are; only their listeners go
+    disposeHud() {
+        this.hudEvents.abort();
+        this.replayControls.dispose();
+        this.raceControls.dispose();
+        this.instruments.dispose();
+        this.weatherControls.dispose();
+        if (this.audioControls) this.audioControls.dispose();
+        this.pauseMenu.dispose();
+        this.boatSelector.dispose();
+    }
+
+    setDebug(visible) {
+        this.debugOverlay.setVisible(visible);
+    }
+
+    // Where the player's boat is and what it is doing
+    getBoatState() {
+        const simulation = this.simulation;
+        const physics = simulation.boat;
+        const forward = rotateVector(physics.orientation, vec3(0, 0, 1));
+        return {
+            tick: simulation.tick,
+            time: simulation.time,
+            position: Object.assign({}, physics.position),
+            velocity: Object.assign({}, physics.velocity),
+            heading: bearingOf(forward.x, forward.z), // Compass degrees
+            speed: physics.forwardSpeed,
+            throttle: physics.throttle,
+            rudder: physics.rudder,
+            boosting: physics.boosting,
+            propulsion: physics.propulsion,
+            aground: physics.aground,
+            engine: {
+                lever: physics.engine.lever,
+                gear: physics.engine.gear,
+                rpm: physics.engine.rpm,
+                fuel: physics.engine.fuel, // Litres
+                fuelCapacity: physics.engine.config.fuelCapacity,
+                heat: physics.engine.heat, // 0 to 1
+                overheated: physics.engine.overheated,
+                refuelling: physics.engine.refuelling
+            }
+        };
+    }
+
+    // Sky, light and rain for the hour and weather, centred on the action
+    // so the sun's shadow frustum covers the boat
+    updateEnvironment(deltaTime) {
+        const weather = this.simulation.weather;
+        const position = this.boat.group.position;
+        this.sky.update(weather, this.camera.position, position);
+        this.rain.update(deltaTime, weather.getConditions().rain, this.camera.position,
+            this.simulation.wind.getWindAt(position.x, position.z));
+        setNavigationLights(this.scene, this.sky.night);
+    }
+
+    updateHud() {
+        const simulation = this.simulation;
+        const physics = simulation.boat;
+        const position = this.boat.group.position;
+        const units = this.instruments.settings;
+        const speed = Math.abs(physics.forwardSpeed);
+        document.getElementById('speed').textContent = units.speed(speed);
+        document.getElementById('waveHeight').textContent =
+            units.length(simulation.ocean.getWaveHeightAt(position.x, position.z));
+
+        // Echo sounder: water depth under the boat, with shoal and aground warnings
+        const depthReadout = document.getElementById('depthReadout');
+        const depth = simulation.terrain ? simulation.terrain.depthAt(position.x, position.z) : Infinity;
+        document.getElementById('depth').textContent = physics.aground ? 'Aground' :
+            depth > 200 ? '—' : units.length(Math.max(0, depth));
+        depthReadout.classList.toggle('shallow', depth < 4 && !physics.aground);
+        depthReadout.classList.toggle('aground', physics.aground);
+
+        // Wind: true speed and the compass bearing it blows from, then apparent
+        // speed and angle off the bow as the sail feels it
+        const wind = simulation.wind;
+        const trueWind = wind.getWindAt(position.x, position.z);
+        document.getElementById('trueWind').textContent =
+            `${units.speed(trueWind.speed, 0)} ${wind.getFromBearing().toFixed(0)}°`;
+        const sail = physics.sail;
+        const awa = sail.apparentWindAngle * 180 / Math.PI;
+        document.getElementById('apparentWind').textContent =
+            `${units.speed(sail.apparentWindSpeed, 0)} ${Math.abs(awa).toFixed(0)}° ${awa >= 0 ? 'P' : 'S'}`;
+
+        const sailing = physics.propulsion === 'sail';
+        document.body.classList.toggle('sail-mode', sailing);
+        document.body.classList.toggle('no-sail', !physics.hasSail);
+        document.getElementById('modeButton').textContent = sailing ? '⛵' : '⚙';
+
+        // Update speed bar
+        const speedBar = document.getElementById('speedBar');
+        const speedPercent = (speed / physics.hull.maxSpeed) * 100;
+        speedBar.style.width = Math.min(speedPercent, 100) + '%';
+
+        this.updateEngineHud();
+
+        const chart = this.raceControls.getChartFeatures();
+        chart.fuelDocks = simulation.fuelDocks;
+        chart.boats = this.replayControls.getChartBoats()
+            .concat(this.trafficView.getChartBoats(), this.network ? this.network.getChartBoats() : []);
+        this.instruments.update(position, chart);
+        this.weatherControls.update();
+    }
+
+    updateEngineHud() {
+        const engine = this.simulation.boat.engine;
+        const config = engine.config;
+        const wanted = Math.abs(engine.lever) < ENGINE_NEUTRAL_BAND ? 0 : Math.sign(engine.lever);
+        const gear = document.getElementById('engineGear');
+        gear.textContent = wanted > 0 ? 'F' : wanted < 0 ? 'R' : 'N';
+        gear.classList.toggle('shifting', wanted !== engine.gear);
+        document.getElementById('leverHandle').style.top = `${50 - engine.lever * 50}%`;
+
+        document.getElementById('rpmBar').style.width = `${Math.min(100, engine.rpm / config.boostRpm * 100)}%`;
+        document.getElementById('rpmReadout').textContent = (Math.round(engine.rpm / 10) * 10).toFixed(0);
+
+        const fuel = engine.fuelFraction;
+        document.getElementById('fuelBar').style.width = `${fuel * 100}%`;
+        const fuelReadout = document.getElementById('fuelReadout');
+        fuelReadout.textContent = engine.refuelling ? 'Filling' : fuel === 0 ? 'Empty' : `${Math.ceil(fuel * 100)}%`;
+        fuelReadout.classList.toggle('low', fuel < 0.15);
+        fuelReadout.classList.toggle('empty', fuel === 0);
+        fuelReadout.classList.toggle('refuelling', engine.refuelling);
+
+        document.getElementById('heatBar').style.width = `${engine.heat * 100}%`;
+        const heatReadout = document.getElementById('heatReadout');
+        heatReadout.textContent = engine.overheated ? 'Hot' : '';
+        heatReadout.classList.toggle('overheated', engine.overheated);
+    }
+
+    // The fuel dock the player is filling up at, if any
+    refuellingDock() {
+        const physics = this.simulation.boat;
+        if (!physics.engine.refuelling) return null;
+        return nearestFuelDock(this.simulation.fuelDocks, physics.position.x, physics.position.z).dock;
+    }
+
+    soundSources() {
+        let sources = this.trafficView.getSoundSources();
+        if (this.raceControls) {
+            sources = this.raceControls.getSoundSources().concat(sources);
+        } else if (this.race) {
+            sources = this.race.buoys.buoys.map((buoy, i) => ({ id: `buoy-${i}`, position: buoy.mesh.position, bell: true })).concat(sources);
+        }
+        return this.network ? sources.concat(this.network.getSoundSources()) : sources;
+    }
+
+    // One frame: input, whole simulation ticks, then every view
+    update() {
+        const frameTime = this.clock.getDelta();
+        const deltaTime = Math.min(frameTime, 0.1); // Cap delta time
+        const simulation = this.simulation;
+        const loop = this.loop;
+        const controls = this.controls;
+        this.quality.update(frameTime);
+        this.debugOverlay.recordFrame(frameTime);
+
+        if (controls.update) controls.update();
+        if (this.pauseMenu && controls.pause && !this.wasPausePressed) {
+            this.pauseMenu.toggle();
+        }
+        this.wasPausePressed = controls.pause;
+        if (controls.debug && !this.wasDebugPressed) {
+            this.debugOverlay.toggle();
+        }
+        this.wasDebugPressed = controls.debug;
+        // Paused, nothing the simulation drives moves; the camera can still look around
+        const stepTime = this.pauseMenu && this.pauseMenu.paused ? 0 : deltaTime;
+
+        simulation.setControls(controls);
+        const ticks = loop.advance(stepTime);
+
+        const physics = simulation.boat;
+        const speed = Math.abs(physics.forwardSpeed);
+        if (Math.abs(speed - this.lastSpeed) >= SPEED_EVENT_STEP) {
+            this.lastSpeed = speed;
+            this.emit('speed', speed);
+        }
+
+        // A buzz as the boost kicks in, not every frame it is held
+        if (physics.boosting && !this.wasBoosting) this.vibrate(50);
+        this.wasBoosting = physics.boosting;
+
+        const boatState = loop.getBoatState();
+        this.boat.update(boatState);
+        this.trafficView.update(loop.alpha);
+        this.fuelDockView.update(loop.getRenderTime(), this.refuellingDock());
+        // Boost only shows while it is actually pushing the boat
+        const boosting = physics.boosting && physics.throttle !== 0;
+        this.effects.update(stepTime, boatState, physics.hull, boosting, this.sky.daylight);
+        this.ocean.update(loop.getRenderTime(), this.boat.group.position);
+        if (this.hud) {
+            this.replayControls.update(stepTime);
+            this.raceControls.update(loop.getRenderTime());
+        } else if (this.race) {
+            const tracker = this.race.tracker;
+            this.race.buoys.update(loop.getRenderTime(), tracker.state === 'finished' ? -1 : tracker.nextCheckpoint);
+        }
+        if (this.network) {
+            this.network.update(deltaTime, loop.getRenderTime());
+        }
+        this.cameraRig.update(deltaTime, this.boat, physics.hull, controls);
+        this.updateEnvironment(stepTime);
+        if (this.hud) this.updateHud();
+        if (this.audio) {
+            this.audio.update(this.camera, {
+                speed,
+                maxSpeed: physics.hull.maxSpeed,
+                throttle: physics.throttle,
+                rpm: physics.engine.rpm / physics.engine.config.maxRpm,
+                motor: physics.propulsion === 'motor',
+                boosting
+            }, {
+                waveHeight: SEA_STATES[simulation.ocean.waveField.seaState].waveHeight,
+                windSpeed: simulation.wind.speed
+            }, this.soundSources());
+        }
+
+        this.renderer.render(this.scene, this.camera);
+        this.debugOverlay.update(simulation, this.boat, this.cameraRig, this.renderer, ticks);
+    }
+}
+
+function createBoatSimulator(container, options = {}) {
+    return new BoatSimulator(container, options);
+}
@@ -0,0 +1,89 @@
+// Islands and seabed: one vertex-coloured mesh over the terrain heightmap.
+// The sea is drawn translucent on top, so shoals show through as lighter
+// water before the boat finds them.
+
+const TERRAIN_COLORS = [
+    { height: -12, color: new THREE.Color(0x3d5a5b) }, // Deep seabed
+    { height: -2, color: new THREE.Color(0xb9a878) }, // Shallows
+    { height: 1.5, color: new THREE.Color(0xe0cf9a) }, // Beach
+    { height: 6, color: new THREE.Color(0x6b8f3e) }, // Grass
+    { height: 16, color: new THREE.Color(0x4a6b32) }, // Scrub
+    { height: 28, color: new THREE.Color(0x8c8a7e) } // Rock
+];
+
+class TerrainView {
+    constructor(scene, terrain, quality) {
+        this.scene = scene;
+        this.mesh = null;
+        this.step = quality.terrainStep; // Grid points per mesh vertex
+        this.material = new THREE.MeshLambertMaterial({ vertexColors: true });
+        this.setTerrain(terrain);
+    }
+
+    setTerrain(terrain) {
+        this.terrain = terrain;
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh = null;
+        }
+        if (!terrain) return;
+        this.mesh = new THREE.Mesh(this.createGeometry(terrain, this.step), this.material);
+        this.mesh.receiveShadow = true;
+        this.scene.add(this.mesh);
+    }
+
+    setQuality(quality) {
+        if (quality.terrainStep === this.step) return;
+        this.step = quality.terrainStep;
+        this.setTerrain(this.terrain);
+    }
+
+    // Every step-th grid point becomes a vertex
+    createGeometry(terrain, step) {
+        const n = Math.floor((terrain.size - 1) / step) + 1;
+        const positions = new Float32Array(n * n * 3);
+        const colors = new Float32Array(n * n * 3);
+        const color = new THREE.Color();
+        for (let row = 0; row < n; row++) {
+            for (let column = 0; column < n; column++) {
+                const v = (row * n + column) * 3;
+                const height = terrain.heights[row * step * terrain.size + column * step];
+                positions[v] = terrain.originX + column * step * terrain.cellSize;
+                positions[v + 1] = height;
+                positions[v + 2] = terrain.originZ + row * step * terrain.cellSize;
+                this.colorAt(height, color).toArray(colors, v);
+            }
+        }
+
+        const indices = [];
+        for (let row = 0; row < n - 1; row++) {
+            for (let column = 0; column < n - 1; column++) {
+                const a = row * n + column;
+                const b = a + 1;
+                const c = a + n;
+                const d = c + 1;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    colorAt(height, out) {
+        const bands = TERRAIN_COLORS;
+        if (height <= bands[0].height) return out.copy(bands[0].color);
+        for (let i = 1; i < bands.length; i++) {
+            if (height <= bands[i].height) {
+                const t = (height - bands[i - 1].height) / (bands[i].height - bands[i - 1].height);
+                return out.copy(bands[i - 1].color).lerp(bands[i].color, t);
+            }
+        }
+        return out.copy(bands[bands.length - 1].color);
+    }
+}
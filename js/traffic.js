@@ -0,0 +1,69 @@
+// Draws the simulation's AI traffic: a Boat view per traffic boat, made and
+// dropped as boats come and go, blended between the last two ticks the same
+// way FixedStepLoop blends the player's boat.
+
+class TrafficView {
+    constructor(scene, simulation) {
+        this.scene = scene;
+        this.simulation = simulation;
+        this.entries = new Map(); // Traffic boat id -> { boat, view, previous, speed }
+
+        // Each boat's state from before the tick, to blend from
+        simulation.on('step', () => {
+            for (const boat of simulation.traffic.boats) {
+                const entry = this.entries.get(boat.id);
+                if (entry) entry.previous = boat.physics.getState();
+            }
+        });
+    }
+
+    update(alpha) {
+        const boats = this.simulation.traffic.boats;
+        const ids = new Set(boats.map(boat => boat.id));
+        for (const [id, entry] of this.entries) {
+            if (!ids.has(id)) {
+                entry.view.dispose();
+                this.entries.delete(id);
+            }
+        }
+
+        for (const boat of boats) {
+            const state = boat.physics.getState();
+            let entry = this.entries.get(boat.id);
+            // A restored state brings new boat objects, maybe of another kind
+            if (entry && entry.boat !== boat) {
+                if (entry.boat.definition.id !== boat.definition.id) {
+                    entry.view.dispose();
+                    entry = null;
+                } else {
+                    entry.boat = boat;
+                    entry.previous = state;
+                }
+            }
+            if (!entry) {
+                entry = { boat, view: new Boat(this.scene, { definition: boat.definition }), previous: state, speed: 0 };
+                this.entries.set(boat.id, entry);
+            }
+            entry.view.update(interpolateBoatState(entry.previous, state, alpha));
+            entry.speed = Math.abs(boat.physics.forwardSpeed);
+        }
+    }
+
+    getChartBoats() {
+        const boats = [];
+        for (const entry of this.entries.values()) {
+            const position = entry.view.group.position;
+            boats.push({ x: position.x, z: position.z, heading: entry.view.getHeading(), label: entry.boat.definition.name });
+        }
+        return boats;
+    }
+
+    // Traffic motors for the audio engine
+    getSoundSources() {
+        const sources = [];
+        for (const [id, entry] of this.entries) {
+            sources.push({ id: `traffic-${id}`, position: entry.view.group.position, speed: entry.speed });
+        }
+        return sources;
+    }
+}
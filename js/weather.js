@@ -0,0 +1,360 @@
+// Day/night and weather in the browser: the sky dome with sun, moon and
+// stars, the light and fog that follow the hour and the weather, rain, and
+// the weather panel. The simulation's Weather decides what to show.
+
+const SKY_RADIUS = 300;
+const SUN_DISTANCE = 150; // Directional light distance from the boat
+
+const SKY_COLORS = {
+    dayTop: new THREE.Color(0x4a90d9),
+    dayHorizon: new THREE.Color(0x87CEEB),
+    duskTop: new THREE.Color(0x4a5a8a),
+    duskHorizon: new THREE.Color(0xff9966),
+    nightTop: new THREE.Color(0x02040c),
+    nightHorizon: new THREE.Color(0x0a1428),
+    cloud: new THREE.Color(0x9aa3ad),
+    sunlight: new THREE.Color(0xffffff),
+    sunsetLight: new THREE.Color(0xffb070),
+    moonlight: new THREE.Color(0x8899cc),
+    dayAmbient: new THREE.Color(0x404040),
+    nightAmbient: new THREE.Color(0x1a2038)
+};
+
+// Day speeds offered in the panel, in seconds per 24 hours
+const DAY_SPEEDS = [
+    { label: 'Clock stopped', dayLength: 0 },
+    { label: '1 day / 24 min', dayLength: 1440 },
+    { label: '1 day / 8 min', dayLength: 480 },
+    { label: '1 day / 2 min', dayLength: 120 }
+];
+
+const WEATHER_SCRIPTS_URL = 'weather/';
+
+// Rain drops drawn per quality effects level
+const RAIN_DROPS = [400, 1000, 2000, 4000];
+
+const SKY_VERTEX_SHADER = `
+    varying vec3 vDirection;
+    void main() {
+        vDirection = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const SKY_FRAGMENT_SHADER = `
+    uniform vec3 topColor;
+    uniform vec3 horizonColor;
+    uniform vec3 glowColor;
+    uniform vec3 sunDirection;
+    varying vec3 vDirection;
+    void main() {
+        vec3 direction = normalize(vDirection);
+        vec3 color = mix(horizonColor, topColor, sqrt(max(direction.y, 0.0)));
+        color += glowColor * pow(max(dot(direction, sunDirection), 0.0), 8.0);
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+// Unit vector towards the sun. It rises in the east (+x) at 06:00, stands
+// in the south (+z) at noon and sets in the west at 18:00.
+function sunDirection(hours, out = new THREE.Vector3()) {
+    const angle = (hours - 12) / 24 * Math.PI * 2;
+    return out.set(-Math.sin(angle), Math.cos(angle) * 0.85, Math.cos(angle) * 0.5 + 0.1).normalize();
+}
+
+// Format hours as HH:MM
+function formatTimeOfDay(hours) {
+    const minutes = Math.floor(hours * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Fetch every weather script listed in weather/index.json
+function loadWeatherScripts() {
+    return fetch(`${WEATHER_SCRIPTS_URL}index.json`)
+        .then(response => response.json())
+        .then(index => Promise.all(index.scripts.map(id =>
+            fetch(`${WEATHER_SCRIPTS_URL}${id}.json`)
+                .then(response => response.json())
+                .then(script => validateWeatherScript(script))
+        )));
+}
+
+// Sky dome, sun, moon and stars around the camera. Also owns the scene's
+// lights and fog, which all follow the same hour and weather.
+class Sky {
+    constructor(scene, lights, quality) {
+        this.scene = scene;
+        this.ambient = lights.ambient;
+        this.light = lights.directional;
+        this.fogFar = quality.fogFar;
+        this.night = false; // Dark or murky enough for navigation lights
+        this.daylight = 1; // 0 at night to 1 in clear sun, for unlit effects
+
+        this.group = new THREE.Group();
+        this.uniforms = {
+            topColor: { value: SKY_COLORS.dayTop.clone() },
+            horizonColor: { value: SKY_COLORS.dayHorizon.clone() },
+            glowColor: { value: new THREE.Color(0x000000) },
+            sunDirection: { value: new THREE.Vector3(0, 1, 0) }
+        };
+        this.dome = new THREE.Mesh(
+            new THREE.SphereGeometry(SKY_RADIUS, 24, 16),
+            new THREE.ShaderMaterial({
+                uniforms: this.uniforms,
+                vertexShader: SKY_VERTEX_SHADER,
+                fragmentShader: SKY_FRAGMENT_SHADER,
+                side: THREE.BackSide,
+                depthWrite: false
+            })
+        );
+        this.group.add(this.dome);
+
+        // Discs turned to face the camera each frame
+        const disc = (radius, color) => new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 24),
+            new THREE.MeshBasicMaterial({ color, fog: false, transparent: true, depthWrite: false })
+        );
+        this.sun = disc(8, 0xfff4d6);
+        this.moon = disc(5, 0xdde4f0);
+        this.group.add(this.sun, this.moon);
+
+        const stars = [];
+        const random = new Random(7);
+        for (let i = 0; i < 600; i++) {
+            const angle = random.range(0, Math.PI * 2);
+            const y = random.range(0.05, 1);
+            const r = Math.sqrt(1 - y * y);
+            stars.push(Math.cos(angle) * r * 290, y * 290, Math.sin(angle) * r * 290);
+        }
+        const starGeometry = new THREE.BufferGeometry();
+        starGeometry.setAttribute('position', new THREE.Float32BufferAttribute(stars, 3));
+        this.stars = new THREE.Points(starGeometry, new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 1.5,
+            sizeAttenuation: false,
+            transparent: true,
+            fog: false
+        }));
+        this.group.add(this.stars);
+
+        this.sunDirection = new THREE.Vector3();
+        this.color = new THREE.Color();
+        scene.add(this.group);
+    }
+
+    setQuality(quality) {
+        this.fogFar = quality.fogFar;
+    }
+
+    update(weather, cameraPosition, focus) {
+        const conditions = weather.getConditions();
+        const clouds = conditions.cloudCover;
+        const sun = sunDirection(weather.timeOfDay, this.sunDirection);
+        const day = smoothstep(-0.08, 0.2, sun.y);
+        const dusk = Math.max(0, 1 - Math.abs(sun.y) / 0.25);
+
+        // Sky: night to day, reddened around sunrise and sunset, greyed by cloud
+        const top = this.uniforms.topColor.value;
+        const horizon = this.uniforms.horizonColor.value;
+        top.copy(SKY_COLORS.nightTop).lerp(SKY_COLORS.dayTop, day).lerp(SKY_COLORS.duskTop, dusk * 0.5);
+        horizon.copy(SKY_COLORS.nightHorizon).lerp(SKY_COLORS.dayHorizon, day).lerp(SKY_COLORS.duskHorizon, dusk * 0.7);
+        const cloud = this.color.copy(SKY_COLORS.cloud).multiplyScalar(0.1 + 0.9 * day);
+        top.lerp(cloud, clouds * 0.85).multiplyScalar(1 - conditions.rain * 0.35);
+        horizon.lerp(cloud, clouds * 0.7).multiplyScalar(1 - conditions.rain * 0.35);
+        this.uniforms.sunDirection.value.copy(sun);
+        this.uniforms.glowColor.value.copy(SKY_COLORS.duskHorizon).multiplyScalar(dusk * 0.4 * (1 - clouds));
+
+        // Sun and moon discs, faded out behind cloud
+        this.sun.position.copy(sun).multiplyScalar(SKY_RADIUS * 0.9);
+        this.moon.position.copy(sun).multiplyScalar(-SKY_RADIUS * 0.9);
+        this.sun.material.opacity = (1 - clouds) * smoothstep(-0.05, 0.02, sun.y);
+        this.moon.material.opacity = (1 - clouds) * smoothstep(0.05, -0.02, sun.y);
+        this.stars.material.opacity = (1 - day) * (1 - clouds);
+        this.stars.visible = this.stars.material.opacity > 0.01;
+        this.group.position.copy(cameraPosition);
+        this.sun.lookAt(cameraPosition);
+        this.moon.lookAt(cameraPosition);
+
+        // The directional light is the sun by day and the moon by night
+        const light = this.light;
+        if (sun.y > -0.05) {
+            light.color.copy(SKY_COLORS.sunlight).lerp(SKY_COLORS.sunsetLight, dusk);
+            light.intensity = 0.8 * day * (1 - 0.65 * clouds);
+            light.position.copy(sun);
+        } else {
+            light.color.copy(SKY_COLORS.moonlight);
+            light.intensity = 0.15 * (1 - clouds * 0.6);
+            light.position.copy(sun).negate();
+        }
+        light.position.multiplyScalar(SUN_DISTANCE).add(focus);
+        light.target.position.copy(focus);
+        this.ambient.color.copy(SKY_COLORS.nightAmbient).lerp(SKY_COLORS.dayAmbient, day);
+        this.ambient.intensity = 1.8 * (0.3 + 0.7 * day) * (1 - 0.25 * conditions.rain);
+
+        // Fog takes the horizon's colour, so the sea fades into the sky
+        const fog = this.scene.fog;
+        fog.color.copy(horizon);
+        fog.far = this.fogFar * conditions.visibility;
+        fog.near = Math.min(10, fog.far * 0.1);
+
+        this.night = day < 0.35 || conditions.visibility < 0.4;
+        this.daylight = day * (1 - 0.4 * clouds);
+    }
+}
+
+// Rain streaks in a box around the camera, slanted by the wind
+class Rain {
+    constructor(scene, quality) {
+        this.scene = scene;
+        this.size = 40;
+        this.height = 24;
+        this.mesh = null;
+        this.material = new THREE.LineBasicMaterial({ color: 0xaabbcc, transparent: true, opacity: 0.5 });
+        this.setQuality(quality);
+    }
+
+    setQuality(quality) {
+        const count = RAIN_DROPS[quality.effects];
+        if (this.mesh && this.count === count) return;
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.geometry.dispose();
+        }
+        this.count = count;
+        this.drops = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            this.drops[i * 3] = (Math.random() - 0.5) * this.size;
+            this.drops[i * 3 + 1] = Math.random() * this.height;
+            this.drops[i * 3 + 2] = (Math.random() - 0.5) * this.size;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 6), 3));
+        this.mesh = new THREE.LineSegments(geometry, this.material);
+        this.mesh.frustumCulled = false;
+        this.mesh.visible = false;
+        this.scene.add(this.mesh);
+    }
+
+    update(deltaTime, intensity, center, wind) {
+        const shown = Math.floor(this.count * intensity);
+        this.mesh.visible = shown > 0;
+        if (!this.mesh.visible) return;
+
+        const fall = 12; // m/s
+        const streak = 0.06; // Seconds of fall each streak shows
+        const half = this.size / 2;
+        const drops = this.drops;
+        const positions = this.mesh.geometry.attributes.position.array;
+        for (let i = 0; i < shown; i++) {
+            const p = i * 3;
+            drops[p] += wind.x * deltaTime;
+            drops[p + 1] -= fall * deltaTime;
+            drops[p + 2] += wind.z * deltaTime;
+            if (drops[p + 1] < 0) drops[p + 1] += this.height;
+            // Wrap horizontally so the box stays filled as the camera moves
+            drops[p] = ((drops[p] + half) % this.size + this.size) % this.size - half;
+            drops[p + 2] = ((drops[p + 2] + half) % this.size + this.size) % this.size - half;
+
+            const x = center.x + drops[p];
+            const y = center.y - this.height / 2 + drops[p + 1];
+            const z = center.z + drops[p + 2];
+            positions[p * 2] = x;
+            positions[p * 2 + 1] = y;
+            positions[p * 2 + 2] = z;
+            positions[p * 2 + 3] = x - wind.x * streak;
+            positions[p * 2 + 4] = y + fall * streak;
+            positions[p * 2 + 5] = z - wind.z * streak;
+        }
+        this.mesh.geometry.setDrawRange(0, shown * 2);
+        this.mesh.geometry.attributes.position.needsUpdate = true;
+        this.material.opacity = 0.2 + 0.3 * intensity;
+    }
+}
+
+// Weather panel: weather, time of day, day speed and scripts
+class WeatherControls {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.scripts = [];
+        this.panel = document.getElementById('weatherPanel');
+        this.weatherSelect = document.getElementById('weatherSelect');
+        this.timeInput = document.getElementById('timeOfDayInput');
+        this.timeLabel = document.getElementById('timeOfDayLabel');
+        this.daySpeedSelect = document.getElementById('daySpeedSelect');
+        this.scriptSelect = document.getElementById('weatherScriptSelect');
+
+        this.events = new AbortController(); // Listeners on the page's elements, removed by dispose()
+        const signal = this.events.signal;
+        document.getElementById('weatherToggle').addEventListener('click', (event) => {
+            this.panel.classList.toggle('collapsed');
+            event.currentTarget.blur();
+        }, { signal });
+
+        for (const [name, preset] of Object.entries(WEATHER_STATES)) {
+            this.weatherSelect.add(new Option(preset.label, name));
+        }
+        this.weatherSelect.addEventListener('change', () => {
+            simulation.setWeatherScript(null);
+            simulation.setWeather(this.weatherSelect.value);
+            this.weatherSelect.blur();
+        }, { signal });
+
+        this.timeInput.addEventListener('input', () => {
+            simulation.setTimeOfDay(Number(this.timeInput.value));
+        }, { signal });
+        this.timeInput.addEventListener('change', () => this.timeInput.blur(), { signal });
+
+        for (const speed of DAY_SPEEDS) {
+            this.daySpeedSelect.add(new Option(speed.label, speed.dayLength));
+        }
+        this.daySpeedSelect.addEventListener('change', () => {
+            simulation.setTimeOfDay(simulation.weather.timeOfDay, Number(this.daySpeedSelect.value));
+            this.daySpeedSelect.blur();
+        }, { signal });
+
+        this.scriptSelect.add(new Option('No script', ''));
+        this.scriptSelect.addEventListener('change', () => {
+            const script = this.scripts.find(entry => entry.id === this.scriptSelect.value);
+            simulation.setWeatherScript(script || null);
+            this.scriptSelect.blur();
+        }, { signal });
+        loadWeatherScripts().then((scripts) => {
+            this.scripts = scripts;
+            for (const script of scripts) {
+                this.scriptSelect.add(new Option(script.name, script.id));
+            }
+        }).catch((err) => {
+            console.log('Could not load weather scripts:', err);
+        });
+    }
+
+    // Keep the panel in step with the clock and with scripted changes
+    update() {
+        if (this.panel.classList.contains('collapsed')) return;
+        const weather = this.simulation.weather;
+        this.timeLabel.textContent = formatTimeOfDay(weather.timeOfDay);
+        // Leave alone whatever the player is using
+        const set = (element, value) => {
+            if (document.activeElement !== element) element.value = value;
+        };
+        set(this.weatherSelect, weather.name);
+        set(this.timeInput, weather.timeOfDay);
+        set(this.scriptSelect, weather.script && weather.script.id ? weather.script.id : '');
+
+        // Scripts may run the clock at a speed the menu does not list
+        const dayLength = String(weather.dayLength);
+        if (!Array.from(this.daySpeedSelect.options).some(option => option.value === dayLength)) {
+            this.daySpeedSelect.add(new Option(`1 day / ${+(weather.dayLength / 60).toFixed(1)} min`, dayLength));
+        }
+        set(this.daySpeedSelect, dayLength);
+    }
+
+    dispose() {
+        this.events.abort();
+    }
+}
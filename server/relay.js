@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// Multiplayer relay. Every client sends its own boat state (and which boat
+// it sails); the relay passes it on to everyone else and owns what must be
+// shared: the sea (seed and sea state) and the room clock all clients set
+// their ocean time from.
+// It also serves the game files, so a phone on the LAN only needs the URL.
+//
+//   node server/relay.js [--port 8080] [--host 0.0.0.0] [--seed 42] [--sea-state moderateBreeze]
+//
+// then open http://<host>:<port>/?relay in several browsers.
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+
+const ROOT = path.join(__dirname, '..');
+const RELAY_PATH = '/relay';
+const HEARTBEAT_INTERVAL = 10000; // ms between liveness pings
+const HELLO_TIMEOUT = 5000; // ms a new connection has to introduce itself
+const PROTOCOL_VERSION = 1; // Matches NET_PROTOCOL_VERSION in js/sim/net.js
+const MAX_NAME_LENGTH = 24;
+// Matches the keys of SEA_STATES in js/sim/wave-field.js; clients cannot
+// sail on any other
+const SEA_STATE_NAMES = [
+    'calm', 'lightAir', 'lightBreeze', 'gentleBreeze', 'moderateBreeze',
+    'freshBreeze', 'strongBreeze', 'nearGale', 'gale'
+];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.css': 'text/css',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// A boat definition as the clients load it from boats/*.json; they validate
+// it fully before drawing it
+function isBoatData(boat) {
+    return boat !== null && typeof boat === 'object' && typeof boat.id === 'string';
+}
+
+class Relay {
+    constructor(options = {}) {
+        this.seed = options.seed !== undefined ? options.seed >>> 0 : Math.floor(Math.random() * 0xFFFFFFFF);
+        this.seaState = options.seaState || 'moderateBreeze';
+        if (!SEA_STATE_NAMES.includes(this.seaState)) {
+            throw new Error(`Unknown sea state: ${this.seaState} (one of ${SEA_STATE_NAMES.join(', ')})`);
+        }
+        this.log = options.log || (() => {});
+        this.clients = new Map();
+        this.nextId = 1;
+        this.epoch = process.hrtime.bigint();
+        this.heartbeat = setInterval(() => this.checkAlive(), HEARTBEAT_INTERVAL);
+    }
+
+    // Room clock in seconds; clients run their ocean on this time
+    get time() {
+        return Number(process.hrtime.bigint() - this.epoch) / 1e9;
+    }
+
+    handleConnection(connection) {
+        const helloTimer = setTimeout(() => connection.close(4000, 'No hello'), HELLO_TIMEOUT);
+        let client = null;
+
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (err) {
+                connection.close(1007, 'Invalid JSON');
+                return;
+            }
+            if (!client) {
+                if (message.type !== 'hello') return;
+                clearTimeout(helloTimer);
+                if (message.version !== PROTOCOL_VERSION) {
+                    connection.close(4001, `Protocol version ${PROTOCOL_VERSION} required`);
+                    return;
+                }
+                client = this.join(connection, message);
+                return;
+            }
+            this.handleMessage(client, message);
+        });
+
+        connection.on('close', () => {
+            clearTimeout(helloTimer);
+            if (client) this.leave(client);
+        });
+    }
+
+    join(connection, hello) {
+        const name = String(hello.name || 'Sailor').slice(0, MAX_NAME_LENGTH);
+        const boat = isBoatData(hello.boat) ? hello.boat : null;
+        const client = { id: this.nextId++, name, boat, connection, state: null, alive: true };
+        connection.on('pong', () => {
+            client.alive = true;
+        });
+
+        this.send(client, {
+            type: 'welcome',
+            id: client.id,
+            seed: this.seed,
+            seaState: this.seaState,
+            time: this.time,
+            players: Array.from(this.clients.values(), other => ({ id: other.id, name: other.name, boat: other.boat, state: other.state }))
+        });
+        this.clients.set(client.id, client);
+        this.broadcast({ type: 'join', id: client.id, name, boat }, client);
+        this.log(`${name} (#${client.id}) joined, ${this.clients.size} connected`);
+        return client;
+    }
+
+    leave(client) {
+        if (!this.clients.delete(client.id)) return;
+        this.broadcast({ type: 'leave', id: client.id });
+        this.log(`${client.name} (#${client.id}) left, ${this.clients.size} connected`);
+    }
+
+    handleMessage(client, message) {
+        switch (message.type) {
+            case 'state':
+                client.state = message;
+                this.broadcast(Object.assign({}, message, { id: client.id }), client);
+                break;
+            case 'ping':
+                // Clock sync: the client halves the round trip to estimate the offset
+                this.send(client, { type: 'pong', sent: message.sent, time: this.time });
+                break;
+            case 'seaState':
+                if (!SEA_STATE_NAMES.includes(message.name)) return;
+                this.seaState = message.name;
+                this.broadcast({ type: 'seaState', name: message.name, id: client.id }, client);
+                break;
+            case 'boat':
+                if (!isBoatData(message.boat)) return;
+                client.boat = message.boat;
+                this.broadcast({ type: 'boat', id: client.id, boat: message.boat }, client);
+                break;
+            default:
+                break;
+        }
+    }
+
+    send(client, message) {
+        client.connection.send(JSON.stringify(message));
+    }
+
+    broadcast(message, except) {
+        const text = JSON.stringify(message);
+        for (const client of this.clients.values()) {
+            if (client !== except) client.connection.send(text);
+        }
+    }
+
+    // Connections that did not answer the last ping are gone (e.g. a phone
+    // that lost its network without closing the socket)
+    checkAlive() {
+        for (const client of this.clients.values()) {
+            if (!client.alive) {
+                client.connection.terminate();
+                continue;
+            }
+            client.alive = false;
+            client.connection.ping();
+        }
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        for (const client of this.clients.values()) {
+            client.connection.close(1001, 'Relay shutting down');
+        }
+    }
+}
+
+function serveStatic(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    let file;
+    try {
+        file = path.normalize(path.join(ROOT, decodeURIComponent(url.pathname)));
+    } catch (err) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    const relative = path.relative(ROOT, file);
+    // Stay inside the project and keep dotfiles (.git) private
+    if (relative.startsWith('..') || relative.split(path.sep).some(part => part.startsWith('.'))) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    if (url.pathname.endsWith('/')) file = path.join(file, 'index.html');
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+// Start a relay on an HTTP server; port 0 picks a free port
+function createRelay(options = {}) {
+    const relay = new Relay(options);
+    const server = http.createServer(serveStatic);
+    server.on('upgrade', (request, socket, head) => {
+        if (new URL(request.url, 'http://localhost').pathname !== RELAY_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const connection = acceptWebSocket(request, socket, head);
+        if (connection) relay.handleConnection(connection);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port !== undefined ? options.port : 8080, options.host || '0.0.0.0', () => {
+            const port = server.address().port;
+            resolve({
+                relay,
+                server,
+                port,
+                url: `ws://localhost:${port}${RELAY_PATH}`,
+                close: () => new Promise((done) => {
+                    relay.close();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+function parseArgs(argv) {
+    const args = { port: 8080, host: '0.0.0.0', seed: undefined, seaState: undefined };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': args.port = Number(value); break;
+            case '--host': args.host = value; break;
+            case '--seed': args.seed = Number(value); break;
+            case '--sea-state': args.seaState = value; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    createRelay(Object.assign(args, { log: message => console.log(message) })).then(({ relay, port, close }) => {
+        console.log(`Relay running, seed ${relay.seed}, sea state ${relay.seaState}`);
+        const addresses = Object.values(os.networkInterfaces()).flat()
+            .filter(address => address.family === 'IPv4')
+            .map(address => address.address);
+        for (const address of addresses) {
+            console.log(`  http://${address}:${port}/?relay`);
+        }
+        process.on('SIGINT', () => close().then(() => process.exit(0)));
+    });
+}
+
+module.exports = { Relay, createRelay, RELAY_PATH, SEA_STATE_NAMES };
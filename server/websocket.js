@@ -0,0 +1,250 @@
+// Minimal WebSocket (RFC 6455) endpoints for the relay and its test clients,
+// so the multiplayer setup runs with nothing but Node installed. Text and
+// control frames only; fragmented messages are reassembled.
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+// One open connection. Clients mask what they send, servers must not.
+// Emits 'message' (string), 'pong' and 'close' (code, reason).
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.masked = !!options.masked;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.open = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.closed(1006, 'Connection lost'));
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(text) {
+        if (this.open) this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    ping() {
+        if (this.open) this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.closed(code, reason);
+    }
+
+    // Drop the TCP connection without a closing handshake, like a network failure
+    terminate() {
+        this.socket.destroy();
+        this.closed(1006, 'Terminated');
+    }
+
+    closed(code, reason) {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close', code, reason);
+    }
+
+    sendFrame(opcode, payload) {
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = length;
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN, no fragmentation on the way out
+
+        if (this.masked) {
+            const mask = crypto.randomBytes(4);
+            header[1] |= 0x80;
+            const data = Buffer.alloc(length);
+            for (let i = 0; i < length; i++) {
+                data[i] = payload[i] ^ mask[i & 3];
+            }
+            this.socket.write(Buffer.concat([header, mask, data]));
+        } else {
+            this.socket.write(Buffer.concat([header, payload]));
+        }
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.open) {
+            const frame = this.readFrame();
+            if (!frame) break;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Parse one complete frame off the front of the buffer, if there is one
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const isMasked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            if (longLength > BigInt(MAX_MESSAGE_SIZE)) {
+                this.close(1009, 'Message too big');
+                return null;
+            }
+            length = Number(longLength);
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (isMasked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (isMasked) {
+            for (let i = 0; i < length; i++) {
+                payload[i] ^= buffer[maskOffset + (i & 3)];
+            }
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                this.fragments.push(frame.payload);
+                const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (frame.fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            }
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, frame.payload);
+                break;
+            case OPCODES.pong:
+                this.emit('pong');
+                break;
+            case OPCODES.close: {
+                const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+                const reason = frame.payload.subarray(2).toString('utf8');
+                this.close(code === 1005 ? 1000 : code, reason);
+                break;
+            }
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+}
+
+// Complete the server side of an HTTP upgrade request
+function acceptWebSocket(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+    if (upgrade !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+    const connection = new WebSocketConnection(socket);
+    if (head && head.length) connection.receive(head);
+    return connection;
+}
+
+// Open a client connection, resolving once the handshake has completed
+function connectWebSocket(url) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (target.protocol !== 'ws:') {
+            reject(new Error(`Only ws:// URLs are supported, got ${url}`));
+            return;
+        }
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = http.request({
+            host: target.hostname,
+            port: target.port || 80,
+            path: target.pathname + target.search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        request.on('upgrade', (response, socket, head) => {
+            if (response.headers['sec-websocket-accept'] !== acceptKey(key)) {
+                socket.destroy();
+                reject(new Error('WebSocket handshake failed'));
+                return;
+            }
+            const connection = new WebSocketConnection(socket, { masked: true });
+            if (head && head.length) connection.receive(head);
+            resolve(connection);
+        });
+        request.on('response', (response) => {
+            reject(new Error(`WebSocket upgrade refused: HTTP ${response.statusCode}`));
+            response.resume();
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+module.exports = { WebSocketConnection, acceptWebSocket, connectWebSocket };
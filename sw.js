@@ -0,0 +1,103 @@
+// Service worker: precaches the game, its local copy of Three.js and the
+// boat, course and weather files so it runs with no network at all. Every
+// CACHE_VERSION gets its own cache; bump it whenever a file changes and the
+// page offers to reload into the new version once it is downloaded.
+//
+// To try it offline: node server/relay.js, open http://localhost:8080/
+// once, then stop the server (or tick "Offline" in the dev tools) and reload.
+
+const CACHE_VERSION = 'boater3d-v16';
+
+// Everything index.html does not load with a <script> tag
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Listings the game fetches its content from; every entry is cached too,
+// with any model file a boat definition points at
+const CONTENT_LISTINGS = [
+    { directory: 'boats/', key: 'boats' },
+    { directory: 'courses/', key: 'courses' },
+    { directory: 'weather/', key: 'scripts' }
+];
+
+// The local scripts index.html loads, in the same way tools/headless.js finds them
+function shellScripts(html) {
+    const scripts = [];
+    const pattern = /<script src="([^":]+)"><\/script>/g;
+    let match;
+    while ((match = pattern.exec(html))) {
+        scripts.push(match[1]);
+    }
+    return scripts;
+}
+
+function fetchJSON(url) {
+    return fetch(url, { cache: 'reload' }).then((response) => {
+        if (!response.ok) throw new Error(`${url}: ${response.status}`);
+        return response.json();
+    });
+}
+
+function contentFiles() {
+    return Promise.all(CONTENT_LISTINGS.map(({ directory, key }) =>
+        fetchJSON(`${directory}index.json`).then(listing => Promise.all(listing[key].map(id =>
+            fetchJSON(`${directory}${id}.json`).then(data => [`${directory}${id}.json`]
+                .concat(data.model && data.model.url ? [data.model.url] : []))
+        ))).then(files => [`${directory}index.json`].concat(...files))
+    )).then(files => [].concat(...files));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        fetch('index.html', { cache: 'reload' })
+            .then(response => response.text())
+            .then(html => contentFiles().then(files => APP_SHELL.concat(shellScripts(html), files)))
+            .then(files => caches.open(CACHE_VERSION).then(cache =>
+                cache.addAll(files.map(file => new Request(file, { cache: 'reload' })))
+            ))
+    );
+});
+
+// Drop the caches of earlier versions once this one takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('boater3d-') && key !== CACHE_VERSION)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over when the player accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first; anything else from this origin (a ?terrain= file, say) is
+// fetched and kept for next time. Page loads ignore the query string, which
+// carries ?seed=, ?boat= and the like.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== location.origin) return;
+    const navigate = request.mode === 'navigate';
+
+    event.respondWith(
+        caches.open(CACHE_VERSION).then(cache =>
+            cache.match(navigate ? 'index.html' : request, { ignoreSearch: navigate }).then((cached) => {
+                if (cached) return cached;
+                return fetch(request).then((response) => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                });
+            })
+        )
+    );
+});
@@ -0,0 +1,85 @@
+// Determinism checks for the simulation core, run headless with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation, runScript } = require('../tools/headless');
+
+const { Simulation, Recorder, ReplayPlayer, WEATHER_STATES } = loadSimulation();
+
+// Lever ahead, let go, a spell of starboard helm, then straight on
+const INPUTS = [
+    { tick: 0, controls: { moveY: 1 } },
+    { tick: 60, controls: { moveY: 0 } },
+    { tick: 300, controls: { moveX: 1 } },
+    { tick: 420, controls: { moveX: 0 } }
+];
+const TICKS = 900;
+
+// Compass bearing of the bow, degrees clockwise from north (-z)
+function compassHeading(orientation) {
+    const { x, y, z, w } = orientation;
+    const forwardX = 2 * (x * z + w * y);
+    const forwardZ = 1 - 2 * (x * x + y * y);
+    return (Math.atan2(forwardX, -forwardZ) * 180 / Math.PI + 360) % 360;
+}
+
+// getState() as plain data. The simulation's objects belong to the VM
+// context and a replay parsed here brings this realm's into it, so states are
+// compared the way a replay file or a network snapshot would carry them.
+function plainState(sim) {
+    return JSON.parse(JSON.stringify(sim.getState()));
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual}, expected ${expected}`);
+}
+
+test('a fixed input script ends at a known position and heading', () => {
+    const sim = runScript(new Simulation({ seed: 42 }), INPUTS, TICKS);
+    const state = sim.boat.getState();
+    assert.strictEqual(sim.tick, TICKS);
+    assertClose(state.position.x, -84.30411783882359, 'x');
+    assertClose(state.position.z, 55.902893204351486, 'z');
+    assertClose(compassHeading(state.orientation), 253.873836793223, 'heading');
+});
+
+test('a starting weather brings its own sea unless one is asked for', () => {
+    const squall = new Simulation({ weather: 'squall' });
+    assert.strictEqual(squall.ocean.waveField.seaState, WEATHER_STATES.squall.seaState);
+    const calm = new Simulation({ weather: 'squall', seaState: 'calm' });
+    assert.strictEqual(calm.ocean.waveField.seaState, 'calm');
+});
+
+test('two runs with the same seed match exactly', () => {
+    const a = runScript(new Simulation({ seed: 7 }), INPUTS, TICKS);
+    const b = runScript(new Simulation({ seed: 7 }), INPUTS, TICKS);
+    assert.deepStrictEqual(plainState(b), plainState(a));
+});
+
+test('a recorded replay reproduces the live run', () => {
+    const sim = new Simulation({ seed: 3 });
+    const recorder = new Recorder(sim);
+    recorder.start();
+    runScript(sim, INPUTS, TICKS);
+    const replay = JSON.parse(JSON.stringify(recorder.stop())); // As saved to a file
+
+    const player = new ReplayPlayer(replay);
+    player.seek(player.duration);
+    assert.strictEqual(player.simulation.tick, sim.tick);
+    assert.deepStrictEqual(plainState(player.simulation), plainState(sim));
+});
+
+test('seeking a replay back to a checkpoint and on again reproduces the live run', () => {
+    const sim = new Simulation({ seed: 3 });
+    const recorder = new Recorder(sim);
+    recorder.start();
+    runScript(sim, INPUTS, TICKS * 2);
+    const replay = JSON.parse(JSON.stringify(recorder.stop()));
+
+    // Playing through leaves checkpoints behind; going back restores one
+    const player = new ReplayPlayer(replay);
+    player.seek(player.duration);
+    player.seek(1234);
+    player.seek(player.duration);
+    assert.deepStrictEqual(plainState(player.simulation), plainState(sim));
+});
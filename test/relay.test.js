@@ -0,0 +1,43 @@
+// The multiplayer relay's checks on what it shares with the room.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Relay, SEA_STATE_NAMES } = require('../server/relay');
+const { loadSimulation } = require('../tools/headless');
+
+const { SEA_STATES } = loadSimulation();
+
+// A joined client whose connection keeps what it was sent
+function fakeClient(relay, id) {
+    const sent = [];
+    const client = { id, name: `Sailor ${id}`, connection: { send: text => sent.push(JSON.parse(text)), close() {} } };
+    relay.clients.set(id, client);
+    return { client, sent };
+}
+
+test('the relay knows the same sea states as the clients', () => {
+    assert.deepStrictEqual(SEA_STATE_NAMES, [...Object.keys(SEA_STATES)]);
+});
+
+test('the relay will not start on an unknown sea state', () => {
+    assert.throws(() => new Relay({ seaState: 'hurricane' }), /Unknown sea state: hurricane/);
+});
+
+test('the relay passes on known sea states and drops unknown ones', () => {
+    const relay = new Relay({ seed: 1 });
+    try {
+        const a = fakeClient(relay, 1);
+        const b = fakeClient(relay, 2);
+
+        relay.handleMessage(a.client, { type: 'seaState', name: 'hurricane' });
+        relay.handleMessage(a.client, { type: 'seaState', name: 'toString' });
+        assert.strictEqual(relay.seaState, 'moderateBreeze');
+        assert.deepStrictEqual(b.sent, []);
+
+        relay.handleMessage(a.client, { type: 'seaState', name: 'gale' });
+        assert.strictEqual(relay.seaState, 'gale');
+        assert.deepStrictEqual(b.sent, [{ type: 'seaState', name: 'gale', id: 1 }]);
+    } finally {
+        relay.close();
+    }
+});
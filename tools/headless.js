@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Runs the simulation core in Node, without a browser, WebGL or a DOM.
+//
+// The js/sim scripts are plain browser scripts, so they are evaluated in one
+// shared VM context in the same order index.html loads them.
+//
+//   node tools/headless.js --seed 42 --ticks 600 [--inputs inputs.json] [--boat boats/dinghy.json]
+//       [--weather squall] [--weather-script weather/passing-squall.json] [--traffic 4]
+//       [--telemetry run.csv]
+//
+// inputs.json is a list of { "tick": n, "controls": { ... } } entries; each
+// entry's controls stay applied until the next one. --boat sails a boat
+// definition instead of the default boat, --weather starts in a weather
+// state, --weather-script runs a weather script and --traffic puts that many
+// AI boats from boats/ on the water. Prints the final state.
+//
+//   node tools/headless.js --replay boater3d-replay.json [--telemetry run.json]
+//
+// plays a recorded replay file to its end and prints the final state.
+// --telemetry writes the boat's telemetry for the run, as JSON if the file
+// name ends in .json and CSV otherwise.
+//
+// From other Node code: require('./tools/headless').loadSimulation()
+// returns the context holding Simulation, FixedStepLoop and friends.
+// `npm test` uses it to check that runs and replays are deterministic
+// (test/headless.test.js).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function simScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [];
+    const pattern = /<script src="(js\/sim\/[^"]+)"><\/script>/g;
+    let match;
+    while ((match = pattern.exec(html))) {
+        scripts.push(match[1]);
+    }
+    return scripts;
+}
+
+function loadSimulation() {
+    const context = vm.createContext({ console });
+    for (const script of simScripts()) {
+        const code = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        new vm.Script(code, { filename: script }).runInContext(context);
+    }
+    // Top-level classes and consts live in the context's lexical scope, not
+    // on the global object, so pull the public names out explicitly
+    return vm.runInContext(`({
+        Simulation, FixedStepLoop, Random, createControlState, interpolateBoatState,
+        Recorder, ReplayPlayer, validateReplay, Course, RaceTracker, Terrain, BoatDefinition,
+        Weather, WEATHER_STATES, validateWeatherScript, Traffic, courseRoute, TelemetryRecorder, Engine, findFuelDocks,
+        encodeBoatState, decodeBoatState, SnapshotBuffer, NET_PROTOCOL_VERSION, NET_SEND_RATE,
+        SEA_STATES, SIM_TICK_RATE, SIM_DT
+    })`, context);
+}
+
+// Step a fresh simulation through a list of timed control changes
+function runScript(sim, inputs, ticks) {
+    const pending = inputs.slice().sort((a, b) => a.tick - b.tick);
+    const controls = Object.assign({}, sim.controls);
+    for (let tick = 0; tick < ticks; tick++) {
+        while (pending.length && pending[0].tick <= tick) {
+            Object.assign(controls, pending.shift().controls);
+        }
+        sim.setControls(controls);
+        sim.step();
+    }
+    return sim;
+}
+
+function parseArgs(argv) {
+    const args = { seed: 1, ticks: 600, inputs: null, seaState: undefined, replay: null, boat: null, weather: null, weatherScript: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--seed': args.seed = Number(value); break;
+            case '--ticks': args.ticks = Number(value); break;
+            case '--inputs': args.inputs = value; break;
+            case '--sea-state': args.seaState = value; break;
+            case '--replay': args.replay = value; break;
+            case '--boat': args.boat = value; break;
+            case '--weather': args.weather = value; break;
+            case '--weather-script': args.weatherScript = value; break;
+            case '--traffic': args.traffic = Number(value); break;
+            case '--telemetry': args.telemetry = value; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const { Simulation, ReplayPlayer, TelemetryRecorder } = loadSimulation();
+    let sim;
+    let telemetry = null;
+    const recordTelemetry = (simulation) => {
+        if (!args.telemetry) return;
+        telemetry = new TelemetryRecorder(simulation);
+        telemetry.start();
+    };
+    if (args.replay) {
+        const player = new ReplayPlayer(JSON.parse(fs.readFileSync(args.replay, 'utf8')));
+        recordTelemetry(player.simulation);
+        player.seek(player.duration);
+        sim = player.simulation;
+    } else {
+        const inputs = args.inputs ? JSON.parse(fs.readFileSync(args.inputs, 'utf8')) : [];
+        const boat = args.boat ? JSON.parse(fs.readFileSync(args.boat, 'utf8')) : undefined;
+        sim = new Simulation({ seed: args.seed, seaState: args.seaState, boat });
+        if (args.weather) sim.setWeather(args.weather, 0);
+        if (args.weatherScript) sim.setWeatherScript(JSON.parse(fs.readFileSync(args.weatherScript, 'utf8')));
+        if (args.traffic) {
+            const readBoat = id => JSON.parse(fs.readFileSync(path.join(ROOT, 'boats', `${id}.json`), 'utf8'));
+            const fleet = JSON.parse(fs.readFileSync(path.join(ROOT, 'boats', 'index.json'), 'utf8')).boats.map(readBoat);
+            sim.setTraffic({ count: args.traffic, fleet });
+        }
+        recordTelemetry(sim);
+        runScript(sim, inputs, args.ticks);
+    }
+    if (telemetry) {
+        telemetry.stop();
+        const output = args.telemetry.endsWith('.json') ? JSON.stringify(telemetry.toJSON()) : telemetry.toCSV();
+        fs.writeFileSync(args.telemetry, output);
+    }
+    const state = sim.boat.getState();
+    const traffic = sim.traffic.boats.map(boat => ({ id: boat.id, behaviour: boat.behaviour, position: boat.physics.position }));
+    console.log(JSON.stringify({ seed: sim.seed, tick: sim.tick, time: sim.time, weather: sim.weather.getState(), boat: state, traffic }, null, 2));
+}
+
+module.exports = { loadSimulation, runScript };
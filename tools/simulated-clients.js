@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Simulated multiplayer clients for testing the relay on a LAN or in CI.
+// Each client runs the headless simulation on the room's sea, wanders about
+// with random inputs and streams its boat state like a browser would.
+//
+//   node tools/simulated-clients.js [--url ws://host:8080/relay] [--clients 4] [--duration 15] [--drop]
+//
+// Without --url an in-process relay is started on a free port. --drop cuts
+// one client's connection halfway through to exercise reconnecting. Exits
+// non-zero if any client missed another one's states or its clock drifted.
+
+const { loadSimulation } = require('./headless');
+const { connectWebSocket } = require('../server/websocket');
+const { createRelay } = require('../server/relay');
+
+const sim = loadSimulation();
+const MAX_CLOCK_ERROR = 0.1; // Seconds
+const RECONNECT_DELAY = 500; // ms
+
+class SimulatedClient {
+    constructor(url, name, seed) {
+        this.url = url;
+        this.name = name;
+        this.random = new sim.Random(seed);
+        this.connection = null;
+        this.id = null;
+        this.simulation = null;
+        this.peers = new Map(); // id -> states received
+        this.reconnects = 0;
+        this.running = true;
+        this.clockSamples = [];
+        this.clockOffset = 0;
+    }
+
+    now() {
+        return Number(process.hrtime.bigint()) / 1e9;
+    }
+
+    get roomTime() {
+        return this.now() + this.clockOffset;
+    }
+
+    connect() {
+        return connectWebSocket(this.url).then((connection) => {
+            this.connection = connection;
+            connection.on('message', text => this.handleMessage(JSON.parse(text)));
+            connection.on('close', () => this.disconnected());
+            this.send({ type: 'hello', version: sim.NET_PROTOCOL_VERSION, name: this.name });
+        });
+    }
+
+    disconnected() {
+        this.id = null;
+        this.peers.clear();
+        if (!this.running) return;
+        this.reconnects++;
+        setTimeout(() => this.connect().catch(() => this.disconnected()), RECONNECT_DELAY);
+    }
+
+    send(message) {
+        if (this.connection && this.connection.open) {
+            this.connection.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                if (!this.simulation || this.simulation.seed !== message.seed) {
+                    this.simulation = new sim.Simulation({ seed: message.seed, seaState: message.seaState });
+                    this.loop = new sim.FixedStepLoop(this.simulation);
+                    this.lastFrame = this.now();
+                }
+                this.clockOffset = message.time - this.now();
+                this.simulation.setClock(message.time);
+                for (const player of message.players) {
+                    this.peers.set(player.id, 0);
+                }
+                this.ping();
+                break;
+            case 'join':
+                this.peers.set(message.id, 0);
+                break;
+            case 'leave':
+                this.peers.delete(message.id);
+                break;
+            case 'state':
+                // Same checks a browser makes before drawing the boat
+                if (this.peers.has(message.id) && sim.decodeBoatState(message).position) {
+                    this.peers.set(message.id, this.peers.get(message.id) + 1);
+                }
+                break;
+            case 'seaState':
+                this.simulation.setSeaState(message.name, 8);
+                break;
+            case 'pong': {
+                const roundTrip = this.now() - message.sent;
+                this.clockSamples.push({ roundTrip, offset: message.time + roundTrip / 2 - this.now() });
+                if (this.clockSamples.length > 8) this.clockSamples.shift();
+                this.clockOffset = this.clockSamples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a)).offset;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    ping() {
+        this.send({ type: 'ping', sent: this.now() });
+    }
+
+    // One frame: wander, advance the simulation in real time, keep its clock
+    // on the room's and send the boat state at the browser's rate
+    frame() {
+        if (this.id === null) return;
+        const now = this.now();
+        const frameTime = now - this.lastFrame;
+        this.lastFrame = now;
+
+        if (this.random.next() < 0.01) {
+            this.simulation.setControls({ moveY: 1, moveX: this.random.range(-1, 1) });
+        }
+        this.loop.advance(frameTime);
+        const error = this.roomTime - this.simulation.ocean.time;
+        this.simulation.setClock(this.simulation.ocean.time + error * (Math.abs(error) > 1 ? 1 : 0.05));
+
+        this.sendTimer = (this.sendTimer || 0) + frameTime;
+        if (this.sendTimer >= 1 / sim.NET_SEND_RATE) {
+            this.sendTimer %= 1 / sim.NET_SEND_RATE;
+            this.send(sim.encodeBoatState(this.simulation.boat.getState(), this.simulation.ocean.time));
+        }
+    }
+
+    stop() {
+        this.running = false;
+        if (this.connection) this.connection.close();
+    }
+}
+
+function parseArgs(argv) {
+    const args = { url: null, clients: 4, duration: 15, drop: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--url': args.url = argv[++i]; break;
+            case '--clients': args.clients = Number(argv[++i]); break;
+            case '--duration': args.duration = Number(argv[++i]); break;
+            case '--drop': args.drop = true; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const local = args.url ? null : await createRelay({ port: 0, host: '127.0.0.1', seed: 7 });
+    const url = args.url || local.url;
+    console.log(`Connecting ${args.clients} clients to ${url} for ${args.duration}s`);
+
+    const clients = [];
+    for (let i = 0; i < args.clients; i++) {
+        const client = new SimulatedClient(url, `Bot ${i + 1}`, i + 1);
+        await client.connect();
+        clients.push(client);
+    }
+
+    const frameTimer = setInterval(() => {
+        for (const client of clients) client.frame();
+    }, 1000 / 30);
+    const pingTimer = setInterval(() => {
+        for (const client of clients) client.ping();
+    }, 2000);
+    if (args.drop) {
+        setTimeout(() => clients[0].connection.terminate(), args.duration * 500);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, args.duration * 1000));
+    clearInterval(frameTimer);
+    clearInterval(pingTimer);
+
+    let failed = false;
+    for (const client of clients) {
+        const counts = Array.from(client.peers.values());
+        const missing = client.peers.size !== args.clients - 1 || counts.some(count => count === 0);
+        // Compare with the relay's own clock when it runs in this process
+        const reference = local ? local.relay.time : client.roomTime;
+        const clockError = Math.abs(reference - client.simulation.ocean.time);
+        const ok = client.id !== null && !missing && clockError < MAX_CLOCK_ERROR;
+        failed = failed || !ok;
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${client.name}: id ${client.id}, peers ${counts.join('/')} states, ` +
+            `clock error ${(clockError * 1000).toFixed(1)}ms, reconnects ${client.reconnects}`);
+    }
+
+    for (const client of clients) client.stop();
+    if (local) await local.close();
+    process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});